@@ -16,6 +16,12 @@ dotenv.config();
 // connect to DB
 connectDB();
 
+// apply scheduled price changes once they are due
+require('./services/priceService').startScheduler();
+
+// publish scheduled menu versions once they are due
+require('./services/menuVersionService').startScheduler();
+
 // Middleware
 const allowedOrigins = [
     "http://localhost:3001",
@@ -34,8 +40,16 @@ app.use(cors({
     methods: ["GET", "POST", "PATCH", "DELETE"]
 }));
 
+// menu imports get the same 5mb as csv imports, the parser below then skips the already parsed body
+app.use('/api/foodItems/import', express.json({ limit: '5mb' }));
 app.use(express.json());
 
+// uploaded images (local storage driver only, other drivers serve their own urls)
+const storage = require('./services/storage');
+if (storage.name === 'local') {
+    app.use(storage.urlPath, express.static(storage.root, { maxAge: '7d' }));
+}
+
 
 /******ROUTES*****/
 
@@ -52,6 +66,21 @@ app.use('/api/orders',require('./routes/orderRoutes'));
 // CATEGOREY Routes
 app.use('/api/categories',require('./routes/categoryRoutes'));
 
+// INGREDIENT Routes
+app.use('/api/ingredients',require('./routes/ingredientRoutes'));
+
+// BUNDLE Routes
+app.use('/api/bundles',require('./routes/bundleRoutes'));
+
+// ANALYTICS Routes
+app.use('/api/analytics',require('./routes/analyticsRoutes'));
+
+// MENU VERSION Routes
+app.use('/api/menu',require('./routes/menuRoutes'));
+
+// TABLE Routes
+app.use('/api/tables',require('./routes/tableRoutes'));
+
  
  
 
@@ -2,10 +2,14 @@ const userServices = require('../services/UserServices');
 const asyncErrorHandler = require('../middleware/asyncErrorHandler');
 const User = require('../models/userModel');
 const orderModel = require('../models/orderModel');
+const { analyzeFeedbackEntry } = require('../services/feedbackAnalyzer');
+const { actingUserId } = require('../middleware/authMiddleware');
 
 
 // Register User
 exports.registerUser = asyncErrorHandler(async (req, res) => {  
+    // roles are only granted by an admin through the update route
+    delete req.body.role;
      const newUser = await userServices.register(req.body);
     res.status(201).json({
         success: true,
@@ -17,11 +21,31 @@ exports.registerUser = asyncErrorHandler(async (req, res) => {
 
 // lgoin
 exports.login = asyncErrorHandler(async (req, res) => {  
-     const userdata = await userServices.login(req.body);
+     const { user, token } = await userServices.login(req.body);
     res.status(201).json({
         success: true,
-        user: userdata
-       
+        token,
+        user
+    });
+});
+
+
+// forgot password
+exports.forgotPassword = asyncErrorHandler(async (req, res) => {  
+    await userServices.forgotPassword(req.body.email, req);
+    res.status(200).json({
+        success: true,
+        message: "If the email is registered, a password reset link has been sent."
+    });
+});
+
+// reset password
+exports.resetPassword = asyncErrorHandler(async (req, res) => {  
+    const { user, token } = await userServices.resetPassword(req.params.token, req.body.password);
+    res.status(200).json({
+        success: true,
+        token,
+        user
     });
 });
 
@@ -37,10 +61,29 @@ exports.getAllUsers = asyncErrorHandler(async (req, res) => {
 
 
 
-//delete user
+// get archived users
+exports.getArchivedUsers=asyncErrorHandler(async(req,res)=>{
+    const users = await userServices.getArchivedUsers();
+    res.status(200).json({
+        success: true,
+        data: users
+    });
+})
+
+
+// restore archived user
+exports.restoreUser=asyncErrorHandler(async(req,res)=>{
+    const user = await userServices.restore(req.params.id);
+    res.status(200).json({
+        success: true,
+        data: user
+    });
+})
+
 
+// delete user
 exports.deleteUser=asyncErrorHandler(async(req,res)=>{
-    const result = await userServices.delete(req.params.id);
+    const result = await userServices.delete(req.params.id, req.user);
 
     res.status(204).json({
         success: true,
@@ -63,6 +106,10 @@ exports.getUserDetail=asyncErrorHandler(async(req,res)=>{
 
 // update user detail
 exports.updateUserDetail=asyncErrorHandler(async(req,res)=>{
+    // only admins can change roles
+    if (req.user.role !== 'admin') {
+        delete req.body.role;
+    }
     const user = await userServices.updateUserDetail(req.params.id,req.body);
     res.status(200).json({
         success: true,
@@ -72,12 +119,24 @@ exports.updateUserDetail=asyncErrorHandler(async(req,res)=>{
 })
 
 
+// update allergen profile
+exports.updateAllergenProfile=asyncErrorHandler(async(req,res)=>{
+    const user = await userServices.updateAllergenProfile(req.params.id,req.body.allergens);
+    res.status(200).json({
+        success: true,
+        data: user
+    });
+})
+
+
 
 //Feedback
 exports.addFeedback = async (req, res) => {
     try {
         const { userId } = req.params;
-        const { fromUserId, comment, rating } = req.body;
+        const { comment, rating } = req.body;
+        // staff may record feedback for a customer, everyone else only as themselves
+        const fromUserId = actingUserId(req, req.body.fromUserId);
 
         // Validate input
         if (!fromUserId || !rating) {
@@ -87,6 +146,13 @@ exports.addFeedback = async (req, res) => {
             });
         }
 
+        if (fromUserId.toString() === userId) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot give feedback to yourself'
+            });
+        }
+
         if (rating < 1 || rating > 5) {
             return res.status(400).json({
                 success: false,
@@ -116,6 +182,7 @@ exports.addFeedback = async (req, res) => {
             fromUserId,
             comment: comment || '',
             rating,
+            ...(await analyzeFeedbackEntry(comment)),
             createdAt: new Date()
         };
 
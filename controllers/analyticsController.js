@@ -0,0 +1,39 @@
+const asyncErrorHandler = require("../middleware/asyncErrorHandler");
+const analyticsService = require("../services/analyticsService");
+const costingService = require("../services/costingService");
+
+// DASHBOARD
+exports.getDashboardStats = asyncErrorHandler(async (req, res) => {
+  const stats = await analyticsService.getDashboardStats();
+  res.status(200).json({
+    success: true,
+    data: stats,
+  });
+});
+
+// TOP ORDERED FOODS AND BUNDLES
+exports.getTopOrderedFoods = asyncErrorHandler(async (req, res) => {
+  const topFoods = await analyticsService.getTopOrderedFoods();
+  res.status(200).json({
+    success: true,
+    data: topFoods,
+  });
+});
+
+// MENU MARGINS (current prices and recipe costs)
+exports.getMenuMargins = asyncErrorHandler(async (req, res) => {
+  const margins = await costingService.getMenuMargins(req.query);
+  res.status(200).json({
+    success: true,
+    data: margins,
+  });
+});
+
+// MARGIN REPORT (?from=&to=, sold order lines)
+exports.getMarginReport = asyncErrorHandler(async (req, res) => {
+  const report = await costingService.getMarginReport(req.query);
+  res.status(200).json({
+    success: true,
+    data: report,
+  });
+});
@@ -0,0 +1,50 @@
+const asyncErrorHandler = require("../middleware/asyncErrorHandler");
+const bundleService = require("../services/bundleService");
+
+// ADD BUNDLE
+exports.addBundle = asyncErrorHandler(async (req, res) => {
+  const bundle = await bundleService.createBundle(req.body);
+  res.status(201).json({
+    success: true,
+    message: "Bundle added successfully",
+    data: bundle,
+  });
+});
+
+// GET BUNDLES
+exports.getBundles = asyncErrorHandler(async (req, res) => {
+  const bundles = await bundleService.getBundles({
+    includeInactive: req.query.includeInactive === "true" && req.user?.role === "admin",
+  });
+  res.status(200).json({
+    success: true,
+    data: bundles,
+  });
+});
+
+// GET SINGLE BUNDLE
+exports.getBundle = asyncErrorHandler(async (req, res) => {
+  const bundle = await bundleService.getBundle(req.params.id);
+  res.status(200).json({
+    success: true,
+    data: bundle,
+  });
+});
+
+// UPDATE BUNDLE
+exports.updateBundle = asyncErrorHandler(async (req, res) => {
+  const bundle = await bundleService.updateBundle(req.params.id, req.body);
+  res.status(200).json({
+    success: true,
+    message: "Bundle updated successfully",
+    data: bundle,
+  });
+});
+
+// DELETE BUNDLE
+exports.deleteBundle = asyncErrorHandler(async (req, res) => {
+  await bundleService.deleteBundle(req.params.id);
+  res.status(204).json({
+    success: true,
+  });
+});
@@ -1,4 +1,5 @@
 const categoryServices = require('../services/categoryService');
+const translationService = require('../services/translationService');
 const asyncErrorHandler = require('../middleware/asyncErrorHandler');
 
 
@@ -16,7 +17,7 @@ exports.addCategory = asyncErrorHandler(async (req, res) => {
 
 //get all categories
 exports.getAllCategories=asyncErrorHandler(async(req,res)=>{
-    const categories = await categoryServices.getAllCategories(req.body);
+    const categories = await categoryServices.getAllCategories(req.query, req.locale);
     res.status(200).json({
         success: true,
         data: categories
@@ -24,11 +25,70 @@ exports.getAllCategories=asyncErrorHandler(async(req,res)=>{
 })
 
 
+//get archived categories
+exports.getArchivedCategories=asyncErrorHandler(async(req,res)=>{
+    const categories = await categoryServices.getArchivedCategories();
+    res.status(200).json({
+        success: true,
+        data: categories
+    });
+})
+
+
+//restore category
+exports.restoreCategory=asyncErrorHandler(async(req,res)=>{
+    const category = await categoryServices.restoreCategory(req.params.id);
+    res.status(200).json({
+        success: true,
+        data: category
+    });
+})
+
+
+//update category
+exports.updateCategory=asyncErrorHandler(async(req,res)=>{
+    const category = await categoryServices.updateCategory(req.params.id, req.body);
+    res.status(200).json({
+        success: true,
+        data: category
+    });
+})
+
+
+//delete category by id (?reassignTo=<categoryId> moves its food items first)
+exports.deleteCategoryById=asyncErrorHandler(async(req,res)=>{
+    await categoryServices.deleteById(req.params.id, req.query.reassignTo || req.body?.reassignTo, req.user);
+    res.status(204).json({
+        success: true,
+    });
+})
+
+
 //delete category
 exports.deleteCategory=asyncErrorHandler(async(req,res)=>{
-    const result = await categoryServices.delete(req.body);
+    const result = await categoryServices.delete(req.body, req.user);
     res.status(204).json({
         success: true,
     });
 
 })
+
+
+//set the translation of a category for one locale
+exports.setCategoryTranslation=asyncErrorHandler(async(req,res)=>{
+    const category = await translationService.setTranslation('category', req.params.id, req.params.locale, req.body);
+    res.status(200).json({
+        success: true,
+        data: category
+    });
+})
+
+
+//remove the translation of a category for one locale
+exports.removeCategoryTranslation=asyncErrorHandler(async(req,res)=>{
+    const category = await translationService.removeTranslation('category', req.params.id, req.params.locale);
+    res.status(200).json({
+        success: true,
+        data: category
+    });
+})
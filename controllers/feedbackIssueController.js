@@ -0,0 +1,52 @@
+const asyncErrorHandler = require("../middleware/asyncErrorHandler");
+const feedbackIssueService = require("../services/feedbackIssueService");
+
+// LIST OPEN ISSUES
+exports.getIssues = asyncErrorHandler(async (req, res) => {
+  const issues = await feedbackIssueService.listIssues(req.query);
+  res.status(200).json({
+    success: true,
+    count: issues.length,
+    data: issues,
+  });
+});
+
+// UPDATE ISSUE STATUS / ASSIGNEE
+exports.updateIssue = asyncErrorHandler(async (req, res) => {
+  const { foodItemId, feedbackId } = req.params;
+  const feedback = await feedbackIssueService.updateIssue(foodItemId, feedbackId, req.body, req.user);
+  res.status(200).json({
+    success: true,
+    message: "Issue updated successfully",
+    feedback,
+  });
+});
+
+// ADD INTERNAL NOTE
+exports.addInternalNote = asyncErrorHandler(async (req, res) => {
+  const { foodItemId, feedbackId } = req.params;
+  const feedback = await feedbackIssueService.addInternalNote(foodItemId, feedbackId, req.body.note, req.user);
+  res.status(201).json({
+    success: true,
+    message: "Note added successfully",
+    feedback,
+  });
+});
+
+// REPLY TO FEEDBACK
+exports.replyToFeedback = asyncErrorHandler(async (req, res) => {
+  const { foodItemId, feedbackId } = req.params;
+  const feedback = await feedbackIssueService.reply(foodItemId, feedbackId, req.body.reply, req.user);
+  res.status(200).json({
+    success: true,
+    message: "Reply added successfully",
+    feedback: {
+      _id: feedback._id,
+      comment: feedback.comment,
+      rating: feedback.rating,
+      reply: feedback.reply,
+      repliedBy: feedback.repliedBy,
+      repliedAt: feedback.repliedAt
+    }
+  });
+});
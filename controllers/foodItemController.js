@@ -1,19 +1,42 @@
 const asyncErrorHandler = require("../middleware/asyncErrorHandler");
 const foodItemService = require("../services/foodItemService");
+const inventoryService = require("../services/inventoryService");
+const priceService = require("../services/priceService");
+const menuImportService = require("../services/menuImportService");
+const translationService = require("../services/translationService");
+const nutritionService = require("../services/nutritionService");
+const menuVersionService = require("../services/menuVersionService");
+const mongoose = require("mongoose");
 const FoodItem = require("../models/foodItem");
+const Order = require("../models/orderModel");
+const kitchenFeed = require("../services/kitchenFeedService");
+const { analyzeFeedbackEntry } = require("../services/feedbackAnalyzer");
+const { actingUserId } = require("../middleware/authMiddleware");
 
 // GET ALL FOOD ITEMS
 exports.getAllFoodItems = asyncErrorHandler(async (req, res) => {
-  const foodItems = await foodItemService.queryAllFoodItems();
+  const { items, nextCursor, limit } = await foodItemService.queryAllFoodItems(req.query, {
+    includeUnavailable: req.query.includeUnavailable === "true" && req.user?.role === "admin",
+    includeUnpublished: req.query.includeUnpublished === "true" && req.user?.role === "admin",
+    locale: req.locale,
+  });
   res.status(200).json({
     success: true,
-    data: foodItems,
+    data: items,
+    pagination: {
+      limit,
+      nextCursor,
+      hasMore: nextCursor !== null,
+    },
   });
 });
 
 // GET SINGLE FOOD ITEM
 exports.getSingleFoodItem = asyncErrorHandler(async (req, res, next) => {
-  const foodItem = await foodItemService.querySingleFoodItem(req.params.id);
+  const foodItem = await foodItemService.querySingleFoodItem(req.params.id, {
+    includeUnpublished: req.user?.role === "admin",
+    locale: req.locale,
+  });
   res.status(200).json({
     success: true,
     data: foodItem,
@@ -22,7 +45,9 @@ exports.getSingleFoodItem = asyncErrorHandler(async (req, res, next) => {
 
 // ADD FOOD ITEM
 exports.addFoodItem = asyncErrorHandler(async (req, res) => {
-  const newFoodItem = await foodItemService.insertFoodItem(req.body);
+  const newFoodItem = await foodItemService.insertFoodItem(req.body, req.user, {
+    asDraft: req.query.draft === "true",
+  });
   res.status(201).json({
     success: true,
     message: "Food item added successfully",
@@ -32,20 +57,180 @@ exports.addFoodItem = asyncErrorHandler(async (req, res) => {
 
 // DELETE FOOD ITEM
 exports.deleteFoodItem = asyncErrorHandler(async (req, res) => {
-  const deletedFoodItem = await foodItemService.deleteItem(req.params.id);
+  const deletedFoodItem = await foodItemService.deleteItem(req.params.id, req.user, {
+    permanent: req.query.permanent === "true",
+  });
   res.status(204).json({
     success: true,
     message: "Food item deleted successfully",
   });
 });
 
-// UPDATE FOOD ITEM
+// GET ARCHIVED FOOD ITEMS
+exports.getArchivedFoodItems = asyncErrorHandler(async (req, res) => {
+  const foodItems = await foodItemService.getArchivedItems();
+  res.status(200).json({
+    success: true,
+    data: foodItems,
+  });
+});
+
+// RESTORE FOOD ITEM
+exports.restoreFoodItem = asyncErrorHandler(async (req, res) => {
+  const foodItem = await foodItemService.restoreItem(req.params.id);
+  res.status(200).json({
+    success: true,
+    message: "Food item restored successfully",
+    data: foodItem,
+  });
+});
+
+// UPDATE FOOD ITEM (menu fields are drafted, ?live=true publishes them right away)
 exports.updateFoodItem = asyncErrorHandler(async (req, res) => {
-  const updatedFoodItem = await foodItemService.updateItem(req.params.id, req.body);
+  const { foodItem: updatedFoodItem, drafted, applied } = await menuVersionService.editFoodItem(
+    req.params.id,
+    req.body,
+    req.user,
+    { live: req.query.live === "true" }
+  );
+  // kitchen screens show names, stock and preparation times of the items they cook
+  if (applied.length > 0) {
+    kitchenFeed.publish("item-updated", {
+      foodItemId: updatedFoodItem._id,
+      name: updatedFoodItem.name,
+      isInStock: updatedFoodItem.isInStock,
+      preparationTime: updatedFoodItem.preparationTime
+    });
+  }
   res.status(200).json({
     success: true,
-    message: "Food item updated successfully",
+    message: drafted.length > 0
+      ? `Food item updated, ${drafted.join(", ")} saved as draft until the next menu version is published`
+      : "Food item updated successfully",
     data: updatedFoodItem,
+    drafted,
+  });
+});
+
+// IMPORT MENU (text/csv or JSON body, ?dryRun=true only reports)
+exports.importMenu = asyncErrorHandler(async (req, res) => {
+  const format = req.is("text/csv") ? "csv" : "json";
+  const rows = menuImportService.parseMenu(req.body, format);
+  const report = await menuImportService.importMenu(rows, {
+    dryRun: req.query.dryRun === "true",
+    user: req.user,
+  });
+
+  res.status(report.errors.length === 0 ? 200 : 207).json({
+    success: report.errors.length === 0,
+    message: report.dryRun
+      ? "Dry run, nothing was imported"
+      : report.errors.length === 0
+        ? "Menu imported successfully"
+        : "Some items could not be imported",
+    data: report,
+  });
+});
+
+// EXPORT MENU (?format=csv|json)
+exports.exportMenu = asyncErrorHandler(async (req, res) => {
+  const format = req.query.format === "csv" ? "csv" : "json";
+  const menu = await menuImportService.exportMenu(format);
+  const filename = `menu-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  res.attachment(filename);
+  if (format === "csv") {
+    return res.type("text/csv").status(200).send(menu);
+  }
+  res.status(200).json(menu);
+});
+
+// GET NUTRITION (?removedIngredients=Onion,Cheese gives what an order line without them gets)
+exports.getNutrition = asyncErrorHandler(async (req, res) => {
+  const removed = req.query.removedIngredients;
+  const removedIngredients = (Array.isArray(removed) ? removed : String(removed || "").split(","))
+    .map(name => name.trim())
+    .filter(Boolean);
+  const nutrition = await nutritionService.getNutrition(req.params.id, removedIngredients);
+  res.status(200).json({
+    success: true,
+    data: nutrition,
+  });
+});
+
+// GET PRICE TIMELINE
+exports.getPriceTimeline = asyncErrorHandler(async (req, res) => {
+  const timeline = await priceService.getTimeline(req.params.id);
+  res.status(200).json({
+    success: true,
+    data: timeline,
+  });
+});
+
+// SCHEDULE PRICE CHANGE
+exports.schedulePrice = asyncErrorHandler(async (req, res) => {
+  const scheduled = await priceService.schedulePrice(req.params.id, req.body, req.user);
+  res.status(201).json({
+    success: true,
+    message: "Price change scheduled successfully",
+    data: scheduled,
+  });
+});
+
+// CANCEL SCHEDULED PRICE CHANGE
+exports.cancelScheduledPrice = asyncErrorHandler(async (req, res) => {
+  await priceService.cancelScheduledPrice(req.params.id, req.params.scheduleId);
+  res.status(204).json({
+    success: true,
+  });
+});
+
+// UPLOAD IMAGE
+exports.uploadImage = asyncErrorHandler(async (req, res) => {
+  const foodItem = await foodItemService.setImage(req.params.id, req.file.buffer);
+  res.status(200).json({
+    success: true,
+    message: "Image uploaded successfully",
+    data: foodItem,
+  });
+});
+
+// SET RECIPE
+exports.setRecipe = asyncErrorHandler(async (req, res) => {
+  const foodItem = await inventoryService.setRecipe(req.params.id, req.body.recipe);
+  res.status(200).json({
+    success: true,
+    message: "Recipe updated successfully",
+    data: foodItem,
+  });
+});
+
+// SET TRANSLATION for one locale
+exports.setTranslation = asyncErrorHandler(async (req, res) => {
+  const foodItem = await translationService.setTranslation("foodItem", req.params.id, req.params.locale, req.body);
+  res.status(200).json({
+    success: true,
+    message: "Translation saved successfully",
+    data: foodItem,
+  });
+});
+
+// REMOVE TRANSLATION for one locale
+exports.removeTranslation = asyncErrorHandler(async (req, res) => {
+  const foodItem = await translationService.removeTranslation("foodItem", req.params.id, req.params.locale);
+  res.status(200).json({
+    success: true,
+    message: "Translation removed successfully",
+    data: foodItem,
+  });
+});
+
+// MISSING TRANSLATIONS (?locale= for a single locale)
+exports.getMissingTranslations = asyncErrorHandler(async (req, res) => {
+  const missing = await translationService.getMissingTranslations(req.query);
+  res.status(200).json({
+    success: true,
+    data: missing,
   });
 });
 
@@ -55,7 +240,9 @@ exports.updateFoodItem = asyncErrorHandler(async (req, res) => {
 
 exports.addFeedback = async (req, res) => {
   try {
-    const { userId, foodItemId, comment, rating, feedbacks } = req.body;
+    const { foodItemId, orderId, comment, rating, feedbacks } = req.body;
+    // staff may record feedback for a customer, everyone else only as themselves
+    const userId = actingUserId(req, req.body.userId);
 
     // Determine if this is a single or multiple feedback request
     const isBulkRequest = Array.isArray(feedbacks);
@@ -77,11 +264,11 @@ exports.addFeedback = async (req, res) => {
 
     // Process single feedback
     if (!isBulkRequest) {
-      return await processSingleFeedback(res, userId, foodItemId, comment, rating);
+      return await processSingleFeedback(res, userId, foodItemId, orderId, comment, rating);
     }
 
-    // Process multiple feedbacks
-    return await processMultipleFeedbacks(res, userId, feedbacks);
+    // Process multiple feedbacks (a top level orderId applies to every entry without one)
+    return await processMultipleFeedbacks(res, userId, feedbacks, orderId);
 
   } catch (error) {
     console.error(error);
@@ -94,7 +281,7 @@ exports.addFeedback = async (req, res) => {
 };
 
 // Helper function for single feedback
-async function processSingleFeedback(res, userId, foodItemId, comment, rating) {
+async function processSingleFeedback(res, userId, foodItemId, orderId, comment, rating) {
   // Validate rating
   if (rating === undefined || rating < 0 || rating > 5) {
     return res.status(400).json({
@@ -112,16 +299,33 @@ async function processSingleFeedback(res, userId, foodItemId, comment, rating) {
       });
     }
 
+    const rejection = await verifyPurchase(userId, orderId, foodItem);
+    if (rejection) {
+      return res.status(rejection.statusCode).json({
+        success: false,
+        reason: rejection.reason,
+        message: rejection.message
+      });
+    }
+
     const newFeedback = {
       userId,
+      orderId,
+      verified: true,
       comment: comment || '',
       rating,
+      ...(await analyzeFeedbackEntry(comment)),
       createdAt: new Date()
     };
 
-    foodItem.feedback.push(newFeedback);
-    updateAverageRating(foodItem);
-    await foodItem.save();
+    if (!(await saveFeedback(foodItem, newFeedback))) {
+      const { statusCode, reason, message } = alreadyRated(foodItem);
+      return res.status(statusCode).json({
+        success: false,
+        reason,
+        message
+      });
+    }
 
     return res.status(201).json({
       success: true,
@@ -139,13 +343,14 @@ async function processSingleFeedback(res, userId, foodItemId, comment, rating) {
 }
 
 // Helper function for multiple feedbacks
-async function processMultipleFeedbacks(res, userId, feedbacks) {
+async function processMultipleFeedbacks(res, userId, feedbacks, defaultOrderId) {
   const results = [];
   const errors = [];
 
   for (const feedback of feedbacks) {
     try {
       const { foodItemId, comment, rating } = feedback;
+      const orderId = feedback.orderId || defaultOrderId;
 
       // Validate individual feedback
       if (!foodItemId || rating === undefined) {
@@ -173,16 +378,37 @@ async function processMultipleFeedbacks(res, userId, feedbacks) {
         continue;
       }
 
+      const rejection = await verifyPurchase(userId, orderId, foodItem);
+      if (rejection) {
+        errors.push({
+          foodItemId,
+          orderId,
+          reason: rejection.reason,
+          error: rejection.message
+        });
+        continue;
+      }
+
       const newFeedback = {
         userId,
+        orderId,
+        verified: true,
         comment: comment || '',
         rating,
+        ...(await analyzeFeedbackEntry(comment)),
         createdAt: new Date()
       };
 
-      foodItem.feedback.push(newFeedback);
-      updateAverageRating(foodItem);
-      await foodItem.save();
+      if (!(await saveFeedback(foodItem, newFeedback))) {
+        const { reason, message } = alreadyRated(foodItem);
+        errors.push({
+          foodItemId,
+          orderId,
+          reason,
+          error: message
+        });
+        continue;
+      }
 
       results.push({
         foodItemId,
@@ -210,8 +436,54 @@ async function processMultipleFeedbacks(res, userId, feedbacks) {
   });
 }
 
-// Helper function to update average rating
-function updateAverageRating(foodItem) {
-  const totalRatings = foodItem.feedback.reduce((sum, fb) => sum + fb.rating, 0);
-  foodItem.rating = totalRatings / foodItem.feedback.length;
+// Helper function to check the user bought the item in a completed order and has not rated it yet
+// returns null when the feedback is allowed, otherwise the rejection reason
+async function verifyPurchase(userId, orderId, foodItem) {
+  if (!orderId) {
+    return { statusCode: 400, reason: 'ORDER_REQUIRED', message: 'orderId of a completed order is required' };
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(orderId)) {
+    return { statusCode: 400, reason: 'INVALID_ORDER', message: 'Invalid orderId' };
+  }
+
+  const order = await Order.findOne({ _id: orderId, user: userId });
+  if (!order) {
+    return { statusCode: 404, reason: 'ORDER_NOT_FOUND', message: 'Order not found for this user' };
+  }
+
+  if (order.status !== 'completed') {
+    return { statusCode: 400, reason: 'ORDER_NOT_COMPLETED', message: 'Feedback can only be given for completed orders' };
+  }
+
+  const inOrder = order.items.some(item => item.foodItemId && item.foodItemId.equals(foodItem._id));
+  if (!inOrder) {
+    return { statusCode: 400, reason: 'ITEM_NOT_IN_ORDER', message: `${foodItem.name} was not part of this order` };
+  }
+
+  if (foodItem.feedback.some(fb => fb.orderId && fb.orderId.equals(orderId))) {
+    return alreadyRated(foodItem);
+  }
+
+  return null;
+}
+
+function alreadyRated(foodItem) {
+  return { statusCode: 409, reason: 'ALREADY_RATED', message: `${foodItem.name} has already been rated for this order` };
+}
+
+// Helper function to store the feedback and update the average rating
+// the "not rated for this order yet" check is part of the update, so of two requests rating
+// the same item for the same order at the same moment only one gets in; false for the other
+async function saveFeedback(foodItem, newFeedback) {
+  const updated = await FoodItem.findOneAndUpdate(
+    { _id: foodItem._id, 'feedback.orderId': { $ne: newFeedback.orderId } },
+    { $push: { feedback: newFeedback }, updatedAt: Date.now() },
+    { new: true }
+  );
+  if (!updated) return false;
+
+  // averaged over the stored ratings, so ratings other requests added meanwhile count too
+  await FoodItem.updateOne({ _id: foodItem._id }, [{ $set: { rating: { $avg: '$feedback.rating' } } }]);
+  return true;
 }
\ No newline at end of file
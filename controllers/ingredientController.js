@@ -0,0 +1,49 @@
+const asyncErrorHandler = require("../middleware/asyncErrorHandler");
+const inventoryService = require("../services/inventoryService");
+
+// ADD INGREDIENT
+exports.addIngredient = asyncErrorHandler(async (req, res) => {
+  const ingredient = await inventoryService.addIngredient(req.body);
+  res.status(201).json({
+    success: true,
+    message: "Ingredient added successfully",
+    data: ingredient,
+  });
+});
+
+// GET INGREDIENTS
+exports.getIngredients = asyncErrorHandler(async (req, res) => {
+  const ingredients = await inventoryService.getIngredients(req.query);
+  res.status(200).json({
+    success: true,
+    data: ingredients,
+  });
+});
+
+// UPDATE INGREDIENT
+exports.updateIngredient = asyncErrorHandler(async (req, res) => {
+  const ingredient = await inventoryService.updateIngredient(req.params.id, req.body);
+  res.status(200).json({
+    success: true,
+    message: "Ingredient updated successfully",
+    data: ingredient,
+  });
+});
+
+// RESTOCK INGREDIENT
+exports.restockIngredient = asyncErrorHandler(async (req, res) => {
+  const ingredient = await inventoryService.restock(req.params.id, req.body.amount);
+  res.status(200).json({
+    success: true,
+    message: "Ingredient restocked successfully",
+    data: ingredient,
+  });
+});
+
+// DELETE INGREDIENT
+exports.deleteIngredient = asyncErrorHandler(async (req, res) => {
+  await inventoryService.deleteIngredient(req.params.id);
+  res.status(204).json({
+    success: true,
+  });
+});
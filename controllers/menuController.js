@@ -0,0 +1,106 @@
+const asyncErrorHandler = require("../middleware/asyncErrorHandler");
+const menuVersionService = require("../services/menuVersionService");
+
+// PENDING DRAFT CHANGES (draft menu vs live menu)
+exports.getDraftChanges = asyncErrorHandler(async (req, res) => {
+  const changes = await menuVersionService.getDraftChanges();
+  res.status(200).json({
+    success: true,
+    data: changes,
+  });
+});
+
+// SAVE FOOD ITEM DRAFT
+exports.saveItemDraft = asyncErrorHandler(async (req, res) => {
+  const foodItem = await menuVersionService.saveDraft(req.params.id, req.body);
+  res.status(200).json({
+    success: true,
+    message: "Draft saved, publish a menu version to make it live",
+    data: { _id: foodItem._id, name: foodItem.name, draft: foodItem.draft },
+  });
+});
+
+// DISCARD FOOD ITEM DRAFT
+exports.discardItemDraft = asyncErrorHandler(async (req, res) => {
+  await menuVersionService.discardDraft(req.params.id);
+  res.status(200).json({
+    success: true,
+    message: "Draft discarded",
+  });
+});
+
+// LIST VERSIONS
+exports.getVersions = asyncErrorHandler(async (req, res) => {
+  const versions = await menuVersionService.listVersions();
+  res.status(200).json({
+    success: true,
+    data: versions,
+  });
+});
+
+// CREATE VERSION
+exports.createVersion = asyncErrorHandler(async (req, res) => {
+  const version = await menuVersionService.createVersion(req.body, req.user);
+  res.status(201).json({
+    success: true,
+    message: "Menu version created",
+    data: version,
+  });
+});
+
+// GET VERSION
+exports.getVersion = asyncErrorHandler(async (req, res) => {
+  const version = await menuVersionService.getVersion(req.params.id);
+  res.status(200).json({
+    success: true,
+    data: version,
+  });
+});
+
+// DIFF VERSION (against the live menu unless ?against=<version id>|draft)
+exports.diffVersion = asyncErrorHandler(async (req, res) => {
+  const diff = await menuVersionService.diff(req.query.against || "live", req.params.id);
+  res.status(200).json({
+    success: true,
+    data: diff,
+  });
+});
+
+// PUBLISH VERSION (now or at publishAt)
+exports.publishVersion = asyncErrorHandler(async (req, res) => {
+  const { version, result } = await menuVersionService.publish(req.params.id, req.body, req.user);
+  res.status(200).json({
+    success: true,
+    message: result ? "Menu version published" : `Menu version scheduled for ${version.scheduledFor.toISOString()}`,
+    data: { version, result },
+  });
+});
+
+// CANCEL SCHEDULED PUBLISH
+exports.cancelSchedule = asyncErrorHandler(async (req, res) => {
+  const version = await menuVersionService.cancelSchedule(req.params.id);
+  res.status(200).json({
+    success: true,
+    message: "Scheduled publish cancelled",
+    data: version,
+  });
+});
+
+// PUBLISH HISTORY
+exports.getHistory = asyncErrorHandler(async (req, res) => {
+  const history = await menuVersionService.getHistory();
+  res.status(200).json({
+    success: true,
+    data: history,
+  });
+});
+
+// ROLLBACK to the previously published version
+exports.rollback = asyncErrorHandler(async (req, res) => {
+  const { version, result } = await menuVersionService.rollback(req.user);
+  res.status(200).json({
+    success: true,
+    message: `Menu rolled back to ${version.name}`,
+    data: { version, result },
+  });
+});
@@ -1,95 +1,231 @@
+const mongoose = require("mongoose");
 const orderService = require("../services/orderServices");
 const asyncErrorHandler = require("../middleware/asyncErrorHandler");
 const Order = require("../models/orderModel");
 const FoodItem = require("../models/foodItem");
+const User = require("../models/userModel");
+const kitchenFeed = require("../services/kitchenFeedService");
+const orderPricingService = require("../services/orderPricingService");
+const inventoryService = require("../services/inventoryService");
+const bundleService = require("../services/bundleService");
+const tableService = require("../services/tableService");
+const nutritionService = require("../services/nutritionService");
+const categoryService = require("../services/categoryService");
+const { computeUnitCost } = require("../services/costingService");
+const customError = require("../utils/CustomErrorhandlerClass");
+const { actingUserId } = require("../middleware/authMiddleware");
+const { ORDER_STATUSES, canTransition, getAllowedTransitions } = require("../utils/orderStatus");
+const { isAvailableAt, describeAvailability } = require("../utils/availability");
+const { getAllergenWarnings, describeAllergenWarnings } = require("../utils/allergens");
+
+// Check one food item line (stock, availability, ingredients, modifiers, allergens) and build the order item
+// throws a customError when the line can't be ordered
+const verifyOrderLine = async (line, allergenProfile) => {
+  const { foodItemId, quantity, removedIngredients, specialInstructions, modifiers } = line;
+
+  // Basic validation
+  if (!foodItemId || !quantity) {
+    throw new customError("Each item must have foodItemId and quantity", 400);
+  }
+
+  // Get food item details
+  const foodItem = await FoodItem.findById(foodItemId)
+    .populate("category", "name availability")
+    .populate("recipe.ingredient", `costPerUnit ${nutritionService.INGREDIENT_FIELDS}`);
+  // unpublished items are not on the menu yet
+  if (!foodItem || foodItem.isPublished === false) {
+    throw new customError(`Food item ${foodItemId} not found`, 404);
+  }
+
+  // Check stock
+  if (!foodItem.isInStock) {
+    throw new customError(`${foodItem.name} is out of stock`, 400);
+  }
+
+  // Check the availability windows of the item, its category and the categories above it
+  const categories = (await categoryService.categoryChains())(foodItem.category?._id);
+  for (const { label, availability } of [
+    { label: foodItem.name, availability: foodItem.availability },
+    ...categories.map(category => ({ label: `The ${category.name} menu`, availability: category.availability }))
+  ]) {
+    if (!isAvailableAt(availability)) {
+      const windows = describeAvailability(availability);
+      throw new customError(`${foodItem.name} is not available right now.${windows ? ` ${label} is served: ${windows}` : ""}`, 400);
+    }
+  }
+
+  // Validate ingredients
+  if (removedIngredients) {
+    const invalidIngredients = nutritionService.unknownIngredients(foodItem, removedIngredients);
+    if (invalidIngredients.length > 0) {
+      throw new customError(`Invalid ingredients for ${foodItem.name}: ${invalidIngredients.join(", ")}`, 400);
+    }
+  }
+
+  // Validate chosen modifiers and price the line (throws a 400 on invalid selections)
+  const { basePrice, unitPrice, modifiers: chosenModifiers } =
+    orderPricingService.priceOrderItem(foodItem, modifiers);
+
+  return {
+    foodItemId,
+    name: foodItem.name,
+    quantity,
+    basePrice,
+    price: unitPrice,
+    modifiers: chosenModifiers,
+    // recipe cost at order time, unknown (not zero) for items without a recipe
+    unitCost: foodItem.recipe.length > 0 ? computeUnitCost(foodItem) : undefined,
+    removedIngredients: removedIngredients || [],
+    nutrition: nutritionService.computeNutrition(foodItem.recipe, removedIngredients || []) || undefined,
+    specialInstructions: specialInstructions || "",
+    // Flag allergen conflicts, removed ingredients can take an allergen off the line
+    allergenWarnings: getAllergenWarnings(foodItem, allergenProfile, removedIngredients || [])
+  };
+};
+
+// Expand an ordered bundle into its food item lines priced at the bundle price
+// returns the bundle line (unit price incl. modifier deltas) and the item lines
+const verifyBundleLine = async (selection, allergenProfile) => {
+  const { bundleId, quantity } = selection;
+  if (!bundleId || !quantity) {
+    throw new customError("Each bundle must have bundleId and quantity", 400);
+  }
+
+  const bundle = await bundleService.findBundle(bundleId);
+  if (!bundle.isActive) {
+    throw new customError(`${bundle.name} is not available`, 400);
+  }
+  if (!isAvailableAt(bundle.availability)) {
+    const windows = describeAvailability(bundle.availability);
+    throw new customError(`${bundle.name} is not available right now.${windows ? ` It is served: ${windows}` : ""}`, 400);
+  }
+
+  const expanded = await bundleService.expandBundle(bundle, selection);
+  const items = [];
+  for (const line of expanded) {
+    items.push(await verifyOrderLine({ ...line, quantity: line.quantity * quantity }, allergenProfile));
+  }
+
+  const unitPrices = orderPricingService.allocateBundlePrice(
+    bundle.price,
+    items.map((item, i) => ({ standalonePrice: item.basePrice, quantity: expanded[i].quantity }))
+  );
+
+  // modifier deltas (e.g. large fries) are paid on top of the bundle price
+  const bundleLineId = new mongoose.Types.ObjectId();
+  let bundlePrice = bundle.price;
+  items.forEach((item, i) => {
+    const modifiersTotal = item.modifiers.reduce((sum, modifier) => sum + modifier.priceDelta, 0);
+    item.price = Math.max(0, unitPrices[i] + modifiersTotal);
+    item.bundleLineId = bundleLineId;
+    item.bundleSlot = expanded[i].slot;
+    bundlePrice += modifiersTotal * expanded[i].quantity;
+  });
+
+  return {
+    bundleLine: { _id: bundleLineId, bundleId: bundle._id, name: bundle.name, quantity, price: Math.max(0, bundlePrice) },
+    items
+  };
+};
 
 exports.createOrder = async (req, res) => {
   try {
-    const { userId, items } = req.body;
+    const { items = [], bundles = [], tableId } = req.body;
+    // staff can place orders on behalf of a customer, otherwise the order belongs to the caller
+    const userId = actingUserId(req, req.body.userId);
 
     // Validate input
-    if (!userId || !items || !Array.isArray(items)) {
+    if (!userId || !Array.isArray(items) || !Array.isArray(bundles) || items.length + bundles.length === 0) {
       return res.status(400).json({
         success: false,
-        message: "userId and items array are required"
+        message: "userId and an items or bundles array are required"
       });
     }
 
+    // dine-in orders go to the open session of their table (opened on the first order)
+    const orderType = tableId ? "DineIn" : req.body.orderType;
+    if (tableId && req.body.orderType && req.body.orderType !== "DineIn") {
+      throw new customError("Only DineIn orders can be placed for a table", 400);
+    }
+    const orderTypes = Order.schema.path("orderType").enumValues;
+    if (orderType && !orderTypes.includes(orderType)) {
+      throw new customError(`orderType must be one of: ${orderTypes.join(", ")}`, 400);
+    }
+
+    // allergens the customer declared, every line is checked against them
+    const customer = await User.findById(userId).select("allergenProfile");
+    const allergenProfile = customer?.allergenProfile || [];
+
     // Verify items and calculate total
     let totalPrice = 0;
     const verifiedItems = [];
-    
-    for (const item of items) {
-      const { foodItemId, quantity, removedIngredients, specialInstructions } = item;
-      
-      // Basic validation
-      if (!foodItemId || !quantity) {
-        return res.status(400).json({
-          success: false,
-          message: "Each item must have foodItemId and quantity"
-        });
-      }
-
-      // Get food item details
-      const foodItem = await FoodItem.findById(foodItemId);
-      if (!foodItem) {
-        return res.status(404).json({
-          success: false,
-          message: `Food item ${foodItemId} not found`
-        });
-      }
+    const bundleLines = [];
 
-      // Check stock
-      if (!foodItem.isInStock) {
-        return res.status(400).json({
-          success: false,
-          message: `${foodItem.name} is out of stock`
-        });
-      }
+    for (const item of items) {
+      const verified = await verifyOrderLine(item, allergenProfile);
+      verifiedItems.push(verified);
+      totalPrice += verified.price * verified.quantity;
+    }
 
-      // Validate ingredients
-      if (removedIngredients) {
-        const invalidIngredients = removedIngredients.filter(
-          ing => !foodItem.ingredients.includes(ing)
-        );
-        if (invalidIngredients.length > 0) {
-          return res.status(400).json({
-            success: false,
-            message: `Invalid ingredients for ${foodItem.name}: ${invalidIngredients.join(", ")}`
-          });
-        }
-      }
+    for (const selection of bundles) {
+      const { bundleLine, items: bundleItems } = await verifyBundleLine(selection, allergenProfile);
+      bundleLines.push(bundleLine);
+      verifiedItems.push(...bundleItems);
+      totalPrice += bundleLine.price * bundleLine.quantity;
+    }
 
-      // Add to verified items
-      verifiedItems.push({
-        foodItemId,
-        name: foodItem.name,
-        quantity,
-        price: foodItem.price,
-        removedIngredients: removedIngredients || [],
-        specialInstructions: specialInstructions || ""
-      });
+    const allergenWarnings = verifiedItems
+      .filter(item => item.allergenWarnings.length > 0)
+      .map(item => ({
+        foodItemId: item.foodItemId,
+        name: item.name,
+        warnings: item.allergenWarnings,
+        message: `${item.name} ${describeAllergenWarnings(item.allergenWarnings)}`
+      }));
 
-      totalPrice += foodItem.price * quantity;
-    }
+    // seat the order only once every line is valid, a rejected order must not open the table
+    const { table, session, opened } = tableId
+      ? await tableService.sessionForTable(tableId, req.user)
+      : {};
 
     // Create order
     const order = new Order({
       user: userId,
       items: verifiedItems,
+      bundles: bundleLines,
+      orderType,
+      table: table?._id,
+      tableSession: session?._id,
       totalPrice,
-      status: "pending"
+      status: "pending",
+      statusHistory: [{ status: "pending", changedBy: req.user._id, changedAt: new Date() }]
     });
 
-    await order.save();
+    try {
+      await order.save();
+    } catch (error) {
+      // a table opened for this order must not stay occupied by an empty session
+      if (opened) await tableService.releaseSession(session);
+      throw error;
+    }
+    kitchenFeed.publishOrderEvent("order-created", order._id);
 
     res.status(201).json({
       success: true,
-      message: "Order created successfully",
-      data: order
+      message: allergenWarnings.length > 0
+        ? "Order created with allergen warnings"
+        : "Order created successfully",
+      data: order,
+      allergenWarnings
     });
 
   } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error(error);
     res.status(500).json({
       success: false,
@@ -99,6 +235,79 @@ exports.createOrder = async (req, res) => {
   }
 };
 
+// Update order status following the allowed transitions
+exports.updateOrderStatus = async (req, res) => {
+  try {
+    const { status } = req.body;
+
+    if (!ORDER_STATUSES.includes(status)) {
+      return res.status(400).json({ message: "Invalid status value" });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    if (!canTransition(order.status, status)) {
+      return res.status(409).json({
+        message: `Cannot change order status from ${order.status} to ${status}`,
+        currentStatus: order.status,
+        allowedTransitions: getAllowedTransitions(order.status)
+      });
+    }
+
+    // only apply the change if nobody else moved the order in the meantime
+    const now = new Date();
+    const updatedOrder = await Order.findOneAndUpdate(
+      { _id: order._id, status: order.status },
+      {
+        status,
+        updatedAt: now,
+        $push: { statusHistory: { status, from: order.status, changedBy: req.user._id, changedAt: now } }
+      },
+      { new: true }
+    );
+
+    if (!updatedOrder) {
+      const current = await Order.findById(order._id).select("status");
+      return res.status(409).json({
+        message: "Order status was changed by someone else, please retry",
+        currentStatus: current?.status,
+        allowedTransitions: getAllowedTransitions(current?.status)
+      });
+    }
+
+    // the kitchen starts cooking: take the ingredients out of stock
+    if (status === "preparing") {
+      try {
+        await inventoryService.consumeForOrder(updatedOrder._id);
+      } catch (error) {
+        console.error("Failed to update inventory for order:", error);
+      }
+    }
+
+    // cancelled after the kitchen started: put the ingredients back
+    if (status === "cancelled") {
+      try {
+        await inventoryService.restockForOrder(updatedOrder._id);
+      } catch (error) {
+        console.error("Failed to restock inventory for order:", error);
+      }
+    }
+
+    kitchenFeed.publishOrderEvent("status-changed", updatedOrder._id, { from: order.status, to: status });
+
+    res.status(200).json(updatedOrder);
+  } catch (error) {
+    console.error("Error updating order status:", error);
+    res.status(500).json({
+      message: "Failed to update order",
+      error: error.message,
+    });
+  }
+};
+
 exports.getUserOrders = async (req, res) => {
   try {
     const { userId } = req.params;
@@ -131,7 +340,7 @@ exports.getRecentOrders = async (req, res) => {
     const recentOrders = await Order.find()
       .sort({ createdAt: -1 })
       .limit(5)
-      .populate('user', 'firstName lastName') // Populate user info
+      .populate({ path: 'user', select: 'firstName lastName', options: { includeArchived: true } }) // Populate user info
       .lean(); // Convert to plain JS object
 
     // Format the data for Flutter app
@@ -164,7 +373,7 @@ exports.getAllOrders = async (req, res) => {
     // Get all orders, sorted by newest first
     const allOrders = await Order.find()
       .sort({ createdAt: -1 })
-      .populate('user', 'firstName lastName')
+      .populate({ path: 'user', select: 'firstName lastName', options: { includeArchived: true } })
       .lean();
 
     // Format the data
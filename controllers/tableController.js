@@ -0,0 +1,101 @@
+const asyncErrorHandler = require("../middleware/asyncErrorHandler");
+const tableService = require("../services/tableService");
+const kitchenFeed = require("../services/kitchenFeedService");
+
+// ADD TABLE
+exports.addTable = asyncErrorHandler(async (req, res) => {
+  const table = await tableService.createTable(req.body);
+  res.status(201).json({
+    success: true,
+    message: "Table added successfully",
+    data: table,
+  });
+});
+
+// GET TABLES
+exports.getTables = asyncErrorHandler(async (req, res) => {
+  const tables = await tableService.getTables(req.query);
+  res.status(200).json({
+    success: true,
+    data: tables,
+  });
+});
+
+// UPDATE TABLE
+exports.updateTable = asyncErrorHandler(async (req, res) => {
+  const table = await tableService.updateTable(req.params.id, req.body);
+  res.status(200).json({
+    success: true,
+    message: "Table updated successfully",
+    data: table,
+  });
+});
+
+// DELETE TABLE
+exports.deleteTable = asyncErrorHandler(async (req, res) => {
+  await tableService.deleteTable(req.params.id);
+  res.status(204).json({
+    success: true,
+    message: "Table deleted successfully",
+  });
+});
+
+// FLOOR VIEW
+exports.getFloor = asyncErrorHandler(async (req, res) => {
+  const floor = await tableService.getFloor(req.query);
+  res.status(200).json({
+    success: true,
+    data: floor,
+  });
+});
+
+// OPEN TABLE SESSION
+exports.openSession = asyncErrorHandler(async (req, res) => {
+  const session = await tableService.openSession(req.params.id, req.body, req.user);
+  res.status(201).json({
+    success: true,
+    message: "Table opened",
+    data: session,
+  });
+});
+
+// MERGE TABLES
+exports.mergeTables = asyncErrorHandler(async (req, res) => {
+  const session = await tableService.mergeTables(req.params.id, req.body.targetTableId, req.user);
+  res.status(200).json({
+    success: true,
+    message: "Tables merged",
+    data: session,
+  });
+});
+
+// GET TABLE SESSION
+exports.getSession = asyncErrorHandler(async (req, res) => {
+  const session = await tableService.getSession(req.params.id);
+  res.status(200).json({
+    success: true,
+    data: session,
+  });
+});
+
+// CLOSE TABLE SESSION
+exports.closeSession = asyncErrorHandler(async (req, res) => {
+  const session = await tableService.closeSession(req.params.id, req.user);
+  res.status(200).json({
+    success: true,
+    message: "Table closed",
+    data: session,
+  });
+});
+
+// MOVE ORDER TO ANOTHER TABLE
+exports.moveOrder = asyncErrorHandler(async (req, res) => {
+  const order = await tableService.moveOrder(req.params.id, req.body.tableId, req.user);
+  // the pass needs to know where the dishes go now
+  kitchenFeed.publishOrderEvent("order-moved", order._id);
+  res.status(200).json({
+    success: true,
+    message: "Order moved",
+    data: order,
+  });
+});
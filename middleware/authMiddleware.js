@@ -0,0 +1,119 @@
+const jwt = require('jsonwebtoken');
+const { promisify } = require('util');
+const User = require('../models/userModel');
+const customError = require('../utils/CustomErrorhandlerClass');
+const asyncErrorHandler = require('./asyncErrorHandler');
+
+// stream tokens only open an event stream (EventSource cannot send headers, so they travel in the url)
+const STREAM_TOKEN_PURPOSE = 'stream';
+const STREAM_TOKEN_EXPIRES_IN = '1m';
+
+// load the user a verified token belongs to, or fail the request
+const loadTokenUser = async (decoded, next) => {
+    // the user may have been deleted after the token was issued
+    const user = await User.findById(decoded.id);
+    if (!user) {
+        return next(new customError("The user belonging to this token no longer exists.", 401));
+    }
+
+    // a password change or reset signs out every existing session
+    if (user.changedPasswordAfter(decoded.iat)) {
+        return next(new customError("Password was changed recently. Please login again.", 401));
+    }
+
+    return user;
+}
+
+// verify the bearer token and attach the logged in user to the request
+exports.authMiddleware = asyncErrorHandler(async (req, res, next) => {
+    const authHeader = req.headers.authorization;
+    let token;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+        token = authHeader.split(' ')[1];
+    }
+
+    if (!token) {
+        return next(new customError("You are not logged in. Please login to get access.", 401));
+    }
+
+    // TokenExpiredError / JsonWebTokenError are handled by the global error handler
+    const decoded = await promisify(jwt.verify)(token, process.env.JWT_SECRET);
+
+    // a stream token is only good for the stream it was issued for
+    if (decoded.purpose) {
+        return next(new customError("You are not logged in. Please login to get access.", 401));
+    }
+
+    const user = await loadTokenUser(decoded, next);
+    if (!user) return;
+
+    req.user = user;
+    next();
+});
+
+// short-lived token for opening an event stream, issued to an already authenticated user
+exports.signStreamToken = (user) => {
+    return jwt.sign(
+        { id: user._id, purpose: STREAM_TOKEN_PURPOSE },
+        process.env.JWT_SECRET,
+        { expiresIn: STREAM_TOKEN_EXPIRES_IN }
+    );
+}
+
+// event stream routes: accept a stream token in ?token=, fall back to the bearer header
+// (the token is only checked when the stream opens, a client reconnecting after it expired needs a new one)
+exports.streamAuth = asyncErrorHandler(async (req, res, next) => {
+    const { token } = req.query;
+    if (!token) {
+        return exports.authMiddleware(req, res, next);
+    }
+
+    const decoded = await promisify(jwt.verify)(token, process.env.JWT_SECRET);
+    if (decoded.purpose !== STREAM_TOKEN_PURPOSE) {
+        return next(new customError("Invalid stream token. Request a new one.", 401));
+    }
+
+    const user = await loadTokenUser(decoded, next);
+    if (!user) return;
+
+    req.user = user;
+    next();
+});
+
+// public routes that show more to staff: authenticate when a token is sent, carry on as a guest otherwise
+exports.optionalAuth = (req, res, next) => {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return next();
+    }
+    exports.authMiddleware(req, res, next);
+}
+
+// only let the given roles through, must run after authMiddleware
+exports.restrictTo = (...roles) => {
+    return (req, res, next) => {
+        if (!req.user || !roles.includes(req.user.role)) {
+            return next(new customError("You do not have permission to perform this action.", 403));
+        }
+        next();
+    }
+}
+
+// roles that can act for a customer (orders and feedback taken at the table)
+const STAFF_ROLES = ['admin', 'receptionist', 'waiter'];
+
+// id of the user a request acts for: staff may name another user, everyone else always acts as themselves
+exports.actingUserId = (req, requestedId) => {
+    return requestedId && req.user && STAFF_ROLES.includes(req.user.role) ? requestedId : req.user?._id;
+}
+
+// let users reach their own resources (matched on the given route param), other roles need to be listed
+exports.restrictToSelfOr = (param, ...roles) => {
+    return (req, res, next) => {
+        const isSelf = req.user && req.user._id.toString() === req.params[param];
+        if (!isSelf && !(req.user && roles.includes(req.user.role))) {
+            return next(new customError("You do not have permission to perform this action.", 403));
+        }
+        next();
+    }
+}
@@ -0,0 +1,10 @@
+const { resolveLocale } = require('../utils/locale');
+
+// sets req.locale from ?lang= or Accept-Language (default locale otherwise)
+// and tells caches that the response depends on it
+module.exports = (req, res, next) => {
+    req.locale = resolveLocale(req);
+    res.set('Content-Language', req.locale);
+    res.vary('Accept-Language');
+    next();
+};
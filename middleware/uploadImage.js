@@ -0,0 +1,39 @@
+const multer = require('multer');
+const customError = require('../utils/CustomErrorhandlerClass');
+
+const ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const MAX_IMAGE_SIZE_MB = Number(process.env.MAX_IMAGE_SIZE_MB) || 5;
+
+// images are kept in memory, they are resized before anything is written to storage
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_IMAGE_SIZE_MB * 1024 * 1024, files: 1 },
+    fileFilter: (req, file, callback) => {
+        if (!ALLOWED_TYPES.includes(file.mimetype)) {
+            return callback(new customError("Only JPEG, PNG and WebP images are allowed", 400));
+        }
+        callback(null, true);
+    }
+});
+
+// single image upload from the given form field, multer errors become 400s
+module.exports = (field) => {
+    const handler = upload.single(field);
+
+    return (req, res, next) => {
+        handler(req, res, (error) => {
+            if (error instanceof multer.MulterError) {
+                const message = error.code === 'LIMIT_FILE_SIZE'
+                    ? `Image must be smaller than ${MAX_IMAGE_SIZE_MB}MB`
+                    : error.message;
+                return next(new customError(message, 400));
+            }
+            if (error) return next(error);
+
+            if (!req.file) {
+                return next(new customError(`An image is required in the "${field}" field`, 400));
+            }
+            next();
+        });
+    };
+};
@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// a weekly time window in the restaurant timezone, e.g. Mon-Fri 07:00-11:00
+// when endTime <= startTime the window runs past midnight (22:00-02:00)
+const scheduleSchema = new mongoose.Schema({
+  label: {  // e.g. "Breakfast"
+    type: String,
+    trim: true,
+  },
+  days: [{  // 0 = Sunday ... 6 = Saturday, empty means every day
+    type: Number,
+    min: 0,
+    max: 6,
+  }],
+  startTime: {
+    type: String,
+    required: true,
+    match: [TIME_REGEX, "startTime must be HH:mm"],
+  },
+  endTime: {
+    type: String,
+    required: true,
+    match: [TIME_REGEX, "endTime must be HH:mm"],
+  },
+}, { _id: false });
+
+// shared by food items and categories, no schedules and no dates means always available
+const availabilitySchema = new mongoose.Schema({
+  schedules: [scheduleSchema],
+  startDate: {  // seasonal items, inclusive, restaurant local date
+    type: String,
+    match: [DATE_REGEX, "startDate must be YYYY-MM-DD"],
+  },
+  endDate: {
+    type: String,
+    match: [DATE_REGEX, "endDate must be YYYY-MM-DD"],
+  },
+}, { _id: false });
+
+module.exports = availabilitySchema;
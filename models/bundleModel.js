@@ -0,0 +1,99 @@
+const mongoose = require("mongoose");
+const availabilitySchema = require("./availabilitySchema");
+
+// a food item that is always part of the bundle, e.g. the burger
+const bundleComponentSchema = new mongoose.Schema({
+  foodItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "FoodItem",
+    required: true,
+  },
+  quantity: {
+    type: Number,
+    default: 1,
+    min: 1,
+  },
+}, { _id: false });
+
+// a choice the customer makes, e.g. "Drink": any item of the Drinks category
+const bundleSlotSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  category: {  // any item of this category (or its subcategories)
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Category",
+  },
+  foodItems: [{  // or one of these items
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "FoodItem",
+  }],
+  quantity: {
+    type: Number,
+    default: 1,
+    min: 1,
+  },
+  required: {
+    type: Boolean,
+    default: true,
+  },
+});
+
+bundleSlotSchema.pre("validate", function (next) {
+  if (!this.category && this.foodItems.length === 0) {
+    this.invalidate("foodItems", `${this.name}: a slot needs a category or a list of food items`);
+  }
+  next();
+});
+
+const bundleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+  price: {  // set price of the whole bundle, modifier deltas of its items are added on top
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  components: [bundleComponentSchema],
+  slots: [bundleSlotSchema],
+  imageUrl: String,
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  availability: availabilitySchema,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+bundleSchema.pre("validate", function (next) {
+  if (this.components.length + this.slots.length === 0) {
+    this.invalidate("components", "A bundle needs at least one component or slot");
+  }
+  next();
+});
+
+bundleSchema.pre("save", function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const Bundle = mongoose.model("Bundle", bundleSchema);
+
+module.exports = Bundle;
@@ -1,9 +1,25 @@
 const mongoose = require("mongoose");
+const availabilitySchema = require("./availabilitySchema");
+const softDelete = require("./plugins/softDelete");
 
 const categorySchema = new mongoose.Schema({
   name: { type: String, required: true, unique: true, trim: true },
+  // null for top level categories
+  parent: { type: mongoose.Schema.Types.ObjectId, ref: "Category", default: null },
+  // position among its siblings, lowest first
+  displayOrder: { type: Number, default: 0 },
+  // applies to every item in the category on top of the item's own availability
+  availability: availabilitySchema,
+  // name in other locales, keyed by locale (name above is the default locale)
+  translations: {
+    type: Map,
+    of: new mongoose.Schema({ name: { type: String, trim: true } }, { _id: false }),
+    default: {},
+  },
 });
 
+categorySchema.plugin(softDelete);
+
 const Category = mongoose.model("Category", categorySchema);
 
 module.exports = Category;
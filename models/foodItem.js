@@ -1,4 +1,64 @@
 const mongoose = require("mongoose");
+const availabilitySchema = require("./availabilitySchema");
+const nutritionSchema = require("./nutritionSchema");
+const { ALLERGENS } = require("../utils/allergens");
+const softDelete = require("./plugins/softDelete");
+
+// e.g. "Size" (required, pick 1) or "Extras" (optional, up to 3)
+const modifierOptionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  priceDelta: {  // added to the base price, may be negative (e.g. small portion)
+    type: Number,
+    default: 0,
+  },
+  isAvailable: {
+    type: Boolean,
+    default: true,
+  },
+});
+
+const modifierGroupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  required: {
+    type: Boolean,
+    default: false,
+  },
+  minSelections: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  maxSelections: {
+    type: Number,
+    default: 1,
+    min: 1,
+  },
+  options: {
+    type: [modifierOptionSchema],
+    validate: {
+      validator: (options) => options.length > 0,
+      message: "A modifier group needs at least one option",
+    },
+  },
+});
+
+modifierGroupSchema.pre("validate", function (next) {
+  // a required group always needs at least one selection
+  if (this.required && this.minSelections < 1) this.minSelections = 1;
+
+  if (this.minSelections > this.maxSelections) {
+    this.invalidate("minSelections", `${this.name}: minSelections cannot be greater than maxSelections`);
+  }
+  next();
+});
 
 const foodItemSchema = new mongoose.Schema({
   name: {
@@ -16,12 +76,96 @@ const foodItemSchema = new mongoose.Schema({
     required: true,
     min: 0,
   },
+  // every price change, oldest first (price is the current value)
+  priceHistory: [{
+    price: {
+      type: Number,
+      required: true,
+    },
+    previousPrice: Number,
+    source: {
+      type: String,
+      enum: ["initial", "manual", "scheduled", "menu"],  // menu: a menu version was published or rolled back
+      default: "manual",
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
+  // future prices, applied by the price scheduler once effectiveAt has passed
+  scheduledPrices: [{
+    price: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    effectiveAt: {
+      type: Date,
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
   preparationTime: {  
     type: Number,
     required: true
   },
   ingredients: [String],
-  imageUrl: String,
+  // name, description and ingredients in other locales, keyed by locale (the fields above are the default locale)
+  translations: {
+    type: Map,
+    of: new mongoose.Schema({
+      name: { type: String, trim: true },
+      description: { type: String, trim: true },
+      ingredients: { type: [String], default: undefined },
+    }, { _id: false }),
+    default: {},
+  },
+  // ingredient usage per portion, drives isInStock from inventory
+  recipe: [{
+    _id: false,
+    ingredient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Ingredient",
+      required: true,
+    },
+    quantity: {  // in the ingredient's unit
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  }],
+  // per portion, computed from the recipe (see nutritionService), unset without a recipe
+  nutrition: {
+    type: new mongoose.Schema({
+      ...nutritionSchema.obj,
+      complete: Boolean,  // false when some recipe ingredients have no nutrition data
+      computedAt: Date,
+    }, { _id: false }),
+  },
+  modifierGroups: [modifierGroupSchema],
+  // breakfast / lunch / late-night windows and seasonal date ranges, always available when empty
+  availability: availabilitySchema,
+  imageUrl: String,  // medium variant when the image was uploaded, kept for existing clients
+  // uploaded image variants, keys are the storage keys to clean up on replace/delete
+  image: {
+    original: String,
+    medium: String,
+    thumbnail: String,
+    keys: [String],
+    uploadedAt: Date,
+  },
   category: { 
     type: mongoose.Schema.Types.ObjectId, 
     ref: "Category", 
@@ -31,6 +175,18 @@ const foodItemSchema = new mongoose.Schema({
     type: Boolean,
     default: true,
   },
+  // unpublished items are hidden from customers until a menu version publishes them
+  isPublished: {
+    type: Boolean,
+    default: true,
+  },
+  // pending menu changes (same fields as the item), go live when a menu version is published
+  draft: mongoose.Schema.Types.Mixed,
+  // true when isInStock was switched off by the inventory (not by an admin), so restocking can switch it back on
+  outOfStockByInventory: {
+    type: Boolean,
+    default: false,
+  },
   dietaryTags: [{
     type: String,
     enum: [
@@ -39,6 +195,22 @@ const foodItemSchema = new mongoose.Schema({
       'nut-free', 'organic'
     ]
   }],
+  // declared allergens, sources are the entries of `ingredients` that carry it
+  // (empty when it can't be left out, e.g. gluten in the dough)
+  allergens: [{
+    _id: false,
+    allergen: {
+      type: String,
+      enum: ALLERGENS,
+      required: true,
+    },
+    sources: [String],
+  }],
+  // cross-contamination risk, e.g. fried in the same oil
+  mayContain: [{
+    type: String,
+    enum: ALLERGENS,
+  }],
   // Added rating field
   rating: {
     type: Number,
@@ -53,6 +225,15 @@ const foodItemSchema = new mongoose.Schema({
       ref: "User",
       required: true
     },
+    // the completed order this rating belongs to, one rating per order item
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order"
+    },
+    verified: {
+      type: Boolean,
+      default: false
+    },
     comment: {
       type: String,
       trim: true
@@ -63,6 +244,59 @@ const foodItemSchema = new mongoose.Schema({
       max: 5,
       required: true
     },
+    // text analysis stored at write time so analytics can aggregate it
+    sentiment: {
+      type: String,
+      enum: ['positive', 'neutral', 'negative']
+    },
+    sentimentScore: Number,
+    emotion: String,
+    keywords: [String],
+    analyzedAt: Date,
+    // issue workflow for complaints
+    status: {
+      type: String,
+      enum: ['open', 'in-progress', 'resolved'],
+      default: 'open'
+    },
+    resolved: {
+      type: Boolean,
+      default: false
+    },
+    resolvedAt: Date,
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User"
+    },
+    assignee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User"
+    },
+    internalNotes: [{
+      author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+      },
+      note: {
+        type: String,
+        trim: true,
+        required: true
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    reply: {
+      type: String,
+      trim: true
+    },
+    repliedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User"
+    },
+    repliedAt: Date,
     createdAt: {
       type: Date,
       default: Date.now
@@ -83,6 +317,9 @@ foodItemSchema.pre("save", function (next) {
   next();
 });
 
+// deleted items are archived so past orders and analytics keep resolving them
+foodItemSchema.plugin(softDelete);
+
 const foodItem = mongoose.model("FoodItem", foodItemSchema);
 
 module.exports = foodItem;
\ No newline at end of file
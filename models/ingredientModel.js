@@ -0,0 +1,56 @@
+const mongoose = require("mongoose");
+const nutritionSchema = require("./nutritionSchema");
+
+const ingredientSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+  },
+  unit: {
+    type: String,
+    required: true,
+    enum: ["g", "kg", "ml", "l", "pcs"],
+  },
+  quantity: {  // current stock, in `unit`
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  costPerUnit: {  // purchase cost of one `unit`
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // per 100 g (g, kg) or 100 ml (ml, l), per piece for pcs
+  nutrition: nutritionSchema,
+  lowStockThreshold: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+ingredientSchema.virtual("isLowStock").get(function () {
+  return this.quantity <= this.lowStockThreshold;
+});
+
+ingredientSchema.set("toJSON", { virtuals: true });
+
+ingredientSchema.pre("save", function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const Ingredient = mongoose.model("Ingredient", ingredientSchema);
+
+module.exports = Ingredient;
@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+// Every time a menu version went live, newest last. The latest entry that was not
+// rolled back is the live menu, a rollback goes back one entry at a time.
+const menuPublicationSchema = new mongoose.Schema({
+  version: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "MenuVersion",
+    required: true,
+  },
+  publishedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  publishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  // fields the publish wrote ({ categories, items: [{ id, name, update, previous }], unpublish }), undone by a rollback
+  changes: mongoose.Schema.Types.Mixed,
+  rolledBackAt: Date,
+  rolledBackBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+});
+
+const MenuPublication = mongoose.model("MenuPublication", menuPublicationSchema);
+
+module.exports = MenuPublication;
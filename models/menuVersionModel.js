@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+
+// A named snapshot of the menu (items and categories) that can be published now,
+// scheduled for later or published again to roll back.
+const menuVersionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  note: {
+    type: String,
+    trim: true,
+  },
+  status: {
+    type: String,
+    enum: ["draft", "scheduled", "published"],
+    default: "draft",
+  },
+  // menu fields of every food item, ids and dates as strings (see menuVersionService)
+  items: [mongoose.Schema.Types.Mixed],
+  categories: [mongoose.Schema.Types.Mixed],
+  // the live menu when the version was taken ({ items, categories }), a publish only writes what the version changed
+  base: mongoose.Schema.Types.Mixed,
+  scheduledFor: Date,
+  publishError: String,  // why the last scheduled publish failed (nothing was published)
+  publishedAt: Date,  // last time this version went live (the publish history is in MenuPublication)
+  publishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+menuVersionSchema.pre("save", function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const MenuVersion = mongoose.model("MenuVersion", menuVersionSchema);
+
+module.exports = MenuVersion;
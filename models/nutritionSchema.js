@@ -0,0 +1,13 @@
+const mongoose = require("mongoose");
+
+// calories in kcal, protein / carbs / fat in g, sodium in mg
+const NUTRIENTS = ["calories", "protein", "carbs", "fat", "sodium"];
+
+// nutrition values, a missing value means unknown (not zero)
+const nutritionSchema = new mongoose.Schema(
+  Object.fromEntries(NUTRIENTS.map(nutrient => [nutrient, { type: Number, min: 0 }])),
+  { _id: false }
+);
+
+module.exports = nutritionSchema;
+module.exports.NUTRIENTS = NUTRIENTS;
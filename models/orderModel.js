@@ -1,4 +1,32 @@
 const mongoose = require("mongoose");
+const { ORDER_STATUSES } = require("../utils/orderStatus");
+const { ALLERGENS } = require("../utils/allergens");
+const nutritionSchema = require("./nutritionSchema");
+
+// chosen modifier options, copied so later menu edits don't change past orders
+const modifierSnapshotSchema = new mongoose.Schema({
+  groupId: mongoose.Schema.Types.ObjectId,
+  groupName: String,
+  optionId: mongoose.Schema.Types.ObjectId,
+  optionName: String,
+  priceDelta: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// conflicts between the line and the customer's allergen profile at order time
+const allergenWarningSchema = new mongoose.Schema({
+  allergen: {
+    type: String,
+    enum: ALLERGENS
+  },
+  level: {
+    type: String,
+    enum: ["contains", "may-contain"]
+  },
+  removedSources: [String]  // ingredients taken off the line that carried the allergen
+}, { _id: false });
 
 const orderItemSchema = new mongoose.Schema({
   foodItemId: {
@@ -15,13 +43,77 @@ const orderItemSchema = new mongoose.Schema({
     required: true,
     min: 1
   },
-  price: {  // Store price at time of ordering
+  basePrice: {  // item price before modifiers
+    type: Number,
+    min: 0
+  },
+  price: {  // Store price at time of ordering (unit price including modifiers)
     type: Number,
     required: true,
     min: 0
   },
+  modifiers: [modifierSnapshotSchema],
+  unitCost: {  // recipe cost of one portion at order time, for margin reports
+    type: Number,
+    min: 0
+  },
   removedIngredients: [String],
-  specialInstructions: String
+  // of one portion, without the removed ingredients
+  nutrition: {
+    type: new mongoose.Schema({
+      ...nutritionSchema.obj,
+      complete: Boolean,  // false when some values are unknown, the totals are then a lower bound
+    }, { _id: false }),
+  },
+  specialInstructions: String,
+  allergenWarnings: [allergenWarningSchema],
+  // set on the component lines of a bundle, points at the entry in order.bundles
+  bundleLineId: mongoose.Schema.Types.ObjectId,
+  bundleSlot: String  // slot the item was chosen for, e.g. "Drink"
+}, { _id: false });
+
+// a bundle as sold, its food items are expanded into order.items
+// (price is the unit price of the bundle, split over the component lines)
+const bundleLineSchema = new mongoose.Schema({
+  bundleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Bundle",
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+});
+
+const statusHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ORDER_STATUSES,
+    required: true
+  },
+  from: {  // previous status, empty for the initial entry
+    type: String,
+    enum: ORDER_STATUSES
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User"
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
 }, { _id: false });
 
 const orderSchema = new mongoose.Schema({
@@ -31,15 +123,34 @@ const orderSchema = new mongoose.Schema({
     required: true
   },
   items: [orderItemSchema],
+  bundles: [bundleLineSchema],
+  // DineIn orders are placed for a table and belong to its open session
+  orderType: {
+    type: String,
+    enum: ["DineIn", "Delivery", "Takeaway"]
+  },
+  table: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Table"
+  },
+  tableSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "TableSession"
+  },
   totalPrice: {
     type: Number,
     required: true
   },
   status: {
     type: String,
-    enum: ["pending", "preparing", "ready", "completed", "cancelled"],
+    enum: ORDER_STATUSES,
     default: "pending"
   },
+  statusHistory: [statusHistorySchema],
+  inventoryDeducted: {  // ingredients are consumed once, when the order moves to preparing, and put back if it is cancelled
+    type: Boolean,
+    default: false
+  },
   // Add to your Order schema:
 feedbackAnalysis: {
   sentiment: String,
@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+// Soft delete: documents are archived instead of removed, so past orders, analytics
+// and feedback keep resolving them.
+//   - adds archivedAt / archivedBy and doc.archive(user) / doc.restore()
+//   - find, findOne, findOneAndUpdate, countDocuments (and findById, exists, ...) skip archived documents
+//   - pass the query option `includeArchived: true` to see them, also works for populate:
+//       Order.find().populate({ path: "items.foodItemId", options: { includeArchived: true } })
+//   - `archived: true` returns only archived documents
+// Aggregations are not filtered, $lookup always resolves archived documents.
+const QUERY_HOOKS = ["find", "findOne", "findOneAndUpdate", "countDocuments"];
+
+module.exports = function softDelete(schema) {
+  schema.add({
+    archivedAt: {
+      type: Date,
+      default: null,
+    },
+    archivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  });
+
+  schema.pre(QUERY_HOOKS, function () {
+    const { includeArchived, archived } = this.getOptions();
+    // custom options must not reach the driver
+    delete this.options.includeArchived;
+    delete this.options.archived;
+
+    if (archived) {
+      this.where({ archivedAt: { $ne: null } });
+    } else if (!includeArchived) {
+      // documents written before the plugin have no archivedAt, null matches those too
+      this.where({ archivedAt: null });
+    }
+  });
+
+  schema.methods.archive = function (user) {
+    this.archivedAt = new Date();
+    this.archivedBy = user?._id;
+    return this.save({ validateBeforeSave: false });
+  };
+
+  schema.methods.restore = function () {
+    this.archivedAt = null;
+    this.archivedBy = undefined;
+    return this.save({ validateBeforeSave: false });
+  };
+};
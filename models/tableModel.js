@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+
+// occupied is set by the table sessions, the other statuses by staff
+const TABLE_STATUSES = ["available", "occupied", "reserved", "out-of-service"];
+
+const tableSchema = new mongoose.Schema({
+  number: {
+    type: Number,
+    required: true,
+    unique: true,
+    min: 1,
+  },
+  section: {  // e.g. "Terrace", "Main hall"
+    type: String,
+    trim: true,
+    default: "Main",
+  },
+  capacity: {  // seats
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  status: {
+    type: String,
+    enum: TABLE_STATUSES,
+    default: "available",
+  },
+  // open session seated at the table (after a merge, the session of the table it was merged into)
+  currentSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "TableSession",
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+tableSchema.pre("save", function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const Table = mongoose.model("Table", tableSchema);
+
+module.exports = Table;
+module.exports.TABLE_STATUSES = TABLE_STATUSES;
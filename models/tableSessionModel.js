@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+
+// A party seated at one or more tables, from opening to paying the bill.
+// Orders point at the session, merging tables moves them into one session.
+const tableSessionSchema = new mongoose.Schema({
+  tables: [{  // the first one is where the session was opened
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Table",
+  }],
+  status: {
+    type: String,
+    enum: ["open", "closed"],
+    default: "open",
+  },
+  guestCount: {
+    type: Number,
+    min: 1,
+  },
+  waiter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  openedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  openedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  closedAt: Date,
+  total: Number,  // sum of the session's orders when it was closed
+  mergedInto: {  // set when the session was closed by merging it into another one
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "TableSession",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+tableSessionSchema.pre("save", function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const TableSession = mongoose.model("TableSession", tableSessionSchema);
+
+module.exports = TableSession;
@@ -1,4 +1,13 @@
 const { default: mongoose } = require("mongoose");
+const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const { ALLERGENS } = require('../utils/allergens');
+const softDelete = require('./plugins/softDelete');
+
+const SALT_ROUNDS = 12;
+const RESET_TOKEN_EXPIRES_MINUTES = 10;
+// bcrypt hashes look like $2b$12$<53 chars>
+const BCRYPT_HASH_REGEX = /^\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}$/;
  
 const UserSchema = new mongoose.Schema({
     firstName: { 
@@ -13,6 +22,7 @@ const UserSchema = new mongoose.Schema({
         type: String, 
         required: [true, 'Password is required'],
         minlength: 8, 
+        select: false,
     },
     role: {
         type: String,
@@ -34,6 +44,11 @@ const UserSchema = new mongoose.Schema({
         required: [true, 'Phone number is required'],
         match: [/^\+?[1-9]\d{1,14}$/, 'Please enter a valid phone number.']
     },
+    // allergens the customer declared, checked against every order
+    allergenProfile: [{
+        type: String,
+        enum: ALLERGENS,
+    }],
     feedback: [{
         fromUserId: {
             type: mongoose.Schema.Types.ObjectId,
@@ -50,6 +65,14 @@ const UserSchema = new mongoose.Schema({
             max: 5,
             required: true
         },
+        sentiment: {
+            type: String,
+            enum: ['positive', 'neutral', 'negative']
+        },
+        sentimentScore: Number,
+        emotion: String,
+        keywords: [String],
+        analyzedAt: Date,
         createdAt: {
             type: Date,
             default: Date.now
@@ -61,12 +84,88 @@ const UserSchema = new mongoose.Schema({
         max: 5,
         default: 0
     },
+    passwordChangedAt: Date,
+    // only the sha256 of the reset token is stored, the raw token is emailed to the user
+    passwordResetToken: {
+        type: String,
+        select: false
+    },
+    passwordResetExpires: {
+        type: Date,
+        select: false
+    },
     createdAt: { 
         type: Date, 
         default: Date.now 
     },
 });
 
+// hash the password whenever it is set or changed
+UserSchema.pre('save', async function (next) {
+    if (!this.isModified('password')) return next();
+    this.password = await bcrypt.hash(this.password, SALT_ROUNDS);
+    // tokens issued before this moment are no longer valid (1s back so the new login token stays valid)
+    if (!this.isNew) this.passwordChangedAt = Date.now() - 1000;
+    next();
+});
+
+// findByIdAndUpdate skips save hooks, so hash passwords passed through updates as well
+UserSchema.pre('findOneAndUpdate', async function (next) {
+    const update = this.getUpdate();
+    if (!update) return next();
+
+    if (update.password) {
+        update.password = await bcrypt.hash(update.password, SALT_ROUNDS);
+        update.passwordChangedAt = Date.now() - 1000;
+    }
+    if (update.$set && update.$set.password) {
+        update.$set.password = await bcrypt.hash(update.$set.password, SALT_ROUNDS);
+        update.$set.passwordChangedAt = Date.now() - 1000;
+    }
+    next();
+});
+
+// compare a candidate password against the stored hash (constant time)
+UserSchema.methods.correctPassword = async function (candidatePassword) {
+    return bcrypt.compare(candidatePassword, this.password);
+};
+
+// true when the password was changed after the given JWT was issued
+UserSchema.methods.changedPasswordAfter = function (JWTTimestamp) {
+    if (!this.passwordChangedAt) return false;
+    return parseInt(this.passwordChangedAt.getTime() / 1000, 10) > JWTTimestamp;
+};
+
+// generate a single-use reset token, keep only its hash on the document
+UserSchema.methods.createPasswordResetToken = function () {
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    this.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+    this.passwordResetExpires = Date.now() + RESET_TOKEN_EXPIRES_MINUTES * 60 * 1000;
+    return resetToken;
+};
+
+UserSchema.statics.isPasswordHashed = function (password) {
+    return BCRYPT_HASH_REGEX.test(password || '');
+};
+
+UserSchema.statics.hashPassword = function (password) {
+    return bcrypt.hash(password, SALT_ROUNDS);
+};
+
+// never send the password back in API responses, even when it was selected
+UserSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.password;
+        delete ret.passwordResetToken;
+        delete ret.passwordResetExpires;
+        return ret;
+    }
+});
+
+// deleted users are archived, their feedback history stays
+UserSchema.plugin(softDelete);
+
 const User = mongoose.model('User', UserSchema);
 
-module.exports = User;
\ No newline at end of file
+module.exports = User;
+module.exports.RESET_TOKEN_EXPIRES_MINUTES = RESET_TOKEN_EXPIRES_MINUTES;
\ No newline at end of file
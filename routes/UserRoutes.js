@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router()
 const userController = require('../controllers/UserController');
 const userAnalysisController = require('../controllers/userAnalysisController');
+const { authMiddleware, restrictTo, restrictToSelfOr } = require('../middleware/authMiddleware');
 
 // Registration
 router.post('/register',userController.registerUser);
@@ -9,22 +10,35 @@ router.post('/register',userController.registerUser);
 // login
 router.post('/login',userController.login);
 
-// delete user
-router.delete('/:id',userController.deleteUser);
+// forgot / reset password
+router.post('/forgotPassword',userController.forgotPassword);
+router.patch('/resetPassword/:token',userController.resetPassword);
+
+// archived users
+router.get('/archived',authMiddleware,restrictTo('admin'),userController.getArchivedUsers);
+
+// restore an archived user
+router.patch('/:id/restore',authMiddleware,restrictTo('admin'),userController.restoreUser);
+
+// delete (archive) user
+router.delete('/:id',authMiddleware,restrictTo('admin'),userController.deleteUser);
 
 // get all user
-router.get('/',userController.getAllUsers);
+router.get('/',authMiddleware,restrictTo('admin','receptionist'),userController.getAllUsers);
 
 //get user profile
-router.get('/:id',userController.getUserDetail);
+router.get('/:id',authMiddleware,restrictToSelfOr('id','admin','receptionist'),userController.getUserDetail);
 
 //update user profile
-router.patch('/:id',userController.updateUserDetail);
+router.patch('/:id',authMiddleware,restrictToSelfOr('id','admin'),userController.updateUserDetail);
+
+// update allergen profile { allergens: [...] }, staff can set it for a customer at the table
+router.put('/:id/allergens',authMiddleware,restrictToSelfOr('id','admin','receptionist','waiter'),userController.updateAllergenProfile);
 
-// Add feedback to a user (typically for waiters)
-router.post('/:userId/feedback', userController.addFeedback);
+// Add feedback to a user (typically for waiters), as the caller (staff may pass fromUserId for a customer)
+router.post('/:userId/feedback', authMiddleware, userController.addFeedback);
 
-router.get('/:userId/feedback-analysis', userAnalysisController.getUserFeedbackAnalysis);
-router.get('/orders/:id', userController.getOrders)
+router.get('/:userId/feedback-analysis', authMiddleware, restrictTo('admin', 'chef', 'waiter'), userAnalysisController.getUserFeedbackAnalysis);
+router.get('/orders/:id', authMiddleware, restrictToSelfOr('id', 'admin', 'receptionist', 'waiter'), userController.getOrders)
 
 module.exports = router
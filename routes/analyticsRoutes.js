@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const analyticsController = require('../controllers/analyticsController');
+const { authMiddleware, restrictTo } = require('../middleware/authMiddleware');
+
+router.use(authMiddleware, restrictTo("admin"));
+
+// dashboard figures for the current month (sales, gross profit, food cost)
+router.get("/dashboard", analyticsController.getDashboardStats)
+
+// most ordered foods (alone and inside bundles) and bundles
+router.get("/top-foods", analyticsController.getTopOrderedFoods)
+
+// margin and food cost % per menu item and category (?category=<id>)
+router.get("/margins", analyticsController.getMenuMargins)
+
+// margin report over sold order lines (?from=YYYY-MM-DD&to=YYYY-MM-DD, default last 30 days)
+router.get("/margins/report", analyticsController.getMarginReport)
+
+module.exports = router
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const bundleController = require('../controllers/bundleController');
+const { authMiddleware, optionalAuth, restrictTo } = require('../middleware/authMiddleware');
+
+// get bundles (active only, admins can pass includeInactive=true)
+router.get("/", optionalAuth, bundleController.getBundles)
+
+// get a single bundle
+router.get("/:id", bundleController.getBundle)
+
+// add bundle
+router.post("/", authMiddleware, restrictTo("admin"), bundleController.addBundle)
+
+// update bundle
+router.patch("/:id", authMiddleware, restrictTo("admin"), bundleController.updateBundle)
+
+// delete bundle
+router.delete("/:id", authMiddleware, restrictTo("admin"), bundleController.deleteBundle)
+
+module.exports = router
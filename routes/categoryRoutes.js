@@ -1,15 +1,35 @@
 const express = require('express');
 const router = express.Router()
 const categoryController = require('../controllers/categoryController');
+const { authMiddleware, restrictTo } = require('../middleware/authMiddleware');
+const resolveLocale = require('../middleware/resolveLocale');
 
 // add category
-router.post('/',categoryController.addCategory);
+router.post('/',authMiddleware,restrictTo('admin'),categoryController.addCategory);
 
-// delete category
-router.delete('/',categoryController.deleteCategory);
+// archived categories
+router.get('/archived',authMiddleware,restrictTo('admin'),categoryController.getArchivedCategories);
 
-//get categories
-router.get('/',categoryController.getAllCategories);
+// restore an archived category
+router.patch('/:id/restore',authMiddleware,restrictTo('admin'),categoryController.restoreCategory);
+
+// update category (rename, move under a parent, display order, availability)
+router.patch('/:id',authMiddleware,restrictTo('admin'),categoryController.updateCategory);
+
+// delete (archive) category by id, refused while it has food items unless ?reassignTo=<categoryId>
+router.delete('/:id',authMiddleware,restrictTo('admin'),categoryController.deleteCategoryById);
+
+// set the name of a category in another locale { name }
+router.put('/:id/translations/:locale',authMiddleware,restrictTo('admin'),categoryController.setCategoryTranslation);
+
+// remove the translation of a category for one locale
+router.delete('/:id/translations/:locale',authMiddleware,restrictTo('admin'),categoryController.removeCategoryTranslation);
+
+// delete category by name (body: { name, reassignTo })
+router.delete('/',authMiddleware,restrictTo('admin'),categoryController.deleteCategory);
+
+//get categories with item counts (?tree=true nests subcategories), names in the ?lang= / Accept-Language locale
+router.get('/',resolveLocale,categoryController.getAllCategories);
 
 
 module.exports = router
\ No newline at end of file
@@ -1,33 +1,89 @@
 const express = require('express');
 const router = express.Router();
-// const { authMiddleware } = require('../middleware/authMiddleware');
+const { authMiddleware, optionalAuth, restrictTo } = require('../middleware/authMiddleware');
 // const validateRequest = require('../middleware/validateRequest');
 // const {foodItemSchema,updateFoodSchema} = require('../validation/fooItemValidator');
+const uploadImage = require('../middleware/uploadImage');
+const resolveLocale = require('../middleware/resolveLocale');
 const foodItemController = require('../controllers/foodItemController');
-// const { adminAuth } = require('../middleware/adminAuth');
 
 
-// get all food item
-router.get("/",foodItemController.getAllFoodItems)
+// get all food item (items outside their availability window and unpublished items are hidden,
+// admins can pass includeUnavailable=true / includeUnpublished=true), in the ?lang= / Accept-Language locale
+// nutrition filters per portion: minCalories, maxCalories, maxFat, maxSodium, minProtein...
+router.get("/",optionalAuth,resolveLocale,foodItemController.getAllFoodItems)
 
 
-// get a single food item
-router.get("/:id",foodItemController.getSingleFoodItem)
+// food items and categories not translated yet, per locale (?locale= for one)
+router.get("/translations/missing",authMiddleware,restrictTo("admin"),foodItemController.getMissingTranslations)
 
 
-// add food item  
-router.post("/addFoodItem",foodItemController.addFoodItem)
+// archived food items
+router.get("/archived",authMiddleware,restrictTo("admin"),foodItemController.getArchivedFoodItems)
 
 
-// delete food item by id
-router.delete("/:id",foodItemController.deleteFoodItem)
+// export the menu as csv or json (same format the import accepts)
+router.get("/export",authMiddleware,restrictTo("admin"),foodItemController.exportMenu)
 
 
-// update food item by id
-router.patch("/:id",foodItemController.updateFoodItem)
+// import a menu from a csv (text/csv) or json body, upserts by name, ?dryRun=true only validates
+router.post("/import",authMiddleware,restrictTo("admin"),express.text({ type: "text/csv", limit: "5mb" }),foodItemController.importMenu)
+
+
+// get a single food item (unpublished items for admins only), in the ?lang= / Accept-Language locale
+router.get("/:id",optionalAuth,resolveLocale,foodItemController.getSingleFoodItem)
+
+
+// add food item, ?draft=true keeps it off the menu until the next menu version is published
+router.post("/addFoodItem",authMiddleware,restrictTo("admin"),foodItemController.addFoodItem)
+
+
+// delete (archive) food item by id, ?permanent=true removes an archived item for good
+router.delete("/:id",authMiddleware,restrictTo("admin"),foodItemController.deleteFoodItem)
+
+
+// restore an archived food item
+router.patch("/:id/restore",authMiddleware,restrictTo("admin"),foodItemController.restoreFoodItem)
+
+
+// update food item by id: menu fields (name, price, category, ...) are saved as a draft for the next
+// menu version (see /api/menu), stock and other operational fields apply at once. ?live=true publishes everything now
+router.patch("/:id",authMiddleware,restrictTo("admin"),foodItemController.updateFoodItem)
+
+
+// nutrition of one portion (?removedIngredients=a,b leaves ingredients out, like an order line)
+router.get("/:id/nutrition",foodItemController.getNutrition)
+
+
+// price timeline of a food item (past changes and scheduled prices)
+router.get("/:id/prices",authMiddleware,restrictTo("admin"),foodItemController.getPriceTimeline)
+
+
+// schedule a future price { price, effectiveAt }
+router.post("/:id/prices/scheduled",authMiddleware,restrictTo("admin"),foodItemController.schedulePrice)
+
+
+// cancel a scheduled price
+router.delete("/:id/prices/scheduled/:scheduleId",authMiddleware,restrictTo("admin"),foodItemController.cancelScheduledPrice)
+
+
+// upload the image of a food item (multipart, field "image"), replaces the current one
+router.post("/:id/image",authMiddleware,restrictTo("admin"),uploadImage("image"),foodItemController.uploadImage)
+
+
+// set the recipe (ingredient usage per portion) of a food item
+router.put("/:id/recipe",authMiddleware,restrictTo("admin"),foodItemController.setRecipe)
+
+
+// set the name, description and ingredients of a food item in another locale
+router.put("/:id/translations/:locale",authMiddleware,restrictTo("admin"),foodItemController.setTranslation)
+
+
+// remove the translation of a food item for one locale
+router.delete("/:id/translations/:locale",authMiddleware,restrictTo("admin"),foodItemController.removeTranslation)
 
  
 // Add feedback to a food item
-router.post('/feedback', foodItemController.addFeedback);
+router.post('/feedback', authMiddleware, foodItemController.addFeedback);
 
 module.exports = router
\ No newline at end of file
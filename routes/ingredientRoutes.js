@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const ingredientController = require('../controllers/ingredientController');
+const { authMiddleware, restrictTo } = require('../middleware/authMiddleware');
+
+router.use(authMiddleware);
+
+// add ingredient
+router.post("/", restrictTo("admin"), ingredientController.addIngredient)
+
+// get ingredients (?lowStock=true for items at or below their threshold)
+router.get("/", restrictTo("admin", "chef"), ingredientController.getIngredients)
+
+// update ingredient (name, unit, cost per unit, threshold or stock count)
+router.patch("/:id", restrictTo("admin"), ingredientController.updateIngredient)
+
+// restock ingredient
+router.post("/:id/restock", restrictTo("admin", "chef"), ingredientController.restockIngredient)
+
+// delete ingredient
+router.delete("/:id", restrictTo("admin"), ingredientController.deleteIngredient)
+
+module.exports = router
@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const menuController = require('../controllers/menuController');
+const { authMiddleware, restrictTo } = require('../middleware/authMiddleware');
+
+router.use(authMiddleware, restrictTo("admin"));
+
+// changes waiting in drafts (draft menu vs live menu)
+router.get("/draft", menuController.getDraftChanges)
+
+// draft changes to a food item { price, name, ... }, live once a version with them is published
+router.patch("/draft/items/:id", menuController.saveItemDraft)
+
+// discard the draft of a food item
+router.delete("/draft/items/:id", menuController.discardItemDraft)
+
+// menu versions, newest first
+router.get("/versions", menuController.getVersions)
+
+// snapshot the draft menu as a new version { name, note }
+router.post("/versions", menuController.createVersion)
+
+// a version with its items and categories
+router.get("/versions/:id", menuController.getVersion)
+
+// what publishing a version would change (?against=live|draft|<version id>, default live)
+router.get("/versions/:id/diff", menuController.diffVersion)
+
+// publish a version now, or later with { publishAt }
+router.post("/versions/:id/publish", menuController.publishVersion)
+
+// cancel a scheduled publish
+router.delete("/versions/:id/schedule", menuController.cancelSchedule)
+
+// every publish and rollback, newest first
+router.get("/history", menuController.getHistory)
+
+// undo the latest publish: its changes are reverted, fields changed live since keep their value (repeat to keep going back)
+router.post("/rollback", menuController.rollback)
+
+module.exports = router
@@ -4,17 +4,25 @@ const Order = require("../models/orderModel");
 const axios = require("axios");
 const FoodItem = require("../models/foodItem");
 const { default: mongoose } = require("mongoose");
-const { HfInference } = require('@huggingface/inference');
 const User = require("../models/userModel");
+const { authMiddleware, restrictTo, streamAuth, signStreamToken } = require("../middleware/authMiddleware");
+const kitchenFeed = require("../services/kitchenFeedService");
+const feedbackIssueController = require("../controllers/feedbackIssueController");
+const tableController = require("../controllers/tableController");
+const { ISSUE_MATCH } = require("../services/feedbackIssueService");
+const textAnalysis = require("../services/sentimentProviders");
+const { extractKeywordsAndEntities, generateRecommendations } = require("../services/feedbackAnalyzer");
 
 const router = express.Router();
-const hf = new HfInference(process.env.HUGGINGFACE_API_KEY);
 
-// Place a new order
-router.post("/", orderController.createOrder);
+// Place a new order (with tableId it joins the table's open session, staff can open a free table this way)
+router.post("/", authMiddleware, orderController.createOrder);
+
+// Move an order to another table { tableId }
+router.patch("/:id/table", authMiddleware, restrictTo("admin", "receptionist", "waiter"), tableController.moveOrder);
 
 // Get recent orders (for home screen)
-router.get("/recent", orderController.getRecentOrders);
+router.get("/recent", authMiddleware, restrictTo("admin", "receptionist", "waiter", "chef"), orderController.getRecentOrders);
 
 // Enhanced AI Recommendation Engine with Full Feedback Analysis
 async function generateChefRecommendation(userId, orderedItems) {
@@ -26,7 +34,8 @@ async function generateChefRecommendation(userId, orderedItems) {
         .populate({
             path: 'feedback.userId',
             select: 'firstName lastName',
-            model: 'User'
+            model: 'User',
+            options: { includeArchived: true }
         })
         .lean();
 
@@ -39,7 +48,9 @@ async function generateChefRecommendation(userId, orderedItems) {
                     comment: fb.comment,
                     rating: fb.rating,
                     createdAt: fb.createdAt,
-                    foodItemId: foodItem._id
+                    foodItemId: foodItem._id,
+                    sentiment: fb.sentiment,
+                    sentimentScore: fb.sentimentScore
                 }))
         );
 
@@ -52,19 +63,15 @@ async function generateChefRecommendation(userId, orderedItems) {
             };
         }
 
-        // Step 1: Sentiment Analysis for each feedback comment
+        // Step 1: Sentiment for each feedback comment (stored at write time, analyzed here only for old entries)
         const feedbackWithSentiment = await Promise.all(allUserFeedback.map(async (fb) => {
+            if (fb.sentiment) return fb;
             try {
-                const sentimentResult = await hf.textClassification({
-                    model: 'cardiffnlp/twitter-roberta-base-sentiment',
-                    inputs: fb.comment
-                });
-                
-                const topSentiment = sentimentResult[0];
+                const sentimentResult = await analyzeSentiment(fb.comment);
                 return {
                     ...fb,
-                    sentiment: topSentiment.label,
-                    sentimentScore: topSentiment.score
+                    sentiment: sentimentResult.label,
+                    sentimentScore: sentimentResult.score
                 };
             } catch (error) {
                 console.error(`Error analyzing sentiment for comment: "${fb.comment}"`, error);
@@ -76,22 +83,17 @@ async function generateChefRecommendation(userId, orderedItems) {
             }
         }));
 
-        // Step 2: Summarize feedback themes using BART
+        // Step 2: Summarize feedback themes
         const feedbackSummaryText = feedbackWithSentiment.map(fb => 
             `On ${new Date(fb.createdAt).toLocaleDateString()} for ${fb.foodItem}: Rated ${fb.rating}/5 - "${fb.comment}" (${fb.sentiment}, ${(fb.sentimentScore * 100).toFixed(1)}% confidence)`
         ).join('\n');
 
         let feedbackSummary;
         try {
-            const summaryResponse = await hf.summarization({
-                model: 'facebook/bart-large-cnn',
-                inputs: feedbackSummaryText,
-                parameters: {
-                    max_length: 150,
-                    min_length: 50
-                }
+            feedbackSummary = await textAnalysis.summarize(feedbackSummaryText, {
+                maxLength: 150,
+                minLength: 50
             });
-            feedbackSummary = summaryResponse.summary_text;
         } catch (error) {
             console.error("Error summarizing feedback:", error);
             feedbackSummary = "Customer has provided mixed feedback across various dishes. Check individual comments for details.";
@@ -119,19 +121,12 @@ Provide detailed technical suggestions including:
 - Quality control measures
 - Any special considerations based on their preferences`;
 
-            const recommendationResponse = await hf.textGeneration({
-                model: 'tiiuae/falcon-7b-instruct',
-                inputs: prompt,
-                parameters: {
-                    max_new_tokens: 500,
-                    temperature: 0.7,
-                    return_full_text: false
-                }
-            });
-            recommendation = recommendationResponse.generated_text.trim();
+            recommendation = textAnalysis.generateText
+                ? await textAnalysis.generateText(prompt)
+                : buildRuleBasedRecommendation(feedbackWithSentiment);
         } catch (error) {
             console.error("Error generating recommendations:", error);
-            recommendation = "Standard preparation recommended. Check customer's past feedback for potential preferences.";
+            recommendation = buildRuleBasedRecommendation(feedbackWithSentiment);
         }
 
         // Calculate priority based on historical ratings and sentiment
@@ -175,49 +170,26 @@ Provide detailed technical suggestions including:
     }
 }
 
+// Short-lived token for opening the kitchen feed from a browser (EventSource cannot send the Authorization header)
+router.post("/chef/stream-token", authMiddleware, restrictTo("chef"), (req, res) => {
+    res.status(200).json({ success: true, token: signStreamToken(req.user) });
+});
+
+// Live kitchen feed (Server-Sent Events): order-created, status-changed, item-updated, low-stock
+// Authenticate with ?token=<stream token> or the usual bearer header
+router.get("/chef/stream", streamAuth, restrictTo("chef"), kitchenFeed.subscribe);
+
 // Get orders for chef with comprehensive AI analysis
-router.get("/chef", async (req, res) => {
+router.get("/chef", authMiddleware, restrictTo("chef"), async (req, res) => {
     try {
         const { analyze } = req.query;
         const statusFilter = ["pending", "preparing"];
 
         // Fetch orders with full population
-        let orders = await Order.find({ status: { $in: statusFilter } })
-            .sort({ createdAt: 1 })
-            .populate({
-                path: "user",
-                select: "firstName lastName role",
-                model: "User"
-            })
-            .populate({
-                path: "items.foodItemId",
-                select: "name price description preparationTime",
-                model: "FoodItem"
-            })
-            .lean();
+        let orders = await kitchenFeed.chefOrderQuery({ status: { $in: statusFilter } });
 
         // Format order data
-        orders = orders.map(order => {
-            const orderNumber = order._id.toString().substring(18, 24).toUpperCase();
-            const orderTime = new Date(order.createdAt);
-            const now = new Date();
-            const diffMinutes = Math.floor((now - orderTime) / (1000 * 60));
-            
-            return {
-                ...order,
-                orderNumber: `#${orderNumber}`,
-                orderTime: `${Math.floor(diffMinutes/60)}h ${diffMinutes%60}m ago`,
-                status: order.status.toUpperCase(),
-                formattedItems: order.items.map(item => ({
-                    name: item.foodItemId?.name || item.name,
-                    quantity: item.quantity,
-                    price: item.price || item.foodItemId?.price,
-                    preparationTime: item.foodItemId?.preparationTime || 15,
-                    specialInstructions: item.specialInstructions || ''
-                })),
-                customerName: order.user ? `${order.user.firstName} ${order.user.lastName}` : 'Guest'
-            };
-        });
+        orders = orders.map(kitchenFeed.formatChefOrder);
 
         // Add AI analysis if requested
         if (analyze === "true") {
@@ -258,48 +230,31 @@ router.get("/chef", async (req, res) => {
 });
 
 // Update order status
-router.patch("/:id/status", async (req, res) => {
-    try {
-        const { status } = req.body;
-        const validStatuses = ["pending", "preparing", "ready", "completed", "cancelled"];
-
-        if (!validStatuses.includes(status)) {
-            return res.status(400).json({ message: "Invalid status value" });
-        }
-
-        const order = await Order.findByIdAndUpdate(
-            req.params.id,
-            { status, updatedAt: new Date() },
-            { new: true }
-        );
-
-        if (!order) {
-            return res.status(404).json({ message: "Order not found" });
-        }
-
-        res.status(200).json(order);
-    } catch (error) {
-        console.error("Error updating order status:", error);
-        res.status(500).json({
-            message: "Failed to update order",
-            error: error.message,
-        });
-    }
-});
+router.patch("/:id/status", authMiddleware, restrictTo("chef", "waiter", "admin"), orderController.updateOrderStatus);
+
+// Offline recommendation for providers without text generation
+function buildRuleBasedRecommendation(feedbackWithSentiment) {
+    const text = feedbackWithSentiment.map(fb => fb.comment).filter(Boolean).join(' ');
+    const negativeCount = feedbackWithSentiment.filter(fb => fb.sentiment === 'negative').length;
+    const positiveCount = feedbackWithSentiment.filter(fb => fb.sentiment === 'positive').length;
+    const { keywords, entities } = extractKeywordsAndEntities(text);
+
+    return generateRecommendations({
+        text,
+        sentiment: negativeCount > positiveCount ? 'negative' : positiveCount > negativeCount ? 'positive' : 'neutral',
+        dominantEmotion: 'neutral',
+        keywords,
+        entities,
+        context: 'user preferences'
+    }).join('. ');
+}
 
 // Utility function for sentiment analysis
 async function analyzeSentiment(text) {
     if (!text || text.trim().length === 0) return { label: 'neutral', score: 0.5 };
     
     try {
-        const result = await hf.textClassification({
-            model: 'cardiffnlp/twitter-roberta-base-sentiment',
-            inputs: text
-        });
-        return {
-            label: result[0].label,
-            score: result[0].score
-        };
+        return await textAnalysis.analyzeSentiment(text);
     } catch (error) {
         console.error("Sentiment analysis error:", error);
         return {
@@ -310,47 +265,51 @@ async function analyzeSentiment(text) {
 }
 
 // 1. Overall Customer Satisfaction Dashboard
-router.get("/analytics/satisfaction", async (req, res) => {
+router.get("/analytics/satisfaction", authMiddleware, restrictTo("admin"), async (req, res) => {
     try {
-        // Get all food items with feedback
-        const foodItems = await FoodItem.find({ 'feedback.0': { $exists: true } })
-            .populate('feedback.userId', 'firstName lastName');
-
-        // Get all completed orders
-        const orders = await Order.find({ status: 'completed' })
-            .populate('user', 'firstName lastName');
-
-        // Calculate overall ratings
-        const allFeedback = foodItems.flatMap(item => item.feedback);
-        const totalReviews = allFeedback.length;
-        const averageRating = totalReviews > 0 
-            ? allFeedback.reduce((sum, fb) => sum + fb.rating, 0) / totalReviews
-            : 0;
-
-        // Sentiment analysis
-        const sentimentResults = await Promise.all(
-            allFeedback.map(fb => analyzeSentiment(fb.comment))
-        );
-        const sentimentDistribution = sentimentResults.reduce((acc, { label }) => {
-            acc[label] = (acc[label] || 0) + 1;
-            return acc;
-        }, { positive: 0, neutral: 0, negative: 0 });
+        // Ratings and stored sentiment across all feedback
+        const [overall] = await FoodItem.aggregate([
+            { $unwind: '$feedback' },
+            {
+                $group: {
+                    _id: null,
+                    totalReviews: { $sum: 1 },
+                    averageRating: { $avg: '$feedback.rating' },
+                    ...sentimentCounters('$feedback.sentiment')
+                }
+            }
+        ]);
+        const totalReviews = overall?.totalReviews || 0;
+        const averageRating = overall?.averageRating || 0;
+        const sentimentDistribution = toSentimentDistribution(overall);
 
         // Recent feedback samples
-        const recentFeedback = allFeedback
-            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
-            .slice(0, 5)
-            .map(fb => ({
-                _id: fb._id,
-                foodItem: foodItems.find(item => item.feedback.some(f => f._id.equals(fb._id)))?.name || 'Unknown',
-                user: fb.userId?.firstName || 'Anonymous',
-                rating: fb.rating,
-                comment: fb.comment,
-                sentiment: sentimentResults.find(sr => sr.input === fb.comment)?.label || 'neutral',
-                date: fb.createdAt,
-                replied: fb.reply ? true : false,
-                reply: fb.reply || null
-            }));
+        const recentFeedback = await FoodItem.aggregate([
+            { $unwind: '$feedback' },
+            { $sort: { 'feedback.createdAt': -1 } },
+            { $limit: 5 },
+            {
+                $lookup: {
+                    from: 'users',
+                    localField: 'feedback.userId',
+                    foreignField: '_id',
+                    as: 'feedbackUser'
+                }
+            },
+            {
+                $project: {
+                    _id: '$feedback._id',
+                    foodItem: '$name',
+                    user: { $ifNull: [{ $first: '$feedbackUser.firstName' }, 'Anonymous'] },
+                    rating: '$feedback.rating',
+                    comment: '$feedback.comment',
+                    sentiment: { $ifNull: ['$feedback.sentiment', 'neutral'] },
+                    date: '$feedback.createdAt',
+                    replied: { $cond: [{ $ifNull: ['$feedback.reply', false] }, true, false] },
+                    reply: { $ifNull: ['$feedback.reply', null] }
+                }
+            }
+        ]);
 
         // Customer retention metrics
         const repeatCustomers = await Order.aggregate([
@@ -364,7 +323,7 @@ router.get("/analytics/satisfaction", async (req, res) => {
             success: true,
             metrics: {
                 totalCustomers: await User.countDocuments(),
-                activeCustomers: await Order.distinct('user').countDocuments(),
+                activeCustomers: (await Order.distinct('user')).length,
                 repeatCustomers: repeatCustomers[0]?.repeatCustomers || 0,
                 totalReviews,
                 averageRating: parseFloat(averageRating.toFixed(1)),
@@ -388,61 +347,35 @@ router.get("/analytics/satisfaction", async (req, res) => {
 });
 
 // 2. Customer Satisfaction Over Time
-router.get("/analytics/satisfaction-trend", async (req, res) => {
+router.get("/analytics/satisfaction-trend", authMiddleware, restrictTo("admin"), async (req, res) => {
     try {
         const { period = 'month' } = req.query; // day, week, month, year
-        
-        const foodItems = await FoodItem.aggregate([
+
+        // last 30 periods, oldest first
+        const data = await FoodItem.aggregate([
             { $unwind: '$feedback' },
             {
                 $group: {
-                    _id: {
-                        [getDateGrouping(period)]: '$feedback.createdAt'
-                    },
+                    _id: { $dateTrunc: { date: '$feedback.createdAt', unit: getDateUnit(period) } },
                     averageRating: { $avg: '$feedback.rating' },
-                    count: { $sum: 1 }
+                    count: { $sum: 1 },
+                    ...sentimentCounters('$feedback.sentiment')
                 }
             },
-            { $sort: { '_id': 1 } },
-            { $limit: 30 }
+            { $sort: { '_id': -1 } },
+            { $limit: 30 },
+            { $sort: { '_id': 1 } }
         ]);
 
-        // Add sentiment data per period
-        const resultsWithSentiment = await Promise.all(
-            foodItems.map(async periodData => {
-                const feedbackInPeriod = await FoodItem.aggregate([
-                    { $unwind: '$feedback' },
-                    {
-                        $match: {
-                            'feedback.createdAt': {
-                                $gte: new Date(periodData._id),
-                                $lt: getNextPeriodDate(new Date(periodData._id), period)
-                            }
-                        }
-                    },
-                    { $sample: { size: 10 } }
-                ]);
-
-                const sentimentAnalysis = await Promise.all(
-                    feedbackInPeriod.map(fb => analyzeSentiment(fb.feedback.comment))
-                );
-
-                const sentimentCount = sentimentAnalysis.reduce((acc, { label }) => {
-                    acc[label] = (acc[label] || 0) + 1;
-                    return acc;
-                }, { positive: 0, neutral: 0, negative: 0 });
-
-                return {
-                    ...periodData,
-                    sentiment: sentimentCount
-                };
-            })
-        );
-
         res.status(200).json({
             success: true,
             period,
-            data: resultsWithSentiment,
+            data: data.map(periodData => ({
+                _id: periodData._id,
+                averageRating: periodData.averageRating,
+                count: periodData.count,
+                sentiment: toSentimentDistribution(periodData)
+            })),
             timestamp: new Date()
         });
 
@@ -457,7 +390,7 @@ router.get("/analytics/satisfaction-trend", async (req, res) => {
 });
 
 // 3. Individual Customer Satisfaction Profiles
-router.get("/analytics/customers/:id/satisfaction", async (req, res) => {
+router.get("/analytics/customers/:id/satisfaction", authMiddleware, restrictTo("admin"), async (req, res) => {
     try {
         const { id } = req.params;
 
@@ -467,16 +400,45 @@ router.get("/analytics/customers/:id/satisfaction", async (req, res) => {
                 message: "Invalid customer ID" 
             });
         }
+        const customerId = new mongoose.Types.ObjectId(id);
 
-        // Get all feedback from this customer
-        const foodItems = await FoodItem.find({ 'feedback.userId': id })
-            .populate('feedback.userId', 'firstName lastName');
-
-        const customerFeedback = foodItems.flatMap(item => 
-            item.feedback.filter(fb => fb.userId && fb.userId._id.toString() === id)
-        );
+        // Stats and latest entries of this customer's feedback
+        const [result] = await FoodItem.aggregate([
+            { $match: { 'feedback.userId': customerId } },
+            { $unwind: '$feedback' },
+            { $match: { 'feedback.userId': customerId } },
+            {
+                $facet: {
+                    stats: [
+                        {
+                            $group: {
+                                _id: null,
+                                totalFeedback: { $sum: 1 },
+                                averageRating: { $avg: '$feedback.rating' },
+                                ...sentimentCounters('$feedback.sentiment')
+                            }
+                        }
+                    ],
+                    recentFeedback: [
+                        { $sort: { 'feedback.createdAt': -1 } },
+                        { $limit: 5 },
+                        {
+                            $project: {
+                                _id: 0,
+                                foodItem: '$name',
+                                rating: '$feedback.rating',
+                                comment: '$feedback.comment',
+                                sentiment: { $ifNull: ['$feedback.sentiment', 'neutral'] },
+                                date: '$feedback.createdAt'
+                            }
+                        }
+                    ]
+                }
+            }
+        ]);
+        const stats = result.stats[0];
 
-        if (customerFeedback.length === 0) {
+        if (!stats) {
             return res.status(200).json({
                 success: true,
                 message: "No feedback found for this customer",
@@ -485,49 +447,33 @@ router.get("/analytics/customers/:id/satisfaction", async (req, res) => {
             });
         }
 
-        // Calculate customer stats
-        const averageRating = customerFeedback.reduce((sum, fb) => sum + fb.rating, 0) / customerFeedback.length;
-        const sentimentResults = await Promise.all(
-            customerFeedback.map(fb => analyzeSentiment(fb.comment))
-        );
-        const sentimentDistribution = sentimentResults.reduce((acc, { label }) => {
-            acc[label] = (acc[label] || 0) + 1;
-            return acc;
-        }, { positive: 0, neutral: 0, negative: 0 });
+        const sentimentDistribution = toSentimentDistribution(stats);
+        const customer = await User.findById(id).select('firstName lastName');
 
         // Get customer's order history
         const orderHistory = await Order.find({ user: id, status: 'completed' })
             .sort({ createdAt: -1 })
             .limit(10)
-            .populate('items.foodItemId', 'name');
+            .populate({ path: 'items.foodItemId', select: 'name', options: { includeArchived: true } });
 
         res.status(200).json({
             success: true,
             customerId: id,
-            customerName: customerFeedback[0].userId?.firstName + ' ' + customerFeedback[0].userId?.lastName,
+            customerName: customer ? `${customer.firstName} ${customer.lastName}` : 'Unknown',
             metrics: {
-                totalFeedback: customerFeedback.length,
-                averageRating: parseFloat(averageRating.toFixed(1)),
+                totalFeedback: stats.totalFeedback,
+                averageRating: parseFloat(stats.averageRating.toFixed(1)),
                 sentimentDistribution,
-                satisfactionScore: calculateSatisfactionScore(averageRating, sentimentDistribution),
+                satisfactionScore: calculateSatisfactionScore(stats.averageRating, sentimentDistribution),
                 lastOrderDate: orderHistory[0]?.createdAt || null,
                 totalOrders: await Order.countDocuments({ user: id })
             },
-            recentFeedback: customerFeedback
-                .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
-                .slice(0, 5)
-                .map(fb => ({
-                    foodItem: foodItems.find(item => item.feedback.some(f => f._id.equals(fb._id)))?.name || 'Unknown',
-                    rating: fb.rating,
-                    comment: fb.comment,
-                    sentiment: sentimentResults.find(sr => sr.input === fb.comment)?.label || 'neutral',
-                    date: fb.createdAt
-                })),
+            recentFeedback: result.recentFeedback,
             orderHistory: orderHistory.map(order => ({
                 orderId: order._id,
                 date: order.createdAt,
-                items: order.items.map(item => item.foodItemId?.name || 'Unknown'),
-                total: order.totalAmount
+                items: order.items.map(item => item.foodItemId?.name || item.name || 'Unknown'),
+                total: order.totalPrice
             })),
             timestamp: new Date()
         });
@@ -543,7 +489,7 @@ router.get("/analytics/customers/:id/satisfaction", async (req, res) => {
 });
 
 // 4. Food Item Satisfaction Analysis
-router.get("/analytics/food-items/:id/satisfaction", async (req, res) => {
+router.get("/analytics/food-items/:id/satisfaction", authMiddleware, restrictTo("admin"), async (req, res) => {
     try {
         const { id } = req.params;
 
@@ -553,9 +499,9 @@ router.get("/analytics/food-items/:id/satisfaction", async (req, res) => {
                 message: "Invalid food item ID" 
             });
         }
+        const foodItemId = new mongoose.Types.ObjectId(id);
 
-        const foodItem = await FoodItem.findById(id)
-            .populate('feedback.userId', 'firstName lastName');
+        const foodItem = await FoodItem.findById(id).select('name');
 
         if (!foodItem) {
             return res.status(404).json({ 
@@ -564,7 +510,56 @@ router.get("/analytics/food-items/:id/satisfaction", async (req, res) => {
             });
         }
 
-        if (foodItem.feedback.length === 0) {
+        // Stats and latest entries of this item's feedback
+        const [result] = await FoodItem.aggregate([
+            { $match: { _id: foodItemId } },
+            { $unwind: '$feedback' },
+            {
+                $facet: {
+                    stats: [
+                        {
+                            $group: {
+                                _id: null,
+                                totalFeedback: { $sum: 1 },
+                                averageRating: { $avg: '$feedback.rating' },
+                                ...sentimentCounters('$feedback.sentiment')
+                            }
+                        }
+                    ],
+                    recentFeedback: [
+                        { $sort: { 'feedback.createdAt': -1 } },
+                        { $limit: 5 },
+                        {
+                            $lookup: {
+                                from: 'users',
+                                localField: 'feedback.userId',
+                                foreignField: '_id',
+                                as: 'feedbackUser'
+                            }
+                        },
+                        {
+                            $project: {
+                                _id: 0,
+                                customer: {
+                                    $ifNull: [
+                                        { $concat: [{ $first: '$feedbackUser.firstName' }, ' ', { $first: '$feedbackUser.lastName' }] },
+                                        'Anonymous'
+                                    ]
+                                },
+                                rating: '$feedback.rating',
+                                comment: '$feedback.comment',
+                                sentiment: { $ifNull: ['$feedback.sentiment', 'neutral'] },
+                                date: '$feedback.createdAt',
+                                reply: { $ifNull: ['$feedback.reply', null] }
+                            }
+                        }
+                    ]
+                }
+            }
+        ]);
+        const stats = result.stats[0];
+
+        if (!stats) {
             return res.status(200).json({
                 success: true,
                 message: "No feedback found for this item",
@@ -574,20 +569,12 @@ router.get("/analytics/food-items/:id/satisfaction", async (req, res) => {
             });
         }
 
-        // Calculate item stats
-        const averageRating = foodItem.feedback.reduce((sum, fb) => sum + fb.rating, 0) / foodItem.feedback.length;
-        const sentimentResults = await Promise.all(
-            foodItem.feedback.map(fb => analyzeSentiment(fb.comment))
-        );
-        const sentimentDistribution = sentimentResults.reduce((acc, { label }) => {
-            acc[label] = (acc[label] || 0) + 1;
-            return acc;
-        }, { positive: 0, neutral: 0, negative: 0 });
+        const sentimentDistribution = toSentimentDistribution(stats);
 
         // Get recent orders containing this item
         const recentOrders = await Order.aggregate([
             { $unwind: '$items' },
-            { $match: { 'items.foodItemId': mongoose.Types.ObjectId(id) } },
+            { $match: { 'items.foodItemId': foodItemId } },
             { $sort: { createdAt: -1 } },
             { $limit: 10 },
             {
@@ -606,29 +593,19 @@ router.get("/analytics/food-items/:id/satisfaction", async (req, res) => {
             foodItemId: id,
             foodItemName: foodItem.name,
             metrics: {
-                totalFeedback: foodItem.feedback.length,
-                averageRating: parseFloat(averageRating.toFixed(1)),
+                totalFeedback: stats.totalFeedback,
+                averageRating: parseFloat(stats.averageRating.toFixed(1)),
                 sentimentDistribution,
-                satisfactionScore: calculateSatisfactionScore(averageRating, sentimentDistribution),
+                satisfactionScore: calculateSatisfactionScore(stats.averageRating, sentimentDistribution),
                 lastOrdered: recentOrders[0]?.createdAt || null,
                 totalOrders: await Order.countDocuments({ 'items.foodItemId': id })
             },
-            recentFeedback: foodItem.feedback
-                .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
-                .slice(0, 5)
-                .map((fb, index) => ({
-                    customer: fb.userId?.firstName + ' ' + fb.userId?.lastName || 'Anonymous',
-                    rating: fb.rating,
-                    comment: fb.comment,
-                    sentiment: sentimentResults[index]?.label || 'neutral',
-                    date: fb.createdAt,
-                    reply: fb.reply || null
-                })),
+            recentFeedback: result.recentFeedback,
             recentOrders: recentOrders.map(order => ({
                 orderId: order._id,
                 date: order.createdAt,
                 customer: order.user.firstName + ' ' + order.user.lastName,
-                quantity: order.items.find(i => i.foodItemId.toString() === id).quantity
+                quantity: order.items.quantity
             })),
             timestamp: new Date()
         });
@@ -644,59 +621,17 @@ router.get("/analytics/food-items/:id/satisfaction", async (req, res) => {
 });
 
 // 5. Add reply to feedback
-router.post("/food-items/:foodItemId/feedback/:feedbackId/reply", async (req, res) => {
-    try {
-        const { foodItemId, feedbackId } = req.params;
-        const { reply } = req.body;
-
-        if (!mongoose.Types.ObjectId.isValid(foodItemId) || !mongoose.Types.ObjectId.isValid(feedbackId)) {
-            return res.status(400).json({ 
-                success: false,
-                message: "Invalid food item or feedback ID" 
-            });
-        }
+router.post("/food-items/:foodItemId/feedback/:feedbackId/reply", authMiddleware, restrictTo("admin"), feedbackIssueController.replyToFeedback);
 
-        const foodItem = await FoodItem.findById(foodItemId);
-        if (!foodItem) {
-            return res.status(404).json({ 
-                success: false,
-                message: "Food item not found" 
-            });
-        }
+// 6. Feedback issue workflow
+// open issues (rating < 3, negative sentiment or complaint words), most severe first
+router.get("/feedback/issues", authMiddleware, restrictTo("admin"), feedbackIssueController.getIssues);
 
-        const feedback = foodItem.feedback.id(feedbackId);
-        if (!feedback) {
-            return res.status(404).json({ 
-                success: false,
-                message: "Feedback not found" 
-            });
-        }
-
-        feedback.reply = reply;
-        feedback.repliedAt = new Date();
-        await foodItem.save();
+// change status (open / in-progress / resolved) or assignee
+router.patch("/food-items/:foodItemId/feedback/:feedbackId", authMiddleware, restrictTo("admin"), feedbackIssueController.updateIssue);
 
-        res.status(200).json({
-            success: true,
-            message: "Reply added successfully",
-            feedback: {
-                _id: feedback._id,
-                comment: feedback.comment,
-                rating: feedback.rating,
-                reply: feedback.reply,
-                repliedAt: feedback.repliedAt
-            }
-        });
-
-    } catch (error) {
-        console.error("Error adding reply to feedback:", error);
-        res.status(500).json({
-            success: false,
-            message: "Failed to add reply to feedback",
-            error: process.env.NODE_ENV === 'development' ? error.message : null
-        });
-    }
-});
+// internal staff notes
+router.post("/food-items/:foodItemId/feedback/:feedbackId/notes", authMiddleware, restrictTo("admin"), feedbackIssueController.addInternalNote);
 
 // Helper Functions
 
@@ -720,25 +655,26 @@ function calculateSatisfactionScore(averageRating, sentimentDistribution) {
     ).toFixed(2)) * 100;
 }
 
-function getDateGrouping(period) {
-    switch (period) {
-        case 'day': return '$dayOfYear';
-        case 'week': return '$week';
-        case 'month': return '$month';
-        case 'year': return '$year';
-        default: return '$month';
-    }
+function getDateUnit(period) {
+    return ['day', 'week', 'month', 'year'].includes(period) ? period : 'month';
 }
 
-function getNextPeriodDate(date, period) {
-    const result = new Date(date);
-    switch (period) {
-        case 'day': result.setDate(result.getDate() + 1); break;
-        case 'week': result.setDate(result.getDate() + 7); break;
-        case 'month': result.setMonth(result.getMonth() + 1); break;
-        case 'year': result.setFullYear(result.getFullYear() + 1); break;
-    }
-    return result;
+// $group accumulators counting stored sentiment labels, unanalyzed feedback counts as neutral
+function sentimentCounters(path) {
+    const label = { $ifNull: [path, 'neutral'] };
+    return {
+        positive: { $sum: { $cond: [{ $eq: [label, 'positive'] }, 1, 0] } },
+        neutral: { $sum: { $cond: [{ $eq: [label, 'neutral'] }, 1, 0] } },
+        negative: { $sum: { $cond: [{ $eq: [label, 'negative'] }, 1, 0] } }
+    };
+}
+
+function toSentimentDistribution(counts) {
+    return {
+        positive: counts?.positive || 0,
+        neutral: counts?.neutral || 0,
+        negative: counts?.negative || 0
+    };
 }
 
 async function getTrendingItems() {
@@ -778,25 +714,14 @@ async function getTrendingItems() {
 async function countReportedIssues() {
     return FoodItem.aggregate([
         { $unwind: '$feedback' },
-        {
-            $match: {
-                $or: [
-                    { 'feedback.rating': { $lt: 3 } },
-                    { 
-                        'feedback.comment': { 
-                            $regex: /(bad|poor|terrible|horrible|awful|disappointing|issue|problem)/i 
-                        } 
-                    }
-                ]
-            }
-        },
+        { $match: ISSUE_MATCH },
         {
             $group: {
                 _id: null,
                 count: { $sum: 1 },
                 unresolved: {
                     $sum: {
-                        $cond: [{ $eq: ['$feedback.resolved', false] }, 1, 0]
+                        $cond: [{ $ne: ['$feedback.resolved', true] }, 1, 0]
                     }
                 }
             }
@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const tableController = require('../controllers/tableController');
+const { authMiddleware, restrictTo } = require('../middleware/authMiddleware');
+
+router.use(authMiddleware);
+
+const staff = restrictTo("admin", "receptionist", "waiter");
+
+// every table with its status, open session and open order total (?section=)
+router.get("/floor", staff, tableController.getFloor)
+
+// a table session with its tables, orders and total
+router.get("/sessions/:id", staff, tableController.getSession)
+
+// close a table session (refused while orders are not completed or cancelled), frees its tables
+router.post("/sessions/:id/close", staff, tableController.closeSession)
+
+// tables (?section=)
+router.get("/", staff, tableController.getTables)
+
+// add a table { number, section, capacity }
+router.post("/", restrictTo("admin"), tableController.addTable)
+
+// update a table (number, section, capacity, status available|reserved|out-of-service)
+router.patch("/:id", restrictTo("admin"), tableController.updateTable)
+
+// remove a table (refused while a session is open on it)
+router.delete("/:id", restrictTo("admin"), tableController.deleteTable)
+
+// seat a party at a table { guestCount, waiter }
+router.post("/:id/open", staff, tableController.openSession)
+
+// merge this table's session into another table's { targetTableId }
+router.post("/:id/merge", staff, tableController.mergeTables)
+
+module.exports = router
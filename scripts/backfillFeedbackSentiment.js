@@ -0,0 +1,54 @@
+// Backfill: store sentiment, emotion and keywords on feedback written before they were computed at write time.
+// Usage: npm run backfill:feedback-sentiment [-- --force]   (--force re-analyzes every entry)
+const mongoose = require('mongoose');
+const connectDB = require('../config/dbConfig');
+const FoodItem = require('../models/foodItem');
+const User = require('../models/userModel');
+const { analyzeFeedbackEntry } = require('../services/feedbackAnalyzer');
+
+const force = process.argv.includes('--force');
+
+// update matching feedback entries in place, without re-validating the whole parent document
+const backfill = async (Model, label) => {
+    // any entry without analyzedAt, a document may mix analyzed and older unanalyzed entries
+    const filter = force ? { 'feedback.0': { $exists: true } } : { feedback: { $elemMatch: { analyzedAt: { $exists: false } } } };
+    // archived records keep their feedback history, backfill them too
+    const docs = await Model.find(filter).setOptions({ includeArchived: true }).select('feedback').lean();
+    let updated = 0;
+
+    for (const doc of docs) {
+        for (const fb of doc.feedback) {
+            if (!force && fb.analyzedAt) continue;
+
+            const analysis = await analyzeFeedbackEntry(fb.comment);
+            await Model.collection.updateOne(
+                { _id: doc._id, 'feedback._id': fb._id },
+                {
+                    $set: {
+                        'feedback.$.sentiment': analysis.sentiment,
+                        'feedback.$.sentimentScore': analysis.sentimentScore,
+                        'feedback.$.emotion': analysis.emotion,
+                        'feedback.$.keywords': analysis.keywords,
+                        'feedback.$.analyzedAt': analysis.analyzedAt
+                    }
+                }
+            );
+            updated++;
+        }
+    }
+
+    console.log(`${label}: analyzed ${updated} feedback entries on ${docs.length} documents.`);
+};
+
+const run = async () => {
+    await connectDB();
+    await backfill(FoodItem, 'Food items');
+    await backfill(User, 'Staff');
+};
+
+run()
+    .catch((error) => {
+        console.log("Feedback sentiment backfill failed.", error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.connection.close());
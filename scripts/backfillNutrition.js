@@ -0,0 +1,18 @@
+// Backfill: compute the stored nutrition of food items whose recipes were set before nutrition was tracked.
+// Usage: npm run backfill:nutrition
+const mongoose = require('mongoose');
+const connectDB = require('../config/dbConfig');
+const { refreshNutrition } = require('../services/nutritionService');
+
+const run = async () => {
+    await connectDB();
+    const count = await refreshNutrition({ 'recipe.0': { $exists: true } });
+    console.log(`Food items: computed nutrition for ${count} recipes.`);
+};
+
+run()
+    .catch((error) => {
+        console.log("Nutrition backfill failed.", error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.connection.close());
@@ -0,0 +1,31 @@
+// One-shot migration: rehash every user password that is still stored in plaintext.
+// Usage: npm run migrate:hash-passwords
+const mongoose = require('mongoose');
+const connectDB = require('../config/dbConfig');
+const User = require('../models/userModel');
+
+const migrate = async () => {
+    await connectDB();
+
+    // archived users included, a restored account must not come back with a plaintext password
+    const users = await User.find().setOptions({ includeArchived: true }).select('+password');
+    let migrated = 0;
+
+    for (const user of users) {
+        if (!user.password || User.isPasswordHashed(user.password)) continue;
+
+        // write straight to the collection so legacy records that fail current validation are still migrated
+        const hashed = await User.hashPassword(user.password);
+        await User.collection.updateOne({ _id: user._id }, { $set: { password: hashed } });
+        migrated++;
+    }
+
+    console.log(`Rehashed ${migrated} of ${users.length} user passwords.`);
+};
+
+migrate()
+    .catch((error) => {
+        console.log("Password migration failed.", error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.connection.close());
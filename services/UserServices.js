@@ -1,6 +1,19 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 const User = require('../models/userModel');
 const Order = require('../models/orderModel');
 const customError = require('../utils/CustomErrorhandlerClass');
+const emailService = require('./emailService');
+const { ALLERGENS } = require('../utils/allergens');
+
+// sign an access token carrying the user id and role
+const signToken = (user) => {
+    return jwt.sign(
+      { id: user._id, role: user.role },
+      process.env.JWT_SECRET,
+      { expiresIn: process.env.JWT_EXPIRES_IN || '1d' }
+    );
+};
 
 exports.register = async (userData) => {
     const { phoneNumber, email } = userData;
@@ -28,6 +41,14 @@ exports.register = async (userData) => {
     if (email && email.trim() === "") {
       delete userData.email; // Remove the email field entirely
     }
+
+    // archived accounts still hold their email in the unique index, they have to be restored instead
+    const archivedUser = await User.findOne({
+      $or: [{ phoneNumber }, ...(userData.email ? [{ email: userData.email }] : [])]
+    }).setOptions({ archived: true });
+    if (archivedUser) {
+      throw new customError("An archived account uses this phone number or email. Ask us to restore it instead of registering again.", 409);
+    }
   
     // Create the new user
     const user = new User(userData);
@@ -40,17 +61,62 @@ exports.register = async (userData) => {
     const { password, email } = userData;
   
     // Check for duplicate phone number
-    const user = await User.findOne({ email });
+    const user = await User.findOne({ email }).select('+password');
     if (!user) {
       throw new customError("Customer with this email doesn't exists.", 400);
     }
 
-    if(user.password != password){
+    if(!password || !(await user.correctPassword(password))){
       throw new customError("Incorrect password", 401);
     }
-    return user;
+
+    const token = signToken(user);
+    return { user, token };
   };
 
+// forgot password - email a reset link, the response is the same whether or not the email is registered
+exports.forgotPassword = async (email, req) => {
+    if (!email) {
+      throw new customError("Email is required.", 400);
+    }
+
+    const user = await User.findOne({ email });
+    if (!user) return;
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    try {
+      await emailService.sendResetEmail(user.email, resetToken, req, User.RESET_TOKEN_EXPIRES_MINUTES);
+    } catch (error) {
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save({ validateBeforeSave: false });
+      throw new customError("There was an error sending the email. Try again later.", 500);
+    }
+};
+
+// reset password - consume the token, set the new password and log the user in
+exports.resetPassword = async (resetToken, password) => {
+    const hashedToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+
+    const user = await User.findOne({
+      passwordResetToken: hashedToken,
+      passwordResetExpires: { $gt: Date.now() }
+    });
+    if (!user) {
+      throw new customError("Token is invalid or has expired.", 400);
+    }
+
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    const token = signToken(user);
+    return { user, token };
+};
+
 // get all User
 exports.getAllUsers = async () => {  
     const customers = await User.find().sort({ createdAt: -1 }); ;
@@ -127,14 +193,73 @@ exports.updateUserDetail = async (userId, userData) => {
   };
 
 
-// delete User
-exports.delete = async (userId) => {
+// update allergen profile (replaces the whole list)
+exports.updateAllergenProfile = async (userId, allergens) => {
+    if (!Array.isArray(allergens)) {
+        throw new customError("allergens must be an array.", 400);
+    }
+    const unknown = allergens.filter(allergen => !ALLERGENS.includes(allergen));
+    if (unknown.length > 0) {
+        throw new customError(`Unknown allergens: ${unknown.join(", ")}. Allowed: ${ALLERGENS.join(", ")}`, 400);
+    }
+
+    const user = await User.findByIdAndUpdate(
+        userId,
+        { allergenProfile: [...new Set(allergens)] },
+        { new: true, runValidators: true }
+    );
+    if (!user) {
+        throw new customError("Customer doesn't exist.", 400);
+    }
+    return user;
+};
+
+// delete (archive) User, orders and staff feedback keep pointing at the archived user
+exports.delete = async (userId, currentUser) => {
  
+    if (currentUser && currentUser._id.toString() === String(userId)) {
+        throw new customError("You can't delete your own account.", 400);
+    }
+
     const existingUser = await User.findById(userId);
     if (!existingUser) {
         throw new customError("Customer doesn't exist.", 400);
     }
     
-    await existingUser.deleteOne()
+    await existingUser.archive(currentUser)
 
 };
+
+
+// get archived Users
+exports.getArchivedUsers = async () => {
+    return await User.find()
+        .setOptions({ archived: true })
+        .select('-feedback')
+        .populate({ path: 'archivedBy', select: 'firstName lastName role', options: { includeArchived: true } })
+        .sort({ archivedAt: -1 });
+};
+
+
+// restore User
+exports.restore = async (userId) => {
+    const user = await User.findById(userId).setOptions({ archived: true });
+    if (!user) {
+        throw new customError("Archived user doesn't exist.", 404);
+    }
+
+    // the email or phone number may have been registered again in the meantime
+    const conflict = await User.findOne({
+        _id: { $ne: user._id },
+        $or: [
+            ...(user.email ? [{ email: user.email }] : []),
+            { phoneNumber: user.phoneNumber }
+        ]
+    });
+    if (conflict) {
+        throw new customError("Another user already uses this email or phone number.", 400);
+    }
+
+    await user.restore();
+    return user;
+};
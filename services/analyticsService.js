@@ -50,41 +50,71 @@ exports.getMostOrderedLocations = async () => {
 };
 
 
-// top foods
+// top foods, items sold inside a bundle count for the food item as well as for the bundle
 exports.getTopOrderedFoods = async () => {
-    const topFoods = await Order.aggregate([
-        { $unwind: "$items" }, // Flatten items array
-        {
-            $group: {
-                _id: "$items.foodItem",
-                totalOrdered: { $sum: "$items.quantity" }
+    const [topFoods, topBundles] = await Promise.all([
+        Order.aggregate([
+            { $unwind: "$items" }, // Flatten items array
+            {
+                $group: {
+                    _id: "$items.foodItemId",
+                    totalOrdered: { $sum: "$items.quantity" },
+                    inBundles: {
+                        $sum: { $cond: [{ $ifNull: ["$items.bundleLineId", false] }, "$items.quantity", 0] }
+                    }
+                }
+            },
+            { $sort: { totalOrdered: -1 } },
+            { $limit: 5 },
+            {
+                $lookup: {
+                    from: "fooditems", // Match the FoodItem collection name
+                    localField: "_id",
+                    foreignField: "_id",
+                    as: "foodDetails"
+                }
+            },
+            { $unwind: "$foodDetails" },
+            {
+                $project: {
+                    _id: 0,
+                    foodItemId: "$_id",
+                    name: "$foodDetails.name",
+                    totalOrdered: 1,
+                    inBundles: 1,
+                    alone: { $subtract: ["$totalOrdered", "$inBundles"] }
+                }
             }
-        },
-        { $sort: { totalOrdered: -1 } },
-        { $limit: 5 },
-        {
-            $lookup: {
-                from: "fooditems", // Match the FoodItem collection name
-                localField: "_id",
-                foreignField: "_id",
-                as: "foodDetails"
+        ]),
+        Order.aggregate([
+            { $unwind: "$bundles" },
+            {
+                $group: {
+                    _id: "$bundles.bundleId",
+                    name: { $last: "$bundles.name" },
+                    totalOrdered: { $sum: "$bundles.quantity" },
+                    revenue: { $sum: { $multiply: ["$bundles.price", "$bundles.quantity"] } }
+                }
+            },
+            { $sort: { totalOrdered: -1 } },
+            { $limit: 5 },
+            {
+                $project: {
+                    _id: 0,
+                    bundleId: "$_id",
+                    name: 1,
+                    totalOrdered: 1,
+                    revenue: 1
+                }
             }
-        },
-        { $unwind: "$foodDetails" },
-        {
-            $project: {
-                _id: 0,
-                name: "$foodDetails.name",
-                totalOrdered: 1
-            }
-        }
+        ])
     ]);
 
-    if (!topFoods.length) {
+    if (!topFoods.length && !topBundles.length) {
         throw new CustomError("No food order data available.", 404);
     }
 
-    return topFoods;
+    return { foods: topFoods, bundles: topBundles };
 };
 
 
@@ -211,18 +241,41 @@ const aggregateSales = async (start, end, orderType) => {
                 totalSales: { 
                     $sum: { $multiply: ["$items.price", "$items.quantity"] } 
                 }, 
+                // recipe cost captured at order time, lines without one (no recipe) are reported
+                // apart as uncosted instead of counting as free
+                totalCost: {
+                    $sum: { $multiply: [{ $ifNull: ["$items.unitCost", 0] }, "$items.quantity"] }
+                },
+                uncostedSales: {
+                    $sum: {
+                        $cond: [
+                            { $eq: [{ $type: "$items.unitCost" }, "missing"] },
+                            { $multiply: ["$items.price", "$items.quantity"] },
+                            0
+                        ]
+                    }
+                },
+                uncostedQuantity: {
+                    $sum: { $cond: [{ $eq: [{ $type: "$items.unitCost" }, "missing"] }, "$items.quantity", 0] }
+                },
                 orderCount: { $sum: 1 } 
             } 
         }
     ]);
-    return result.length > 0 ? result[0] : { totalSales: 0, orderCount: 0 };
+    const sales = result.length > 0 ? result[0] : { totalSales: 0, totalCost: 0, uncostedSales: 0, uncostedQuantity: 0, orderCount: 0 };
+    return { ...sales, costedSales: sales.totalSales - sales.uncostedSales };
 };
 
+const round1 = (value) => Math.round(value * 10) / 10;
+
 const calculatePercentage = (current, previous) => {
     if (previous === 0) return current > 0 ? 100 : 0;
-    return ((current - previous) / previous * 100).toFixed(1);
+    return round1((current - previous) / previous * 100);
 };
 
+// food cost % of the sales whose cost is known
+const foodCostPercent = (sales) => sales.costedSales > 0 ? round1(sales.totalCost / sales.costedSales * 100) : null;
+
 exports.getDashboardStats = async () => {
     const currentMonthStart = new Date();
     currentMonthStart.setDate(1);
@@ -241,7 +294,7 @@ exports.getDashboardStats = async () => {
     const recentOrders = await Order.find({orderType:"Delivery"})
         .sort({ createdAt: -1 })
         .limit(5)
-        .populate("items.foodItem");
+        .populate({ path: "items.foodItemId", select: "name", options: { includeArchived: true } });
 
     return {
         totalDineInSales: currentDineIn.totalSales,
@@ -252,6 +305,15 @@ exports.getDashboardStats = async () => {
         deliverySalesChange: calculatePercentage(currentDelivery.totalSales, prevDelivery.totalSales),
         dineInOrdersChange: calculatePercentage(currentDineIn.orderCount, prevDineIn.orderCount),
         deliveryOrdersChange: calculatePercentage(currentDelivery.orderCount, prevDelivery.orderCount),
+        // gross profit and food cost % cover the costed sales only, uncosted sales are listed apart
+        dineInGrossProfit: currentDineIn.costedSales - currentDineIn.totalCost,
+        deliveryGrossProfit: currentDelivery.costedSales - currentDelivery.totalCost,
+        dineInFoodCostPercent: foodCostPercent(currentDineIn),
+        deliveryFoodCostPercent: foodCostPercent(currentDelivery),
+        dineInUncostedSales: currentDineIn.uncostedSales,
+        deliveryUncostedSales: currentDelivery.uncostedSales,
+        dineInUncostedQuantity: currentDineIn.uncostedQuantity,
+        deliveryUncostedQuantity: currentDelivery.uncostedQuantity,
         recentOrders
     };
 }
\ No newline at end of file
@@ -0,0 +1,167 @@
+const mongoose = require("mongoose");
+const Bundle = require("../models/bundleModel");
+const FoodItem = require("../models/foodItem");
+const Category = require("../models/categoryModel");
+const customError = require("../utils/CustomErrorhandlerClass");
+const categoryService = require("./categoryService");
+
+const BUNDLE_FIELDS = ["name", "description", "price", "components", "slots", "imageUrl", "isActive", "availability"];
+
+const populateBundle = (query) => query
+  .populate("components.foodItem", "name price imageUrl isInStock")
+  .populate("slots.category", "name")
+  .populate("slots.foodItems", "name price imageUrl isInStock");
+
+const findBundle = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new customError("Invalid bundle id", 400);
+  }
+  const bundle = await Bundle.findById(id);
+  if (!bundle) {
+    throw new customError("Bundle not found", 404);
+  }
+  return bundle;
+};
+
+// every food item and category a bundle points at has to exist
+const checkReferences = async ({ components = [], slots = [] }) => {
+  const foodItemIds = [
+    ...components.map(component => component.foodItem),
+    ...slots.flatMap(slot => slot.foodItems || [])
+  ].map(String);
+  const categoryIds = slots.filter(slot => slot.category).map(slot => String(slot.category));
+
+  if (![...foodItemIds, ...categoryIds].every(id => mongoose.Types.ObjectId.isValid(id))) {
+    throw new customError("Invalid food item or category id in bundle", 400);
+  }
+
+  const [foodItems, categories] = await Promise.all([
+    FoodItem.countDocuments({ _id: { $in: foodItemIds } }),
+    Category.countDocuments({ _id: { $in: categoryIds } })
+  ]);
+  if (foodItems !== new Set(foodItemIds).size) {
+    throw new customError("Bundle references a food item that doesn't exist", 400);
+  }
+  if (categories !== new Set(categoryIds).size) {
+    throw new customError("Bundle references a category that doesn't exist", 400);
+  }
+};
+
+// ADD BUNDLE
+exports.createBundle = async (data) => {
+  const existing = await Bundle.findOne({ name: data.name });
+  if (existing) {
+    throw new customError("Bundle already exist.", 400);
+  }
+  await checkReferences(data);
+
+  const bundle = new Bundle({});
+  BUNDLE_FIELDS.forEach(field => {
+    if (data[field] !== undefined) bundle[field] = data[field];
+  });
+  return await bundle.save();
+};
+
+// GET BUNDLES (only active ones unless includeInactive)
+exports.getBundles = async ({ includeInactive = false } = {}) => {
+  const filter = includeInactive ? {} : { isActive: true };
+  return await populateBundle(Bundle.find(filter).sort({ name: 1 }));
+};
+
+// GET SINGLE BUNDLE
+exports.getBundle = async (id) => {
+  await findBundle(id);
+  return await populateBundle(Bundle.findById(id));
+};
+
+// UPDATE BUNDLE
+exports.updateBundle = async (id, data) => {
+  const bundle = await findBundle(id);
+
+  if (data.name !== undefined && data.name !== bundle.name) {
+    const existing = await Bundle.findOne({ name: data.name, _id: { $ne: bundle._id } });
+    if (existing) {
+      throw new customError("Bundle already exist.", 400);
+    }
+  }
+  await checkReferences({
+    components: data.components || [],
+    slots: data.slots || []
+  });
+
+  BUNDLE_FIELDS.forEach(field => {
+    if (data[field] !== undefined) bundle[field] = data[field];
+  });
+  return await bundle.save();
+};
+
+// DELETE BUNDLE (past orders keep the bundle name and price)
+exports.deleteBundle = async (id) => {
+  const bundle = await findBundle(id);
+  await bundle.deleteOne();
+};
+
+// Turn a bundle and the customer's selection into the food items to prepare.
+// selection: {
+//   choices:    [{ slotId, foodItemId, modifiers, removedIngredients, specialInstructions }],
+//   components: [{ foodItemId, modifiers, removedIngredients, specialInstructions }]  (customizing fixed items)
+// }
+// returns [{ foodItemId, quantity (per bundle), slot, modifiers, removedIngredients, specialInstructions }]
+exports.expandBundle = async (bundle, { choices = [], components = [] } = {}) => {
+  if (!Array.isArray(choices) || !Array.isArray(components)) {
+    throw new customError(`Choices for ${bundle.name} must be arrays`, 400);
+  }
+
+  const unknown = choices.filter(choice => !bundle.slots.some(slot => slot._id.toString() === String(choice.slotId)));
+  if (unknown.length > 0) {
+    throw new customError(`Unknown slot ${unknown[0].slotId} for ${bundle.name}`, 400);
+  }
+
+  const lines = bundle.components.map(component => {
+    const custom = components.find(c => String(c.foodItemId) === component.foodItem.toString()) || {};
+    return {
+      ...custom,
+      foodItemId: component.foodItem,
+      quantity: component.quantity
+    };
+  });
+
+  for (const slot of bundle.slots) {
+    const choice = choices.find(c => String(c.slotId) === slot._id.toString());
+    if (!choice || !choice.foodItemId) {
+      if (slot.required) {
+        throw new customError(`Choose an item for ${slot.name} in ${bundle.name}`, 400);
+      }
+      continue;
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(choice.foodItemId)) {
+      throw new customError(`Invalid food item ${choice.foodItemId} for ${slot.name}`, 400);
+    }
+
+    const listed = slot.foodItems.some(id => id.toString() === String(choice.foodItemId));
+    const inCategory = !listed && slot.category && await FoodItem.exists({
+      _id: choice.foodItemId,
+      category: { $in: await categoryService.withDescendants([slot.category]) }
+    });
+    if (!listed && !inCategory) {
+      throw new customError(`That item is not a valid choice for ${slot.name} in ${bundle.name}`, 400);
+    }
+
+    lines.push({
+      ...choice,
+      foodItemId: choice.foodItemId,
+      quantity: slot.quantity,
+      slot: slot.name
+    });
+  }
+
+  // a bundle of optional slots only still has to contain something
+  if (lines.length === 0) {
+    throw new customError(`Choose at least one item for ${bundle.name}`, 400);
+  }
+
+  return lines;
+};
+
+exports.findBundle = findBundle;
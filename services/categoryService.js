@@ -1,37 +1,223 @@
+const mongoose = require('mongoose');
 const Category = require('../models/categoryModel');
+const FoodItem = require('../models/foodItem');
 const customError = require('../utils/CustomErrorhandlerClass');
+const { localizeCategory } = require('./translationService');
+const { DEFAULT_LOCALE } = require('../utils/locale');
+
+const findCategory = async (id, label = "Category") => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new customError(`Invalid ${label.toLowerCase()} id.`, 400);
+    }
+    const category = await Category.findById(id);
+    if (!category) {
+        throw new customError(`${label} doesn't exist.`, 404);
+    }
+    return category;
+};
+
+// a category can't be moved under itself or one of its own descendants
+const checkParent = async (categoryId, parentId) => {
+    if (parentId === null || parentId === undefined || parentId === "") return null;
+
+    const parent = await findCategory(parentId, "Parent category");
+    if (!categoryId) return parent._id;
+
+    let current = parent;
+    while (current) {
+        if (current._id.equals(categoryId)) {
+            throw new customError("A category can't be moved under itself or one of its subcategories.", 400);
+        }
+        current = current.parent ? await Category.findById(current.parent) : null;
+    }
+    return parent._id;
+};
+
+// ids of the given categories and everything below them
+exports.withDescendants = async (ids) => {
+    const objectIds = ids.map(id => new mongoose.Types.ObjectId(id));
+    const [result] = await Category.aggregate([
+        { $match: { _id: { $in: objectIds } } },
+        {
+            $graphLookup: {
+                from: "categories",
+                startWith: "$_id",
+                connectFromField: "_id",
+                connectToField: "parent",
+                as: "descendants"
+            }
+        },
+        { $unwind: { path: "$descendants", preserveNullAndEmptyArrays: true } },
+        { $group: { _id: null, ids: { $addToSet: "$_id" }, descendants: { $addToSet: "$descendants._id" } } }
+    ]);
+
+    if (!result) return objectIds;
+    return [...result.ids, ...result.descendants];
+};
+
+// lookup from a category id to the category and its parents, closest first (archived parents end the chain)
+// loads every category once, for checking the availability windows of many items
+exports.categoryChains = async () => {
+    const categories = await Category.find().select('name parent availability').lean();
+    const byId = new Map(categories.map(category => [String(category._id), category]));
+
+    return (categoryId) => {
+        const chain = [];
+        let current = categoryId && byId.get(String(categoryId));
+        while (current && !chain.includes(current)) {
+            chain.push(current);
+            current = current.parent && byId.get(String(current.parent));
+        }
+        return chain;
+    };
+};
 
 // add  category
 exports.addCategory = async (category) => {
 
-    const existingCategory = await Category.findOne({ name: category.name});
+    // names stay unique across archived categories too
+    const existingCategory = await Category.findOne({ name: category.name}).setOptions({ includeArchived: true });
     if (existingCategory) {
-        throw new customError("Category already exist.", 400);
+        throw new customError(existingCategory.archivedAt
+            ? "Category already exist in the archive, restore it instead."
+            : "Category already exist.", 400);
     }
      
-    const newCategory = new Category({ name: category.name });      
+    const newCategory = new Category({
+        name: category.name,
+        parent: await checkParent(null, category.parent),
+        displayOrder: category.displayOrder,
+        availability: category.availability
+    });      
     await newCategory.save();  
 
     return newCategory;  
 };
 
 
-// get all categories
-exports.getAllCategories = async () => {    
-    const categories = await Category.find();
-    return categories
+// get all categories, ordered by displayOrder then name, with item counts
+// itemCount counts the items directly in the category, totalItemCount includes subcategories
+// tree=true nests subcategories under `children`, names come back in locale
+exports.getAllCategories = async ({ tree } = {}, locale = DEFAULT_LOCALE) => {    
+    const [categories, counts] = await Promise.all([
+        Category.find().sort({ displayOrder: 1, name: 1 }).lean(),
+        FoodItem.aggregate([
+            { $match: { archivedAt: null } },
+            { $group: { _id: "$category", count: { $sum: 1 } } }
+        ])
+    ]);
+
+    const countById = new Map(counts.map(c => [String(c._id), c.count]));
+    const byId = new Map(categories.map(category => [String(category._id), {
+        ...localizeCategory(category, locale),
+        itemCount: countById.get(String(category._id)) || 0,
+        totalItemCount: 0,
+        children: []
+    }]));
+
+    const roots = [];
+    for (const category of byId.values()) {
+        const parent = category.parent && byId.get(String(category.parent));
+        if (parent) {
+            parent.children.push(category);
+        } else {
+            roots.push(category);
+        }
+    }
+
+    const total = (category) => {
+        category.totalItemCount = category.itemCount + category.children.reduce((sum, child) => sum + total(child), 0);
+        return category.totalItemCount;
+    };
+    roots.forEach(total);
+
+    if (tree === "true") return roots;
+
+    return [...byId.values()].map(({ children, ...category }) => category);
 };
 
 
+// update category (name, parent, displayOrder, availability)
+exports.updateCategory = async (id, data) => {
+    const category = await findCategory(id);
+
+    if (data.name !== undefined && data.name !== category.name) {
+        const existingCategory = await Category.findOne({ name: data.name, _id: { $ne: category._id } })
+            .setOptions({ includeArchived: true });
+        if (existingCategory) {
+            throw new customError("Category already exist.", 400);
+        }
+        category.name = data.name;
+    }
 
-// delete category
-exports.delete = async (category) => {
+    if (data.parent !== undefined) {
+        category.parent = await checkParent(category._id, data.parent);
+    }
+
+    if (data.displayOrder !== undefined) category.displayOrder = data.displayOrder;
+    if (data.availability !== undefined) category.availability = data.availability;
+
+    await category.save();
+    return category;
+};
+
+
+// delete (archive) category, refused while food items use it unless they are reassigned to another category
+// subcategories move up to the deleted category's parent
+exports.deleteById = async (id, reassignTo, user) => {
+    const category = await findCategory(id);
+
+    const itemCount = await FoodItem.countDocuments({ category: category._id });
+    if (itemCount > 0) {
+        if (!reassignTo) {
+            throw new customError(`Category has ${itemCount} food item(s). Pass reassignTo to move them to another category first.`, 409);
+        }
+        const target = await findCategory(reassignTo, "Target category");
+        if (target._id.equals(category._id)) {
+            throw new customError("Food items can't be reassigned to the category being deleted.", 400);
+        }
+        await FoodItem.updateMany({ category: category._id }, { category: target._id, updatedAt: Date.now() });
+    }
+
+    await Category.updateMany({ parent: category._id }, { parent: category.parent });
+    await category.archive(user);
+
+    return { reassigned: itemCount };
+};
+
+
+// delete category by name (body: { name, reassignTo })
+exports.delete = async (category, user) => {
     
     const existingCategory = await Category.findOne({ name: category.name});
     if (!existingCategory) {
         throw new customError("Category doesn't exist.", 404);
     }
     
-    await existingCategory.deleteOne()
+    return exports.deleteById(existingCategory._id, category.reassignTo, user);
+
+};
+
+
+// get archived categories
+exports.getArchivedCategories = async () => {
+    return await Category.find()
+        .setOptions({ archived: true })
+        .populate({ path: "archivedBy", select: "firstName lastName role", options: { includeArchived: true } })
+        .sort({ archivedAt: -1 });
+};
 
-};
\ No newline at end of file
+
+// restore category, back at the top level when its parent is archived
+exports.restoreCategory = async (id) => {
+    const category = await Category.findById(id).setOptions({ archived: true });
+    if (!category) {
+        throw new customError("Archived category doesn't exist.", 404);
+    }
+
+    if (category.parent && !(await Category.exists({ _id: category.parent }))) {
+        category.parent = null;
+    }
+    await category.restore();
+    return category;
+};
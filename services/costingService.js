@@ -0,0 +1,217 @@
+const mongoose = require("mongoose");
+const FoodItem = require("../models/foodItem");
+const Order = require("../models/orderModel");
+const customError = require("../utils/CustomErrorhandlerClass");
+const { getEffectivePrice } = require("./priceService");
+
+const DEFAULT_REPORT_DAYS = 30;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// margin figures shared by items, categories and the report
+const withMargins = (revenue, cost) => ({
+  margin: round(revenue - cost),
+  marginPercent: revenue > 0 ? round((revenue - cost) / revenue * 100) : null,
+  foodCostPercent: revenue > 0 ? round(cost / revenue * 100) : null
+});
+
+// cost of one portion from the recipe, recipe.ingredient has to be populated with costPerUnit
+// (an ingredient that no longer exists costs nothing)
+const computeUnitCost = (foodItem) => {
+  const cost = (foodItem.recipe || []).reduce(
+    (sum, entry) => sum + entry.quantity * (entry.ingredient?.costPerUnit || 0),
+    0
+  );
+  return round(cost);
+};
+
+// from/to as dates, YYYY-MM-DD `to` includes that whole day, defaults to the last 30 days
+const parseRange = ({ from, to } = {}) => {
+  const end = to ? new Date(to) : new Date();
+  if (to && /^\d{4}-\d{2}-\d{2}$/.test(to)) end.setUTCDate(end.getUTCDate() + 1);
+
+  const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_REPORT_DAYS * 24 * 60 * 60 * 1000);
+
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    throw new customError("from and to must be valid dates", 400);
+  }
+  if (start >= end) {
+    throw new customError("from must be before to", 400);
+  }
+  return { start, end };
+};
+
+// group item rows by category and total them, with `uncosted` ({ revenueOf, quantityOf }) revenue
+// without a known cost is totalled apart and left out of the margins
+const byCategory = (rows, revenueOf, costOf, uncosted) => {
+  const categories = new Map();
+
+  for (const row of rows) {
+    const key = String(row.categoryId || "none");
+    const category = categories.get(key) || {
+      categoryId: row.categoryId || null,
+      category: row.category || "Uncategorized",
+      itemCount: 0,
+      revenue: 0,
+      cost: 0,
+      ...(uncosted && { uncostedRevenue: 0, uncostedQuantity: 0 })
+    };
+    category.itemCount += 1;
+    category.revenue += revenueOf(row);
+    category.cost += costOf(row);
+    if (uncosted) {
+      category.uncostedRevenue += uncosted.revenueOf(row);
+      category.uncostedQuantity += uncosted.quantityOf(row);
+    }
+    categories.set(key, category);
+  }
+
+  return [...categories.values()]
+    .map(category => ({
+      ...category,
+      revenue: round(category.revenue),
+      cost: round(category.cost),
+      ...(uncosted && { uncostedRevenue: round(category.uncostedRevenue) }),
+      ...withMargins(category.revenue - (category.uncostedRevenue || 0), category.cost)
+    }))
+    .sort((a, b) => a.category.localeCompare(b.category));
+};
+
+// MENU MARGINS - current price (scheduled prices that are due included) against current recipe cost,
+// per item and per category
+// (category figures weigh every item once, as if one portion of each was sold)
+exports.getMenuMargins = async ({ category } = {}) => {
+  const filter = {};
+  if (category) {
+    if (!mongoose.Types.ObjectId.isValid(category)) {
+      throw new customError("Invalid category id", 400);
+    }
+    filter.category = category;
+  }
+
+  const foodItems = await FoodItem.find(filter)
+    .select("name price scheduledPrices category recipe")
+    .populate("category", "name")
+    .populate("recipe.ingredient", "name unit costPerUnit")
+    .sort({ name: 1 });
+
+  const now = new Date();
+  const items = foodItems.map(foodItem => {
+    const unitCost = computeUnitCost(foodItem);
+    const price = getEffectivePrice(foodItem, now);
+    return {
+      foodItemId: foodItem._id,
+      name: foodItem.name,
+      categoryId: foodItem.category?._id,
+      category: foodItem.category?.name,
+      price,
+      unitCost,
+      // without a recipe the cost is unknown, not zero
+      hasRecipe: foodItem.recipe.length > 0,
+      ...withMargins(price, unitCost)
+    };
+  });
+
+  const costed = items.filter(item => item.hasRecipe);
+  return {
+    items,
+    categories: byCategory(costed, item => item.price, item => item.unitCost),
+    itemsWithoutRecipe: items.length - costed.length
+  };
+};
+
+// MARGIN REPORT - what was actually sold in a date range, from the order lines
+// uses the unitCost captured at order time, lines without one (no recipe, or ordered before costing existed)
+// are reported as uncosted revenue and quantity, margins and food cost % cover the costed revenue only
+exports.getMarginReport = async (range) => {
+  const { start, end } = parseRange(range);
+
+  const rows = await Order.aggregate([
+    { $match: { createdAt: { $gte: start, $lt: end }, status: { $ne: "cancelled" } } },
+    { $unwind: "$items" },
+    {
+      $group: {
+        _id: "$items.foodItemId",
+        name: { $last: "$items.name" },
+        quantity: { $sum: "$items.quantity" },
+        revenue: { $sum: { $multiply: ["$items.price", "$items.quantity"] } },
+        cost: { $sum: { $multiply: [{ $ifNull: ["$items.unitCost", 0] }, "$items.quantity"] } },
+        uncostedRevenue: {
+          $sum: {
+            $cond: [
+              { $eq: [{ $type: "$items.unitCost" }, "missing"] },
+              { $multiply: ["$items.price", "$items.quantity"] },
+              0
+            ]
+          }
+        },
+        uncostedQuantity: {
+          $sum: { $cond: [{ $eq: [{ $type: "$items.unitCost" }, "missing"] }, "$items.quantity", 0] }
+        }
+      }
+    },
+    {
+      $lookup: {
+        from: "fooditems",
+        localField: "_id",
+        foreignField: "_id",
+        as: "foodItem"
+      }
+    },
+    {
+      $lookup: {
+        from: "categories",
+        localField: "foodItem.category",
+        foreignField: "_id",
+        as: "category"
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        foodItemId: "$_id",
+        name: { $ifNull: [{ $first: "$foodItem.name" }, "$name"] },
+        categoryId: { $first: "$category._id" },
+        category: { $first: "$category.name" },
+        quantity: 1,
+        revenue: 1,
+        cost: 1,
+        uncostedRevenue: 1,
+        uncostedQuantity: 1
+      }
+    },
+    { $sort: { revenue: -1 } }
+  ]);
+
+  const items = rows.map(row => ({
+    ...row,
+    revenue: round(row.revenue),
+    cost: round(row.cost),
+    uncostedRevenue: round(row.uncostedRevenue),
+    ...withMargins(row.revenue - row.uncostedRevenue, row.cost)
+  }));
+
+  const total = (field) => rows.reduce((sum, row) => sum + row[field], 0);
+  const revenue = total("revenue");
+  const cost = total("cost");
+  const uncostedRevenue = total("uncostedRevenue");
+
+  return {
+    from: start,
+    to: end,
+    totals: {
+      revenue: round(revenue),
+      cost: round(cost),
+      ...withMargins(revenue - uncostedRevenue, cost),
+      uncostedRevenue: round(uncostedRevenue),
+      uncostedQuantity: total("uncostedQuantity")
+    },
+    categories: byCategory(rows, row => row.revenue, row => row.cost, {
+      revenueOf: row => row.uncostedRevenue,
+      quantityOf: row => row.uncostedQuantity
+    }),
+    items
+  };
+};
+
+exports.computeUnitCost = computeUnitCost;
@@ -1,9 +1,9 @@
 const sendEmail = require('../utils/emailService')
 
 
-exports.sendResetEmail = async (email,resetToken,req) => {
+exports.sendResetEmail = async (email,resetToken,req,expiresInMinutes) => {
     const resetURL =`${req.protocol}://${req.get('host')}/api/users/resetPassword/${resetToken}`;
-    const message = `Click the link to reset your password: ${resetURL}.`;
+    const message = `Click the link to reset your password: ${resetURL}\nThe link expires in ${expiresInMinutes} minutes and can only be used once.`;
     await sendEmail(
        { email: email,
         subject: 'Password change request recived',
@@ -1,13 +1,10 @@
-const { HfInference } = require('@huggingface/inference');
-const natural = require('natural');
 const compromise = require('compromise');
 const FoodItem = require('../models/foodItem');
 const cache = require('memory-cache');
+const textAnalysis = require('./sentimentProviders');
 
-const hf = new HfInference(process.env.HUGGINGFACE_API_KEY);
-const tokenizer = new natural.WordTokenizer();
-const { SentimentAnalyzer } = natural;
-const analyzer = new SentimentAnalyzer('English', natural.PorterStemmer, 'afinn');
+// confidence above which a positive/negative sentiment is treated as strong
+const STRONG_SENTIMENT_SCORE = 0.8;
 
 // Main analysis functions
 const analyzeFeedback = async (text, context = 'item') => {
@@ -16,27 +13,30 @@ const analyzeFeedback = async (text, context = 'item') => {
   }
 
   try {
-    const [sentimentResult, emotionResult, summaryResult] = await Promise.all([
-      analyzeSentiment(text),
-      analyzeEmotion(text),
-      generateSummary(text)
+    const [sentimentResult, emotionResult, summary] = await Promise.all([
+      textAnalysis.analyzeSentiment(text),
+      textAnalysis.analyzeEmotion(text),
+      textAnalysis.summarize(text)
     ]);
 
-    const sentiment = determineSentiment(sentimentResult.score);
+    const sentiment = sentimentResult.label;
     const { keywords, entities } = extractKeywordsAndEntities(text);
     const dominantEmotion = emotionResult[0]?.label || 'neutral';
     const recommendations = generateRecommendations({
       text,
       sentiment,
+      sentimentScore: sentimentResult.score,
       dominantEmotion,
       keywords,
+      entities,
       context
     });
 
     return {
       sentiment,
+      sentimentScore: sentimentResult.score,
       emotion: dominantEmotion,
-      summary: summaryResult.summary_text,
+      summary,
       keywords,
       entities,
       recommendations,
@@ -50,6 +50,33 @@ const analyzeFeedback = async (text, context = 'item') => {
   }
 };
 
+// Analysis stored on a single feedback entry (food item or staff feedback)
+const analyzeFeedbackEntry = async (comment) => {
+  if (!comment || comment.trim().length === 0) {
+    return {
+      sentiment: 'neutral',
+      sentimentScore: 0.5,
+      emotion: 'neutral',
+      keywords: [],
+      analyzedAt: new Date()
+    };
+  }
+
+  const [sentimentResult, emotionResult] = await Promise.all([
+    textAnalysis.analyzeSentiment(comment),
+    textAnalysis.analyzeEmotion(comment)
+  ]);
+  const { keywords } = extractKeywordsAndEntities(comment);
+
+  return {
+    sentiment: sentimentResult.label,
+    sentimentScore: sentimentResult.score,
+    emotion: emotionResult[0]?.label || 'neutral',
+    keywords,
+    analyzedAt: new Date()
+  };
+};
+
 const analyzeUserFeedbackHistory = async (userId) => {
   const cacheKey = `user-feedback-${userId}`;
   const cached = cache.get(cacheKey);
@@ -107,25 +134,27 @@ const analyzeUserFeedbackHistory = async (userId) => {
 
 // Helper functions
 async function analyzeCombinedFeedback(text) {
-  const [sentimentResult, emotionResult, summaryResult] = await Promise.all([
-    analyzeSentiment(text),
-    analyzeEmotion(text),
-    generateSummary(text)
+  const [sentimentResult, emotionResult, summary] = await Promise.all([
+    textAnalysis.analyzeSentiment(text),
+    textAnalysis.analyzeEmotion(text),
+    textAnalysis.summarize(text)
   ]);
 
-  const sentiment = determineSentiment(sentimentResult.score);
+  const sentiment = sentimentResult.label;
   const dominantEmotion = emotionResult[0]?.label || 'neutral';
   const { keywords, entities } = extractKeywordsAndEntities(text);
 
   return {
     sentiment,
+    sentimentScore: sentimentResult.score,
     emotion: dominantEmotion,
-    summary: summaryResult.summary_text,
+    summary,
     keywords,
     entities,
     recommendations: generateRecommendations({
       text,
       sentiment,
+      sentimentScore: sentimentResult.score,
       dominantEmotion,
       keywords,
       entities,
@@ -261,37 +290,6 @@ function analyzeFeedbackTimeline(feedbackItems) {
   };
 }
 
-async function analyzeSentiment(text) {
-  const score = analyzer.getSentiment(tokenizer.tokenize(text));
-  return {
-    score,
-    comparative: score / text.split(' ').length
-  };
-}
-
-async function analyzeEmotion(text) {
-  return hf.textClassification({
-    model: 'SamLowe/roberta-base-go_emotions',
-    inputs: text,
-  });
-}
-
-async function generateSummary(text) {
-  return hf.summarization({
-    model: 'facebook/bart-large-cnn',
-    inputs: text,
-    parameters: { max_length: 60 },
-  });
-}
-
-function determineSentiment(score) {
-  if (score < -3) return 'very negative';
-  if (score < 0) return 'negative';
-  if (score > 3) return 'very positive';
-  if (score > 1) return 'positive';
-  return 'neutral';
-}
-
 function extractKeywordsAndEntities(text) {
   const doc = compromise(text);
   
@@ -315,7 +313,7 @@ function extractKeywordsAndEntities(text) {
   return { keywords, entities };
 }
 
-function generateRecommendations({ text, sentiment, dominantEmotion, keywords, entities, context }) {
+function generateRecommendations({ text, sentiment, sentimentScore = 0.5, dominantEmotion, keywords, entities, context }) {
   const lowerText = text.toLowerCase();
   const recommendations = [];
   const warnings = [];
@@ -332,9 +330,10 @@ function generateRecommendations({ text, sentiment, dominantEmotion, keywords, e
   }
 
   // Sentiment-based recommendations
-  if (sentiment === 'very negative') {
+  const isStrong = sentimentScore >= STRONG_SENTIMENT_SCORE;
+  if (sentiment === 'negative' && isStrong) {
     warnings.push('Customer has had very negative experiences previously');
-  } else if (sentiment === 'very positive') {
+  } else if (sentiment === 'positive' && isStrong) {
     recommendations.push('Customer has been very satisfied previously - maintain high standards');
   }
 
@@ -423,5 +422,8 @@ function getDefaultUserAnalysis() {
 
 module.exports = { 
   analyzeFeedback,
-  analyzeUserFeedbackHistory 
+  analyzeFeedbackEntry,
+  analyzeUserFeedbackHistory,
+  extractKeywordsAndEntities,
+  generateRecommendations
 };
\ No newline at end of file
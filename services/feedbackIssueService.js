@@ -0,0 +1,212 @@
+const mongoose = require("mongoose");
+const FoodItem = require("../models/foodItem");
+const User = require("../models/userModel");
+const customError = require("../utils/CustomErrorhandlerClass");
+
+const ISSUE_STATUSES = ["open", "in-progress", "resolved"];
+
+// feedback that counts as a reported issue (low rating, negative sentiment or complaint words)
+const ISSUE_MATCH = {
+  $or: [
+    { "feedback.rating": { $lt: 3 } },
+    { "feedback.sentiment": "negative" },
+    {
+      "feedback.comment": {
+        $regex: /(bad|poor|terrible|horrible|awful|disappointing|issue|problem)/i
+      }
+    }
+  ]
+};
+
+// higher is worse: low ratings weigh most, confident negative sentiment adds up to 2 points
+const SEVERITY_SCORE = {
+  $add: [
+    { $subtract: [5, "$feedback.rating"] },
+    {
+      $cond: [
+        { $eq: ["$feedback.sentiment", "negative"] },
+        { $multiply: [2, { $ifNull: ["$feedback.sentimentScore", 0.5] }] },
+        0
+      ]
+    }
+  ]
+};
+
+const validateIds = (foodItemId, feedbackId) => {
+  if (!mongoose.Types.ObjectId.isValid(foodItemId) || !mongoose.Types.ObjectId.isValid(feedbackId)) {
+    throw new customError("Invalid food item or feedback ID", 400);
+  }
+};
+
+// apply an update to a single feedback entry and return it
+const updateFeedback = async (foodItemId, feedbackId, update) => {
+  validateIds(foodItemId, feedbackId);
+
+  const foodItem = await FoodItem.findOneAndUpdate(
+    { _id: foodItemId, "feedback._id": feedbackId },
+    update,
+    { new: true, runValidators: true }
+  );
+  if (!foodItem) {
+    throw new customError("Food item or feedback not found", 404);
+  }
+  return foodItem.feedback.id(feedbackId);
+};
+
+// LIST ISSUES - unresolved by default, most severe first
+exports.listIssues = async ({ status, assignee, limit = 50 } = {}) => {
+  const match = { ...ISSUE_MATCH };
+
+  if (status) {
+    if (!ISSUE_STATUSES.includes(status)) {
+      throw new customError(`Status must be one of: ${ISSUE_STATUSES.join(", ")}`, 400);
+    }
+    // entries created before the workflow existed have no status and are open
+    match["feedback.status"] = status === "open" ? { $in: ["open", null] } : status;
+  } else {
+    match["feedback.status"] = { $ne: "resolved" };
+  }
+
+  if (assignee) {
+    if (!mongoose.Types.ObjectId.isValid(assignee)) {
+      throw new customError("Invalid assignee ID", 400);
+    }
+    match["feedback.assignee"] = new mongoose.Types.ObjectId(assignee);
+  }
+
+  return FoodItem.aggregate([
+    { $unwind: "$feedback" },
+    { $match: match },
+    { $addFields: { severityScore: SEVERITY_SCORE } },
+    { $sort: { severityScore: -1, "feedback.createdAt": 1 } },
+    { $limit: Math.min(parseInt(limit, 10) || 50, 200) },
+    {
+      $lookup: {
+        from: "users",
+        localField: "feedback.userId",
+        foreignField: "_id",
+        as: "customer"
+      }
+    },
+    {
+      $lookup: {
+        from: "users",
+        localField: "feedback.assignee",
+        foreignField: "_id",
+        as: "assignedTo"
+      }
+    },
+    {
+      $project: {
+        _id: "$feedback._id",
+        foodItemId: "$_id",
+        foodItem: "$name",
+        customer: {
+          $ifNull: [
+            { $concat: [{ $first: "$customer.firstName" }, " ", { $first: "$customer.lastName" }] },
+            "Anonymous"
+          ]
+        },
+        rating: "$feedback.rating",
+        comment: "$feedback.comment",
+        sentiment: { $ifNull: ["$feedback.sentiment", "neutral"] },
+        status: { $ifNull: ["$feedback.status", "open"] },
+        severityScore: { $round: ["$severityScore", 2] },
+        severity: {
+          $switch: {
+            branches: [
+              { case: { $gte: ["$severityScore", 5] }, then: "high" },
+              { case: { $gte: ["$severityScore", 3] }, then: "medium" }
+            ],
+            default: "low"
+          }
+        },
+        assignee: {
+          $cond: [
+            { $gt: [{ $size: "$assignedTo" }, 0] },
+            {
+              _id: { $first: "$assignedTo._id" },
+              name: { $concat: [{ $first: "$assignedTo.firstName" }, " ", { $first: "$assignedTo.lastName" }] },
+              role: { $first: "$assignedTo.role" }
+            },
+            null
+          ]
+        },
+        notesCount: { $size: { $ifNull: ["$feedback.internalNotes", []] } },
+        reply: { $ifNull: ["$feedback.reply", null] },
+        createdAt: "$feedback.createdAt"
+      }
+    }
+  ]);
+};
+
+// UPDATE ISSUE - change status and/or assignee
+exports.updateIssue = async (foodItemId, feedbackId, { status, assignee }, user) => {
+  const $set = {};
+  const $unset = {};
+
+  if (status !== undefined) {
+    if (!ISSUE_STATUSES.includes(status)) {
+      throw new customError(`Status must be one of: ${ISSUE_STATUSES.join(", ")}`, 400);
+    }
+    $set["feedback.$.status"] = status;
+    $set["feedback.$.resolved"] = status === "resolved";
+    if (status === "resolved") {
+      $set["feedback.$.resolvedAt"] = new Date();
+      $set["feedback.$.resolvedBy"] = user._id;
+    } else {
+      $unset["feedback.$.resolvedAt"] = "";
+      $unset["feedback.$.resolvedBy"] = "";
+    }
+  }
+
+  if (assignee !== undefined) {
+    if (assignee === null) {
+      $unset["feedback.$.assignee"] = "";
+    } else {
+      const staff = await User.findById(assignee);
+      if (!staff || staff.role === "guest") {
+        throw new customError("Assignee must be a staff member", 400);
+      }
+      $set["feedback.$.assignee"] = staff._id;
+    }
+  }
+
+  const update = {};
+  if (Object.keys($set).length > 0) update.$set = $set;
+  if (Object.keys($unset).length > 0) update.$unset = $unset;
+
+  if (Object.keys(update).length === 0) {
+    throw new customError("Nothing to update, provide status or assignee", 400);
+  }
+
+  return updateFeedback(foodItemId, feedbackId, update);
+};
+
+// ADD INTERNAL NOTE - staff only, never shown to the customer
+exports.addInternalNote = async (foodItemId, feedbackId, note, user) => {
+  if (!note || note.trim().length === 0) {
+    throw new customError("Note is required", 400);
+  }
+
+  return updateFeedback(foodItemId, feedbackId, {
+    $push: { "feedback.$.internalNotes": { author: user._id, note, createdAt: new Date() } }
+  });
+};
+
+// REPLY - public answer to the customer
+exports.reply = async (foodItemId, feedbackId, reply, user) => {
+  if (!reply || reply.trim().length === 0) {
+    throw new customError("Reply is required", 400);
+  }
+
+  return updateFeedback(foodItemId, feedbackId, {
+    $set: {
+      "feedback.$.reply": reply,
+      "feedback.$.repliedBy": user._id,
+      "feedback.$.repliedAt": new Date()
+    }
+  });
+};
+
+exports.ISSUE_MATCH = ISSUE_MATCH;
@@ -1,23 +1,201 @@
+const mongoose = require("mongoose");
 const FoodItem = require("../models/foodItem");
 const Category = require("../models/categoryModel");
 const customError = require("../utils/CustomErrorhandlerClass");
+const { isFoodItemAvailable } = require("../utils/availability");
+const imageService = require("./imageService");
+const categoryService = require("./categoryService");
+const translationService = require("./translationService");
+const { nutritionFilters } = require("./nutritionService");
+const { DEFAULT_LOCALE } = require("../utils/locale");
+
+// staff-only feedback fields, never sent on the public menu routes
+const PRIVATE_FEEDBACK_FIELDS = "-feedback.internalNotes -feedback.assignee";
+// price bookkeeping, served by GET /:id/prices instead
+const PRICE_FIELDS = "-priceHistory -scheduledPrices";
+// pending menu edits, served by /api/menu instead
+const DRAFT_FIELDS = "-draft";
+
+const SORT_FIELDS = ["name", "price", "rating", "preparationTime", "createdAt"];
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const toList = (value) => (Array.isArray(value) ? value : String(value).split(","))
+  .map(v => v.trim())
+  .filter(Boolean);
+
+const toNumber = (value, name) => {
+  const number = Number(value);
+  if (Number.isNaN(number)) {
+    throw new customError(`${name} must be a number`, 400);
+  }
+  return number;
+};
+
+// cursor = base64url of the last item's sort value and id (null when the item has no value for the sort field)
+const encodeCursor = (item, sortField) => {
+  return Buffer.from(JSON.stringify({ v: item[sortField] ?? null, id: item._id })).toString("base64url");
+};
+
+const decodeCursor = (cursor, sortField) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (!mongoose.Types.ObjectId.isValid(id)) throw new Error();
+    const value = v === null || v === undefined ? null : sortField === "createdAt" ? new Date(v) : v;
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    throw new customError("Invalid cursor", 400);
+  }
+};
+
+// condition for the items after { value, id } in the sort order
+// items without a value (e.g. no rating yet) sort as null: first ascending, last descending,
+// and { $gt: null } matches nothing, so they need their own branches
+const afterCursor = (sortField, direction, { value, id }) => {
+  const op = direction === 1 ? "$gt" : "$lt";
+  const sameValue = { [sortField]: value ?? null, _id: { [op]: id } };
+
+  if (value === null || value === undefined) {
+    return direction === 1
+      ? { $or: [sameValue, { [sortField]: { $ne: null } }] }
+      : sameValue;
+  }
+  return {
+    $or: [
+      { [sortField]: { [op]: value } },
+      sameValue,
+      ...(direction === -1 ? [{ [sortField]: null }] : [])
+    ]
+  };
+};
 
 // GET ALL FOOD ITEMS
-exports.queryAllFoodItems = async () => {
-  return await FoodItem.find().populate("category");
+// query: q, category (includes subcategories), dietaryTags, minPrice, maxPrice, isInStock, minRating, maxPreparationTime,
+//        minCalories / maxCalories (same for Protein, Carbs, Fat and Sodium, per portion),
+//        sort (e.g. price or -price), limit, cursor, includeFeedback
+// items outside their (or their category's) availability window are left out unless includeUnavailable,
+// unpublished items unless includeUnpublished. Names, descriptions and ingredients come back in locale.
+exports.queryAllFoodItems = async (query = {}, { includeUnavailable = false, includeUnpublished = false, locale = DEFAULT_LOCALE } = {}) => {
+  const conditions = [];
+
+  if (!includeUnpublished) {
+    conditions.push({ isPublished: { $ne: false } });
+  }
+
+  // text search over name, description and ingredients, in the default locale and the requested one
+  if (query.q) {
+    const regex = new RegExp(escapeRegex(String(query.q).trim()), "i");
+    const fields = ["name", "description", "ingredients"];
+    if (locale !== DEFAULT_LOCALE) fields.push(...fields.map(field => `translations.${locale}.${field}`));
+    conditions.push({ $or: fields.map(field => ({ [field]: regex })) });
+  }
+
+  if (query.category) {
+    const categories = toList(query.category);
+    if (!categories.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      throw new customError("Invalid category id", 400);
+    }
+    // a parent category also lists the items of its subcategories
+    conditions.push({ category: { $in: await categoryService.withDescendants(categories) } });
+  }
+
+  if (query.dietaryTags) {
+    conditions.push({ dietaryTags: { $all: toList(query.dietaryTags) } });
+  }
+
+  if (query.minPrice !== undefined || query.maxPrice !== undefined) {
+    const price = {};
+    if (query.minPrice !== undefined) price.$gte = toNumber(query.minPrice, "minPrice");
+    if (query.maxPrice !== undefined) price.$lte = toNumber(query.maxPrice, "maxPrice");
+    conditions.push({ price });
+  }
+
+  if (query.isInStock !== undefined) {
+    conditions.push({ isInStock: query.isInStock === "true" });
+  }
+
+  if (query.minRating !== undefined) {
+    conditions.push({ rating: { $gte: toNumber(query.minRating, "minRating") } });
+  }
+
+  if (query.maxPreparationTime !== undefined) {
+    conditions.push({ preparationTime: { $lte: toNumber(query.maxPreparationTime, "maxPreparationTime") } });
+  }
+
+  conditions.push(...nutritionFilters(query));
+
+  // sorting, ties broken by _id so the cursor is stable
+  const sortParam = query.sort || "name";
+  const sortField = sortParam.replace(/^-/, "");
+  const direction = sortParam.startsWith("-") ? -1 : 1;
+  if (!SORT_FIELDS.includes(sortField)) {
+    throw new customError(`sort must be one of: ${SORT_FIELDS.join(", ")}`, 400);
+  }
+
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  // feedback arrays are heavy, only send them when asked for
+  const projection = `${query.includeFeedback === "true" ? PRIVATE_FEEDBACK_FIELDS : "-feedback"} ${PRICE_FIELDS} ${DRAFT_FIELDS}`;
+
+  // windows depend on the current time so they are checked after the query:
+  // keep reading batches until the page and one more item are found (or the items run out),
+  // so pages are full and nextCursor is only set when there really is a next page
+  const now = new Date();
+  const chainOf = await categoryService.categoryChains();
+  const isAvailable = (item) => isFoodItemAvailable(item, now, chainOf(item.category?._id));
+  const found = [];
+  let after = query.cursor ? decodeCursor(query.cursor, sortField) : null;
+
+  while (found.length <= limit) {
+    const batchConditions = after ? [...conditions, afterCursor(sortField, direction, after)] : conditions;
+    const batch = await FoodItem.find(batchConditions.length ? { $and: batchConditions } : {})
+      .select(projection)
+      .sort({ [sortField]: direction, _id: direction })
+      .limit(limit + 1)
+      .populate("category")
+      .lean();
+
+    for (const item of batch) {
+      if (includeUnavailable || isAvailable(item)) found.push(item);
+      if (found.length > limit) break;
+    }
+
+    if (batch.length < limit + 1) break;
+    const last = batch[batch.length - 1];
+    after = { value: last[sortField] ?? null, id: last._id };
+  }
+
+  const hasMore = found.length > limit;
+  const page = hasMore ? found.slice(0, limit) : found;
+
+  return {
+    items: page.map(item => ({
+      ...translationService.localizeFoodItem(item, locale),
+      isAvailableNow: isAvailable(item)
+    })),
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1], sortField) : null,
+    limit
+  };
 };
 
-// GET SINGLE FOOD ITEM
-exports.querySingleFoodItem = async (id) => {
-  const foodItem = await FoodItem.findById(id).populate("category");
-  if (!foodItem) {
+// GET SINGLE FOOD ITEM (unpublished items only with includeUnpublished), in locale
+exports.querySingleFoodItem = async (id, { includeUnpublished = false, locale = DEFAULT_LOCALE } = {}) => {
+  const foodItem = await FoodItem.findById(id).select(`${PRIVATE_FEEDBACK_FIELDS} ${PRICE_FIELDS} ${DRAFT_FIELDS}`).populate("category").lean();
+  if (!foodItem || (foodItem.isPublished === false && !includeUnpublished)) {
     throw new customError("Food item not found", 404);
   }
-  return foodItem;
+  const chainOf = await categoryService.categoryChains();
+  return {
+    ...translationService.localizeFoodItem(foodItem, locale),
+    isAvailableNow: isFoodItemAvailable(foodItem, new Date(), chainOf(foodItem.category?._id))
+  };
 };
 
 // ADD FOOD ITEM
-exports.insertFoodItem = async (foodData) => {
+// asDraft=true creates it unpublished, it goes on the menu with the next published menu version
+exports.insertFoodItem = async (foodData, user, { asDraft = false } = {}) => {
   const foodItem = await FoodItem.findOne({name:foodData.name});
   if (foodItem) {
     throw new customError("Food item Already exist", 400);
@@ -26,26 +204,130 @@ exports.insertFoodItem = async (foodData) => {
     if (!category) {
       throw new customError("Category not found!", 400);
     }
-  return await new FoodItem(foodData).save();
+  const { priceHistory, scheduledPrices, draft, ...data } = foodData;
+  return await new FoodItem({
+    ...data,
+    ...(asDraft && { isPublished: false, draft: { isPublished: true } }),
+    priceHistory: [{ price: data.price, source: "initial", changedBy: user?._id }],
+  }).save();
 };
 
-// DELETE FOOD ITEM
-exports.deleteItem = async (id) => {
+// DELETE FOOD ITEM - archives it, past orders and analytics keep resolving it
+// permanent=true removes an archived item for good, together with its image files
+exports.deleteItem = async (id, user, { permanent = false } = {}) => {
+  if (permanent) {
+    const foodItem = await FoodItem.findById(id).setOptions({ archived: true });
+    if (!foodItem) {
+      throw new customError("Archived food item not found, archive it before deleting it permanently", 404);
+    }
+    await FoodItem.deleteOne({ _id: foodItem._id });
+    await imageService.removeImage(foodItem.image);
+    return foodItem;
+  }
+
   const foodItem = await FoodItem.findById(id);
   if (!foodItem) {
     throw new customError("Food item not found", 404);
   }
-  return await FoodItem.findByIdAndDelete(id);
+  await foodItem.archive(user);
+  return foodItem;
+};
+
+// GET ARCHIVED FOOD ITEMS
+exports.getArchivedItems = async () => {
+  return await FoodItem.find()
+    .setOptions({ archived: true })
+    .select(`-feedback ${PRICE_FIELDS}`)
+    .populate({ path: "category", select: "name archivedAt", options: { includeArchived: true } })
+    .populate({ path: "archivedBy", select: "firstName lastName role", options: { includeArchived: true } })
+    .sort({ archivedAt: -1 });
+};
+
+// RESTORE FOOD ITEM
+exports.restoreItem = async (id) => {
+  const foodItem = await FoodItem.findById(id).setOptions({ archived: true });
+  if (!foodItem) {
+    throw new customError("Archived food item not found", 404);
+  }
+
+  if (await FoodItem.exists({ name: foodItem.name })) {
+    throw new customError(`Another food item is already called ${foodItem.name}, rename it first`, 400);
+  }
+  if (!(await Category.exists({ _id: foodItem.category }))) {
+    throw new customError("The category of this item is archived, restore the category first", 400);
+  }
+
+  await foodItem.restore();
+  return foodItem;
 };
 
-// UPDATE FOOD ITEM
-exports.updateItem = async (id, data) => {
-  const updatedFoodItem = await FoodItem.findByIdAndUpdate(id, data, {
+// UPDATE FOOD ITEM (user is recorded as the author of a price change, priceSource as where it came from)
+exports.updateItem = async (id, data, user, { priceSource = "manual" } = {}) => {
+  // a manual stock change overrides what the inventory decided
+  if (data.isInStock !== undefined) {
+    data.outOfStockByInventory = false;
+  }
+
+  // uploaded images only change through POST /:id/image, drafts through PATCH /api/menu/draft/items/:id, prices are recorded below
+  delete data.image;
+  delete data.draft;
+  delete data.priceHistory;
+  delete data.scheduledPrices;
+
+  const previous = await FoodItem.findById(id).select("image imageUrl price");
+  if (!previous) {
+    throw new customError("Food item not found", 404);
+  }
+
+  const update = { ...data };
+  // an image url set by hand replaces the uploaded image (sending the current url back changes nothing)
+  const replacesImage = data.imageUrl !== undefined && data.imageUrl !== previous.imageUrl;
+  if (replacesImage) update.$unset = { image: "" };
+
+  if (data.price !== undefined && Number(data.price) !== previous.price) {
+    update.$push = {
+      priceHistory: {
+        price: data.price,
+        previousPrice: previous.price,
+        source: priceSource,
+        changedBy: user?._id,
+        changedAt: new Date(),
+      },
+    };
+  }
+
+  const updatedFoodItem = await FoodItem.findByIdAndUpdate(id, update, {
     new: true,
     runValidators: true,
   });
   if (!updatedFoodItem) {
     throw new customError("Food item not found", 404);
   }
+  if (replacesImage) {
+    await imageService.removeImage(previous.image);
+  }
   return updatedFoodItem;
 };
+
+// UPLOAD FOOD ITEM IMAGE (replaces the current one)
+exports.setImage = async (id, buffer) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new customError("Invalid food item id", 400);
+  }
+  if (!(await FoodItem.exists({ _id: id }))) {
+    throw new customError("Food item not found", 404);
+  }
+
+  const image = await imageService.storeImage(`foodItems/${id}`, buffer);
+
+  // swap in the new image and get the old one back in the same step
+  const previous = await FoodItem.findByIdAndUpdate(id, { image, imageUrl: image.medium }).select("image");
+  if (!previous) {
+    // deleted while we were processing
+    await imageService.removeImage(image);
+    throw new customError("Food item not found", 404);
+  }
+  await imageService.removeImage(previous.image);
+
+  return await FoodItem.findById(id).select(`${PRIVATE_FEEDBACK_FIELDS} ${PRICE_FIELDS} ${DRAFT_FIELDS}`);
+};
@@ -0,0 +1,63 @@
+const crypto = require("crypto");
+const sharp = require("sharp");
+const storage = require("./storage");
+const customError = require("../utils/CustomErrorhandlerClass");
+
+// every upload is stored as webp in these sizes (fit inside, never enlarged)
+const VARIANTS = {
+  original: 1600,
+  medium: 600,
+  thumbnail: 200,
+};
+
+// Resize an uploaded image into its variants and store them under `folder`
+// returns { original, medium, thumbnail, keys, uploadedAt } as kept on the food item
+exports.storeImage = async (folder, buffer) => {
+  // the mimetype comes from the client, make sure the bytes really are an image
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    throw new customError("Uploaded file is not a valid image", 400);
+  }
+  if (!["jpeg", "png", "webp"].includes(metadata.format)) {
+    throw new customError("Only JPEG, PNG and WebP images are allowed", 400);
+  }
+
+  // a fresh name per upload so browsers and CDNs never show a stale image
+  const name = crypto.randomBytes(8).toString("hex");
+  const image = { keys: [], uploadedAt: new Date() };
+
+  try {
+    for (const [variant, size] of Object.entries(VARIANTS)) {
+      const output = await sharp(buffer)
+        .rotate()
+        .resize(size, size, { fit: "inside", withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer();
+
+      const key = `${folder}/${name}-${variant}.webp`;
+      image[variant] = await storage.save(key, output, "image/webp");
+      image.keys.push(key);
+    }
+  } catch (error) {
+    // don't leave half an upload behind
+    await exports.removeImage(image);
+    throw error;
+  }
+
+  return image;
+};
+
+// Remove every stored variant of an image, failures are logged and never thrown
+exports.removeImage = async (image) => {
+  if (!image || !image.keys) return;
+
+  await Promise.all(image.keys.map(async (key) => {
+    try {
+      await storage.remove(key);
+    } catch (error) {
+      console.error(`Failed to remove image ${key}:`, error.message);
+    }
+  }));
+};
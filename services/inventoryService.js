@@ -0,0 +1,253 @@
+const mongoose = require("mongoose");
+const Ingredient = require("../models/ingredientModel");
+const FoodItem = require("../models/foodItem");
+const Order = require("../models/orderModel");
+const customError = require("../utils/CustomErrorhandlerClass");
+const kitchenFeed = require("./kitchenFeedService");
+const { refreshNutrition } = require("./nutritionService");
+
+const usingIngredients = (ingredientIds) => ({ "recipe.ingredient": { $in: ingredientIds } });
+
+const toAmount = (value, name) => {
+  const amount = Number(value);
+  if (value === undefined || Number.isNaN(amount) || amount < 0) {
+    throw new customError(`${name} must be a positive number`, 400);
+  }
+  return amount;
+};
+
+// Flip isInStock on the matching food items:
+// out of stock when any ingredient cannot cover one portion, back in stock when all can
+// (only if the inventory was what took it out of stock, manual switches are left alone)
+const syncFoodItemStock = async (filter) => {
+  const foodItems = await FoodItem.find(filter)
+    .select("name isInStock outOfStockByInventory preparationTime recipe")
+    .populate("recipe.ingredient", "quantity");
+
+  const changed = [];
+
+  for (const foodItem of foodItems) {
+    const canMake = foodItem.recipe.every(
+      entry => entry.ingredient && entry.ingredient.quantity >= entry.quantity
+    );
+
+    if (!canMake && foodItem.isInStock) {
+      foodItem.isInStock = false;
+      foodItem.outOfStockByInventory = true;
+    } else if (canMake && !foodItem.isInStock && foodItem.outOfStockByInventory) {
+      foodItem.isInStock = true;
+      foodItem.outOfStockByInventory = false;
+    } else {
+      continue;
+    }
+
+    await FoodItem.updateOne(
+      { _id: foodItem._id },
+      { isInStock: foodItem.isInStock, outOfStockByInventory: foodItem.outOfStockByInventory }
+    );
+    changed.push(foodItem);
+
+    kitchenFeed.publish("item-updated", {
+      foodItemId: foodItem._id,
+      name: foodItem.name,
+      isInStock: foodItem.isInStock,
+      preparationTime: foodItem.preparationTime
+    });
+  }
+
+  return changed;
+};
+
+// ADD INGREDIENT
+exports.addIngredient = async (data) => {
+  const existing = await Ingredient.findOne({ name: data.name });
+  if (existing) {
+    throw new customError("Ingredient already exist.", 400);
+  }
+  return await new Ingredient(data).save();
+};
+
+// GET INGREDIENTS (lowStock=true only returns items at or below their threshold)
+exports.getIngredients = async ({ lowStock } = {}) => {
+  const filter = lowStock === "true" ? { $expr: { $lte: ["$quantity", "$lowStockThreshold"] } } : {};
+  return await Ingredient.find(filter).sort({ name: 1 });
+};
+
+// UPDATE INGREDIENT (name, unit, cost, nutrition, threshold or an absolute stock count)
+exports.updateIngredient = async (id, data) => {
+  const ingredient = await Ingredient.findById(id);
+  if (!ingredient) {
+    throw new customError("Ingredient not found", 404);
+  }
+
+  ["name", "unit", "costPerUnit", "nutrition", "lowStockThreshold", "quantity"].forEach(field => {
+    if (data[field] !== undefined) ingredient[field] = data[field];
+  });
+  await ingredient.save();
+
+  if (data.quantity !== undefined) {
+    await syncFoodItemStock(usingIngredients([ingredient._id]));
+  }
+  // the nutrition of the dishes depends on the ingredient's name (removed ingredients), unit and values
+  if (data.nutrition !== undefined || data.unit !== undefined || data.name !== undefined) {
+    await refreshNutrition(usingIngredients([ingredient._id]));
+  }
+  return ingredient;
+};
+
+// RESTOCK INGREDIENT
+exports.restock = async (id, amount) => {
+  const quantity = toAmount(amount, "amount");
+
+  const ingredient = await Ingredient.findByIdAndUpdate(
+    id,
+    { $inc: { quantity }, updatedAt: Date.now() },
+    { new: true }
+  );
+  if (!ingredient) {
+    throw new customError("Ingredient not found", 404);
+  }
+
+  await syncFoodItemStock(usingIngredients([ingredient._id]));
+  return ingredient;
+};
+
+// DELETE INGREDIENT (refused while a recipe still uses it)
+exports.deleteIngredient = async (id) => {
+  const ingredient = await Ingredient.findById(id);
+  if (!ingredient) {
+    throw new customError("Ingredient not found", 404);
+  }
+
+  // archived items count too, restoring one must not bring back a broken recipe
+  const usedBy = await FoodItem.countDocuments({ "recipe.ingredient": ingredient._id })
+    .setOptions({ includeArchived: true });
+  if (usedBy > 0) {
+    throw new customError(`Ingredient is used by ${usedBy} food item recipe(s).`, 400);
+  }
+
+  await ingredient.deleteOne();
+};
+
+// SET RECIPE of a food item
+exports.setRecipe = async (foodItemId, recipe) => {
+  if (!Array.isArray(recipe)) {
+    throw new customError("recipe must be an array of { ingredient, quantity }", 400);
+  }
+
+  const ingredientIds = recipe.map(entry => entry.ingredient);
+  if (!ingredientIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+    throw new customError("Invalid ingredient id in recipe", 400);
+  }
+
+  const found = await Ingredient.countDocuments({ _id: { $in: ingredientIds } });
+  if (found !== new Set(ingredientIds.map(String)).size) {
+    throw new customError("Recipe references an ingredient that doesn't exist", 400);
+  }
+
+  const foodItem = await FoodItem.findById(foodItemId);
+  if (!foodItem) {
+    throw new customError("Food item not found", 404);
+  }
+
+  foodItem.recipe = recipe.map(entry => ({
+    ingredient: entry.ingredient,
+    quantity: toAmount(entry.quantity, "quantity")
+  }));
+  await foodItem.save();
+
+  await syncFoodItemStock({ _id: foodItem._id });
+  await refreshNutrition({ _id: foodItem._id });
+  return await FoodItem.findById(foodItemId).populate("recipe.ingredient");
+};
+
+// usage per ingredient id of an order's lines,
+// recipe ingredients a line left out (removedIngredients, case-insensitive) are not used
+const ingredientUsage = async (order) => {
+  // items archived since the order was placed were still cooked
+  const foodItems = await FoodItem.find({ _id: { $in: order.items.map(item => item.foodItemId) } })
+    .select("recipe")
+    .populate("recipe.ingredient", "name")
+    .setOptions({ includeArchived: true });
+
+  const usage = new Map();
+  for (const item of order.items) {
+    const foodItem = foodItems.find(f => f._id.equals(item.foodItemId));
+    if (!foodItem) continue;
+
+    const removed = new Set((item.removedIngredients || []).map(name => name.toLowerCase()));
+    for (const entry of foodItem.recipe) {
+      if (!entry.ingredient || removed.has(entry.ingredient.name.toLowerCase())) continue;
+      const key = entry.ingredient._id.toString();
+      usage.set(key, (usage.get(key) || 0) + entry.quantity * item.quantity);
+    }
+  }
+  return usage;
+};
+
+// Consume the ingredients of an order (once), called when the order moves to preparing
+exports.consumeForOrder = async (orderId) => {
+  // claim the deduction first so concurrent calls can't consume twice
+  const claimed = await Order.findOneAndUpdate(
+    { _id: orderId, inventoryDeducted: { $ne: true } },
+    { inventoryDeducted: true },
+    { new: true }
+  );
+  if (!claimed) return [];
+
+  const usage = await ingredientUsage(claimed);
+  if (usage.size === 0) return [];
+
+  // stock never goes below zero, even if the kitchen used more than was recorded
+  await Ingredient.bulkWrite([...usage].map(([id, amount]) => ({
+    updateOne: {
+      filter: { _id: id },
+      update: [{
+        $set: {
+          quantity: { $max: [0, { $subtract: ["$quantity", amount] }] },
+          updatedAt: new Date()
+        }
+      }]
+    }
+  })));
+
+  const ingredientIds = [...usage.keys()];
+  await syncFoodItemStock(usingIngredients(ingredientIds));
+
+  const lowStock = await Ingredient.find({
+    _id: { $in: ingredientIds },
+    $expr: { $lte: ["$quantity", "$lowStockThreshold"] }
+  });
+
+  if (lowStock.length > 0) {
+    kitchenFeed.publish("low-stock", {
+      ingredients: lowStock.map(i => ({ _id: i._id, name: i.name, quantity: i.quantity, unit: i.unit }))
+    });
+  }
+  return lowStock;
+};
+
+// Put back the ingredients of an order (once), called when it is cancelled after consumeForOrder
+// returns the restocked ingredient ids
+exports.restockForOrder = async (orderId) => {
+  const claimed = await Order.findOneAndUpdate(
+    { _id: orderId, inventoryDeducted: true },
+    { inventoryDeducted: false },
+    { new: true }
+  );
+  if (!claimed) return [];
+
+  const usage = await ingredientUsage(claimed);
+  if (usage.size === 0) return [];
+
+  await Ingredient.bulkWrite([...usage].map(([id, amount]) => ({
+    updateOne: {
+      filter: { _id: id },
+      update: { $inc: { quantity: amount }, $set: { updatedAt: new Date() } }
+    }
+  })));
+
+  const ingredientIds = [...usage.keys()];
+  await syncFoodItemStock(usingIngredients(ingredientIds));
+  return ingredientIds;
+};
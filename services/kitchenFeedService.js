@@ -0,0 +1,135 @@
+const Order = require("../models/orderModel");
+
+// Server-Sent Events feed for the kitchen screens (/api/orders/chef/stream)
+// Events are kept in a small in-memory buffer so reconnecting clients can catch up
+// using the Last-Event-ID header (or ?lastEventId=) instead of re-fetching everything.
+// Browsers open the stream with a token from POST /api/orders/chef/stream-token in ?token=.
+
+const BUFFER_SIZE = 500;
+const HEARTBEAT_MS = 25 * 1000;
+const RETRY_MS = 3000;
+
+const clients = new Set();
+const buffer = [];
+let lastEventId = 0;
+
+// Same shape as GET /api/orders/chef
+const formatChefOrder = (order) => {
+  const orderNumber = order._id.toString().substring(18, 24).toUpperCase();
+  const orderTime = new Date(order.createdAt);
+  const now = new Date();
+  const diffMinutes = Math.floor((now - orderTime) / (1000 * 60));
+
+  return {
+    ...order,
+    orderNumber: `#${orderNumber}`,
+    orderTime: `${Math.floor(diffMinutes/60)}h ${diffMinutes%60}m ago`,
+    status: order.status.toUpperCase(),
+    formattedItems: order.items.map(item => ({
+      name: item.foodItemId?.name || item.name,
+      quantity: item.quantity,
+      price: item.price || item.foodItemId?.price,
+      preparationTime: item.foodItemId?.preparationTime || 15,
+      modifiers: (item.modifiers || []).map(m => `${m.groupName}: ${m.optionName}`),
+      removedIngredients: item.removedIngredients || [],
+      specialInstructions: item.specialInstructions || '',
+      allergenWarnings: item.allergenWarnings || [],
+      // bundle lines are cooked like any other item, the bundle name tells the pass what goes together
+      bundle: item.bundleLineId
+        ? (order.bundles || []).find(b => b._id.equals(item.bundleLineId))?.name || null
+        : null,
+      bundleSlot: item.bundleSlot || null
+    })),
+    hasAllergenWarnings: order.items.some(item => item.allergenWarnings?.length > 0),
+    tableNumber: order.table?.number || null,
+    customerName: order.user ? `${order.user.firstName} ${order.user.lastName}` : 'Guest'
+  };
+};
+
+// query used by the chef screen, populated the way formatChefOrder expects
+// (archived customers and food items still resolve, the order was placed before they were archived)
+const chefOrderQuery = (filter) => {
+  return Order.find(filter)
+    .sort({ createdAt: 1 })
+    .populate({
+      path: "user",
+      select: "firstName lastName role",
+      model: "User",
+      options: { includeArchived: true }
+    })
+    .populate({
+      path: "items.foodItemId",
+      select: "name price description preparationTime",
+      model: "FoodItem",
+      options: { includeArchived: true }
+    })
+    .populate("table", "number section")
+    .lean();
+};
+
+const writeEvent = (res, event) => {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+};
+
+// push an event to every connected kitchen client
+const publish = (type, data) => {
+  const event = { id: ++lastEventId, type, data };
+  buffer.push(event);
+  if (buffer.length > BUFFER_SIZE) buffer.shift();
+
+  for (const res of clients) {
+    writeEvent(res, event);
+  }
+  return event;
+};
+
+// publish an order event with the order formatted for the chef screen
+// never throws, a failing feed must not fail the request that triggered it
+const publishOrderEvent = async (type, orderId, extra = {}) => {
+  try {
+    const [order] = await chefOrderQuery({ _id: orderId });
+    if (!order) return;
+    publish(type, { ...extra, order: formatChefOrder(order) });
+  } catch (error) {
+    console.error(`Failed to publish ${type} kitchen event:`, error);
+  }
+};
+
+// GET /api/orders/chef/stream
+const subscribe = (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const since = parseInt(req.get("Last-Event-ID") || req.query.lastEventId, 10);
+  if (!Number.isNaN(since)) {
+    const oldestId = buffer.length ? buffer[0].id : lastEventId + 1;
+    if (since > lastEventId || since < oldestId - 1) {
+      // the missed events are gone (buffer overflow or server restart), client must reload GET /chef
+      res.write(`event: resync\ndata: ${JSON.stringify({ lastEventId })}\n\n`);
+    } else {
+      buffer.filter(event => event.id > since).forEach(event => writeEvent(res, event));
+    }
+  }
+
+  clients.add(res);
+
+  const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), HEARTBEAT_MS);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    clients.delete(res);
+  });
+};
+
+module.exports = {
+  formatChefOrder,
+  chefOrderQuery,
+  publish,
+  publishOrderEvent,
+  subscribe
+};
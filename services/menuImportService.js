@@ -0,0 +1,190 @@
+const FoodItem = require("../models/foodItem");
+const Category = require("../models/categoryModel");
+const foodItemService = require("./foodItemService");
+const customError = require("../utils/CustomErrorhandlerClass");
+const { parseCsv, toCsv } = require("../utils/csv");
+const { menuItemSchema } = require("../validation/menuImportValidator");
+
+// CSV columns, list columns are separated by ";"
+const CSV_COLUMNS = [
+  "name", "description", "price", "preparationTime", "category",
+  "ingredients", "dietaryTags", "allergens", "mayContain", "isInStock", "imageUrl"
+];
+const LIST_COLUMNS = ["ingredients", "dietaryTags", "allergens", "mayContain"];
+
+const splitList = (value) => String(value).split(";").map(v => v.trim()).filter(Boolean);
+
+// CSV cells are strings: turn the list columns into arrays and drop empty cells
+const fromCsvRow = (row) => {
+  const item = {};
+  for (const [column, value] of Object.entries(row)) {
+    if (value === "") continue;
+    item[column] = LIST_COLUMNS.includes(column) ? splitList(value) : value;
+  }
+  // in CSV allergens are plain names, only JSON can name the source ingredients
+  if (item.allergens) {
+    item.allergens = item.allergens.map(allergen => ({ allergen }));
+  }
+  return item;
+};
+
+// Turn the request body into rows: text/csv bodies are parsed, JSON can be an array or { items: [...] }
+exports.parseMenu = (body, format) => {
+  if (format === "csv") {
+    if (typeof body !== "string" || body.trim() === "") {
+      throw new customError("CSV body is empty", 400);
+    }
+    try {
+      return parseCsv(body).map(fromCsvRow);
+    } catch (error) {
+      throw new customError(error.message, 400);
+    }
+  }
+
+  const items = Array.isArray(body) ? body : body?.items;
+  if (!Array.isArray(items)) {
+    throw new customError("JSON body must be an array of items or { items: [...] }", 400);
+  }
+  return items;
+};
+
+// IMPORT MENU
+// every row is validated, rows with errors are skipped and reported (row = 1-based position in the file),
+// valid rows are upserted by name. With dryRun nothing is written.
+// Rows naming an archived item or category are reported, the archived record has to be restored first.
+exports.importMenu = async (rows, { dryRun = false, user } = {}) => {
+  if (rows.length === 0) {
+    throw new customError("The menu has no items", 400);
+  }
+
+  const report = {
+    dryRun,
+    total: rows.length,
+    created: [],
+    updated: [],
+    categoriesCreated: [],
+    errors: []
+  };
+
+  // validate everything before writing anything
+  const seen = new Set();
+  const valid = [];
+  rows.forEach((row, index) => {
+    const { value, error } = menuItemSchema.validate(row);
+    const errors = error ? error.details.map(detail => detail.message) : [];
+
+    if (!error) {
+      const key = value.name.toLowerCase();
+      if (seen.has(key)) errors.push(`"${value.name}" appears more than once in the import`);
+      seen.add(key);
+    }
+
+    if (errors.length > 0) {
+      report.errors.push({ row: index + 1, name: row?.name, errors });
+    } else {
+      valid.push({ row: index + 1, item: value });
+    }
+  });
+
+  // categories by name, created when missing (names are unique, archived ones included)
+  const categoryNames = [...new Set(valid.map(({ item }) => item.category))];
+  const knownCategories = await Category.find({ name: { $in: categoryNames } }).setOptions({ includeArchived: true });
+  const categories = new Map(knownCategories.filter(category => !category.archivedAt).map(category => [category.name, category._id]));
+  const unusable = new Map(knownCategories.filter(category => category.archivedAt)
+    .map(category => [category.name, `Category "${category.name}" is archived, restore it before importing into it`]));
+
+  for (const name of categoryNames) {
+    if (categories.has(name) || unusable.has(name)) continue;
+    if (dryRun) {
+      report.categoriesCreated.push(name);
+      continue;
+    }
+    try {
+      categories.set(name, (await Category.create({ name }))._id);
+      report.categoriesCreated.push(name);
+    } catch (error) {
+      unusable.set(name, `Category "${name}" could not be created: ${error.message}`);
+    }
+  }
+
+  const existingItems = await FoodItem.find({ name: { $in: valid.map(({ item }) => item.name) } })
+    .setOptions({ includeArchived: true })
+    .select("name archivedAt");
+  const existing = new Map(existingItems.map(foodItem => [foodItem.name, foodItem]));
+
+  for (const { row, item } of valid) {
+    const found = existing.get(item.name);
+    if (found?.archivedAt || unusable.has(item.category)) {
+      const message = found?.archivedAt
+        ? `"${item.name}" is archived, restore it before importing it again`
+        : unusable.get(item.category);
+      report.errors.push({ row, name: item.name, errors: [message] });
+      continue;
+    }
+
+    const id = found?._id;
+    const target = id ? report.updated : report.created;
+
+    if (dryRun) {
+      target.push(item.name);
+      continue;
+    }
+
+    try {
+      const data = { ...item, category: categories.get(item.category) };
+      if (id) {
+        // updateItem only replaces the uploaded image when the url really changes (an export re-imported keeps it)
+        await foodItemService.updateItem(id, data, user);
+      } else {
+        await foodItemService.insertFoodItem(data, user);
+      }
+      target.push(item.name);
+    } catch (error) {
+      // e.g. model validation the schema above does not cover
+      report.errors.push({ row, name: item.name, errors: [error.message] });
+    }
+  }
+
+  report.errors.sort((a, b) => a.row - b.row);
+  return report;
+};
+
+// EXPORT MENU - same shape as the import, categories by name
+exports.exportMenu = async (format) => {
+  const foodItems = await FoodItem.find()
+    .select("name description price preparationTime category ingredients dietaryTags allergens mayContain isInStock imageUrl modifierGroups availability")
+    .populate("category", "name")
+    .sort({ name: 1 })
+    .lean();
+
+  const items = foodItems.map(foodItem => ({
+    name: foodItem.name,
+    description: foodItem.description,
+    price: foodItem.price,
+    preparationTime: foodItem.preparationTime,
+    category: foodItem.category?.name,
+    ingredients: foodItem.ingredients || [],
+    dietaryTags: foodItem.dietaryTags || [],
+    allergens: foodItem.allergens || [],
+    mayContain: foodItem.mayContain || [],
+    isInStock: foodItem.isInStock,
+    imageUrl: foodItem.imageUrl,
+    // ids are environment specific, leave them out so the file imports anywhere
+    modifierGroups: (foodItem.modifierGroups || []).map(({ _id, options, ...group }) => ({
+      ...group,
+      options: options.map(({ _id: optionId, ...option }) => option)
+    })),
+    availability: foodItem.availability
+  }));
+
+  if (format === "csv") {
+    return toCsv(items.map(item => ({
+      ...item,
+      ingredients: item.ingredients.join(";"),
+      dietaryTags: item.dietaryTags.join(";"),
+      allergens: item.allergens.map(entry => entry.allergen).join(";"),
+      mayContain: item.mayContain.join(";")
+    })), CSV_COLUMNS);
+  }
+  return items;
+};
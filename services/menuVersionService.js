@@ -0,0 +1,577 @@
+const mongoose = require("mongoose");
+const MenuVersion = require("../models/menuVersionModel");
+const MenuPublication = require("../models/menuPublicationModel");
+const FoodItem = require("../models/foodItem");
+const Category = require("../models/categoryModel");
+const customError = require("../utils/CustomErrorhandlerClass");
+const foodItemService = require("./foodItemService");
+
+// food item fields that belong to the menu (stock, feedback, recipes, images... are operational and stay live)
+const MENU_FIELDS = [
+  "name", "description", "price", "preparationTime", "category", "ingredients", "dietaryTags",
+  "allergens", "mayContain", "modifierGroups", "availability", "isPublished", "translations"
+];
+const CATEGORY_FIELDS = ["name", "parent", "displayOrder", "availability", "translations"];
+
+const SCHEDULER_INTERVAL_MS = Number(process.env.MENU_SCHEDULER_INTERVAL_MS) || 60 * 1000;
+
+let schedulerTimer = null;
+
+// ids and dates as strings, so snapshots compare the same whether they come from mongo or a version
+const normalize = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+// JSON with sorted keys, for comparing field values
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+const pick = (source, fields) => Object.fromEntries(fields.map(field => [field, normalize(source[field])]));
+
+const changedFields = (from, to, fields) => fields
+  .filter(field => stableStringify(from[field]) !== stableStringify(to[field]))
+  .map(field => ({ field, from: from[field] ?? null, to: to[field] ?? null }));
+
+// fields recorded in a snapshot entry (versions taken before a field existed leave it alone)
+const snapshotFields = (entry, fields) => fields.filter(field => field in entry);
+
+// Snapshot of the menu. withDrafts=true applies every pending draft (what the next version will contain)
+const buildSnapshot = async ({ withDrafts = false } = {}) => {
+  const [foodItems, categories] = await Promise.all([
+    FoodItem.find().select(`${MENU_FIELDS.join(" ")} draft`).sort({ name: 1 }).lean(),
+    Category.find().select(CATEGORY_FIELDS.join(" ")).sort({ displayOrder: 1, name: 1 }).lean()
+  ]);
+
+  return {
+    items: foodItems.map(foodItem => ({
+      foodItemId: String(foodItem._id),
+      ...pick({ ...foodItem, isPublished: foodItem.isPublished !== false, ...(withDrafts ? foodItem.draft : {}) }, MENU_FIELDS)
+    })),
+    categories: categories.map(category => ({
+      categoryId: String(category._id),
+      ...pick(category, CATEGORY_FIELDS)
+    }))
+  };
+};
+
+// added / removed / changed entries between two lists of snapshot entries
+const diffEntries = (from, to, idField, fields) => {
+  const fromById = new Map(from.map(entry => [entry[idField], entry]));
+  const toById = new Map(to.map(entry => [entry[idField], entry]));
+
+  return {
+    added: to.filter(entry => !fromById.has(entry[idField])).map(entry => ({ [idField]: entry[idField], name: entry.name })),
+    removed: from.filter(entry => !toById.has(entry[idField])).map(entry => ({ [idField]: entry[idField], name: entry.name })),
+    changed: to
+      .filter(entry => fromById.has(entry[idField]))
+      .map(entry => ({
+        [idField]: entry[idField],
+        name: entry.name,
+        changes: changedFields(fromById.get(entry[idField]), entry, fields)
+      }))
+      .filter(entry => entry.changes.length > 0)
+  };
+};
+
+const diffSnapshots = (from, to) => ({
+  items: diffEntries(from.items, to.items, "foodItemId", MENU_FIELDS),
+  categories: diffEntries(from.categories, to.categories, "categoryId", CATEGORY_FIELDS)
+});
+
+const findVersion = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new customError("Invalid menu version id", 400);
+  }
+  const version = await MenuVersion.findById(id);
+  if (!version) {
+    throw new customError("Menu version not found", 404);
+  }
+  return version;
+};
+
+// "live", "draft" or a version id
+const resolveSnapshot = async (ref) => {
+  if (!ref || ref === "live") return buildSnapshot();
+  if (ref === "draft") return buildSnapshot({ withDrafts: true });
+  return findVersion(ref);
+};
+
+// Fields of a snapshot entry a publish writes. With the live menu the version was taken from (base), only
+// the fields the version changed, so what changed live since (scheduled prices, imports, translations...)
+// stays. Versions without a base write every field they recorded.
+const fieldsToApply = (entry, baseEntry, fields) => {
+  const recorded = snapshotFields(entry, fields);
+  if (!baseEntry) return recorded;
+  return recorded.filter(field => stableStringify(entry[field]) !== stableStringify(baseEntry[field]));
+};
+
+// Work out every write that makes the live menu match a snapshot, without writing anything:
+// changed item fields (through updateItem later, for price history and images), categories are updated in place,
+// without a base the items created after the snapshot get unpublished. `previous` keeps the live values to undo with.
+// Items or categories archived or deleted since the snapshot are skipped and reported.
+const planSnapshot = async (snapshot, base) => {
+  const live = await buildSnapshot();
+  const liveItems = new Map(live.items.map(item => [item.foodItemId, item]));
+  const liveCategories = new Map(live.categories.map(category => [category.categoryId, category]));
+  const baseItems = new Map((base?.items || []).map(item => [item.foodItemId, item]));
+  const baseCategories = new Map((base?.categories || []).map(category => [category.categoryId, category]));
+  const snapshotIds = new Set(snapshot.items.map(item => item.foodItemId));
+  const plan = { categories: [], items: [], unpublish: [], skipped: [], liveCategories };
+
+  const changesOf = (current, entry, baseEntry, fields) => {
+    const changes = changedFields(current, entry, fieldsToApply(entry, baseEntry, fields));
+    return {
+      update: Object.fromEntries(changes.map(change => [change.field, change.to])),
+      previous: Object.fromEntries(changes.map(change => [change.field, change.from]))
+    };
+  };
+
+  for (const category of snapshot.categories) {
+    const current = liveCategories.get(category.categoryId);
+    if (!current) {
+      plan.skipped.push({ categoryId: category.categoryId, name: category.name, reason: "archived or deleted" });
+      continue;
+    }
+    const { update, previous } = changesOf(current, category, baseCategories.get(category.categoryId), CATEGORY_FIELDS);
+    if (Object.keys(update).length > 0) plan.categories.push({ id: category.categoryId, name: category.name, update, previous });
+  }
+
+  for (const item of snapshot.items) {
+    const current = liveItems.get(item.foodItemId);
+    if (!current) {
+      plan.skipped.push({ foodItemId: item.foodItemId, name: item.name, reason: "archived or deleted" });
+      continue;
+    }
+    const { update, previous } = changesOf(current, item, baseItems.get(item.foodItemId), MENU_FIELDS);
+    if (Object.keys(update).length > 0) plan.items.push({ id: item.foodItemId, name: item.name, update, previous });
+  }
+
+  if (!base) {
+    plan.unpublish = live.items
+      .filter(item => !snapshotIds.has(item.foodItemId) && item.isPublished)
+      .map(item => item.foodItemId);
+  }
+
+  return plan;
+};
+
+// Work out the writes that undo a publication: every field it changed goes back to its previous value,
+// unless it changed live since then (that change is kept and the field reported as skipped).
+const planRevert = async (changes) => {
+  const live = await buildSnapshot();
+  const liveItems = new Map(live.items.map(item => [item.foodItemId, item]));
+  const liveCategories = new Map(live.categories.map(category => [category.categoryId, category]));
+  const plan = { categories: [], items: [], unpublish: [], skipped: [], liveCategories };
+
+  const revertOf = (current, change, idField) => {
+    if (!current) {
+      plan.skipped.push({ [idField]: change.id, name: change.name, reason: "archived or deleted" });
+      return null;
+    }
+    const fields = Object.keys(change.update);
+    const untouched = fields.filter(field => stableStringify(current[field]) === stableStringify(change.update[field]));
+    const changedSince = fields.filter(field => !untouched.includes(field));
+    if (changedSince.length > 0) {
+      plan.skipped.push({ [idField]: change.id, name: change.name, fields: changedSince, reason: "changed since the publish" });
+    }
+    if (untouched.length === 0) return null;
+    return {
+      id: change.id,
+      name: change.name,
+      update: Object.fromEntries(untouched.map(field => [field, change.previous[field]])),
+      previous: Object.fromEntries(untouched.map(field => [field, change.update[field]]))
+    };
+  };
+
+  for (const change of changes.categories) {
+    const revert = revertOf(liveCategories.get(change.id), change, "categoryId");
+    if (revert) plan.categories.push(revert);
+  }
+  for (const change of changes.items) {
+    const revert = revertOf(liveItems.get(change.id), change, "foodItemId");
+    if (revert) plan.items.push(revert);
+  }
+  // items the publication unpublished come back
+  for (const id of changes.unpublish) {
+    const current = liveItems.get(id);
+    const change = { id, name: current?.name, update: { isPublished: false }, previous: { isPublished: true } };
+    const revert = revertOf(current, change, "foodItemId");
+    if (revert) plan.items.push(revert);
+  }
+
+  return plan;
+};
+
+// Every planned change has to pass the model validation and point at live categories
+// before anything is written, otherwise nothing is published.
+const validatePlan = async (plan) => {
+  const errors = [];
+
+  const categories = await Category.find({ _id: { $in: plan.categories.map(change => change.id) } });
+  for (const change of plan.categories) {
+    const category = categories.find(c => c._id.equals(change.id));
+    category.set(change.update);
+    const error = category.validateSync(Object.keys(change.update));
+    if (error) errors.push(`${change.name}: ${Object.values(error.errors).map(e => e.message).join(", ")}`);
+    if (change.update.parent && !plan.liveCategories.has(String(change.update.parent))) {
+      errors.push(`${change.name}: its parent category is archived or deleted`);
+    }
+  }
+
+  // category names are unique, archived ones included
+  const renamed = new Map(plan.categories.filter(change => change.update.name).map(change => [change.id, change.update.name]));
+  if (renamed.size > 0) {
+    const names = (await Category.find().setOptions({ includeArchived: true }).select("name").lean())
+      .map(category => renamed.get(String(category._id)) ?? category.name);
+    const duplicates = names.filter((name, index) => names.indexOf(name) !== index);
+    if (duplicates.length > 0) errors.push(`Category names used twice: ${[...new Set(duplicates)].join(", ")}`);
+  }
+
+  const foodItems = await FoodItem.find({ _id: { $in: plan.items.map(change => change.id) } });
+  for (const change of plan.items) {
+    const foodItem = foodItems.find(f => f._id.equals(change.id));
+    foodItem.set(change.update);
+    const error = foodItem.validateSync(Object.keys(change.update));
+    if (error) errors.push(`${change.name}: ${Object.values(error.errors).map(e => e.message).join(", ")}`);
+    if (change.update.category && !plan.liveCategories.has(String(change.update.category))) {
+      errors.push(`${change.name}: its category is archived or deleted`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new customError(`The menu version can't be published: ${errors.join("; ")}`, 400);
+  }
+};
+
+// Write a validated plan. A write failing halfway undoes the writes before it,
+// so the live menu either has every change or none.
+const applyPlan = async (plan, user) => {
+  const undo = [];
+  try {
+    for (const change of plan.categories) {
+      await Category.updateOne({ _id: change.id }, change.update);
+      undo.push(() => Category.updateOne({ _id: change.id }, change.previous));
+    }
+    for (const change of plan.items) {
+      await foodItemService.updateItem(change.id, { ...change.update }, user, { priceSource: "menu" });
+      undo.push(() => foodItemService.updateItem(change.id, { ...change.previous }, user, { priceSource: "menu" }));
+    }
+    for (const id of plan.unpublish) {
+      await FoodItem.updateOne({ _id: id }, { isPublished: false, updatedAt: Date.now() });
+      undo.push(() => FoodItem.updateOne({ _id: id }, { isPublished: true, updatedAt: Date.now() }));
+    }
+  } catch (error) {
+    for (const step of undo.reverse()) {
+      try {
+        await step();
+      } catch (undoError) {
+        console.error("Undoing a failed menu publish failed:", undoError);
+      }
+    }
+    throw error;
+  }
+
+  // drafts that are now live are done, drafts with other changes are kept
+  const withDrafts = await FoodItem.find({ draft: { $exists: true } }).select(`${MENU_FIELDS.join(" ")} draft`).lean();
+  for (const foodItem of withDrafts) {
+    const fields = Object.keys(foodItem.draft || {}).filter(field => MENU_FIELDS.includes(field));
+    const published = pick({ ...foodItem, isPublished: foodItem.isPublished !== false }, MENU_FIELDS);
+    if (changedFields(published, { ...published, ...normalize(foodItem.draft) }, fields).length === 0) {
+      await FoodItem.updateOne({ _id: foodItem._id }, { $unset: { draft: "" } });
+    }
+  }
+
+  return {
+    updated: plan.items.length,
+    unpublished: plan.unpublish.length,
+    categoriesUpdated: plan.categories.length,
+    skipped: plan.skipped
+  };
+};
+
+// what a publication changed, kept on it so a rollback can undo exactly that
+const recordedChanges = (plan) => ({
+  categories: plan.categories.map(({ id, name, update, previous }) => ({ id, name, update, previous })),
+  items: plan.items.map(({ id, name, update, previous }) => ({ id, name, update, previous })),
+  unpublish: plan.unpublish
+});
+
+// Publish the changes of a version (see planSnapshot), returns the result and the changes made
+const applySnapshot = async (snapshot, user) => {
+  const plan = await planSnapshot(snapshot, snapshot.base);
+  await validatePlan(plan);
+  const result = await applyPlan(plan, user);
+  return { result, changes: recordedChanges(plan) };
+};
+
+// Undo the recorded changes of a publication (see planRevert)
+const revertChanges = async (changes, user) => {
+  const plan = await planRevert(changes);
+  await validatePlan(plan);
+  return applyPlan(plan, user);
+};
+
+// the live menu is the latest publication that was not rolled back
+const livePublications = (limit) => MenuPublication.find({ rolledBackAt: null })
+  .sort({ publishedAt: -1, _id: -1 })
+  .limit(limit);
+
+// the first publish keeps the menu as it was, so there is always something to roll back to
+const ensureBaseline = async (user) => {
+  if (await MenuPublication.exists({})) return;
+
+  const snapshot = await buildSnapshot();
+  const publishedAt = new Date(Date.now() - 1000);
+  const baseline = await MenuVersion.create({
+    name: "Menu before versioning",
+    status: "published",
+    ...snapshot,
+    publishedAt,
+    createdBy: user?._id
+  });
+  await MenuPublication.create({ version: baseline._id, publishedAt, publishedBy: user?._id });
+};
+
+const markPublished = async (version, user) => {
+  version.status = "published";
+  version.scheduledFor = undefined;
+  version.publishError = undefined;
+  version.publishedAt = new Date();
+  version.publishedBy = user?._id;
+  await version.save();
+};
+
+const publishVersion = async (version, user) => {
+  await ensureBaseline(user);
+  const { result, changes } = await applySnapshot(version, user);
+
+  await markPublished(version, user);
+  await MenuPublication.create({ version: version._id, publishedAt: version.publishedAt, publishedBy: user?._id, changes });
+
+  return { version: summarize(version), result };
+};
+
+const summarize = (version) => ({
+  _id: version._id,
+  name: version.name,
+  note: version.note,
+  status: version.status,
+  itemCount: version.items.length,
+  categoryCount: version.categories.length,
+  scheduledFor: version.scheduledFor,
+  publishedAt: version.publishedAt,
+  publishedBy: version.publishedBy,
+  publishError: version.publishError,
+  createdBy: version.createdBy,
+  createdAt: version.createdAt
+});
+
+// SAVE DRAFT - pending changes to one food item, validated like a real update
+exports.saveDraft = async (id, changes) => {
+  const foodItem = await FoodItem.findById(id);
+  if (!foodItem) {
+    throw new customError("Food item not found", 404);
+  }
+
+  const unknown = Object.keys(changes).filter(field => !MENU_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new customError(`These fields can't be drafted: ${unknown.join(", ")}. Drafts cover ${MENU_FIELDS.join(", ")}`, 400);
+  }
+
+  const draft = { ...(foodItem.draft || {}), ...normalize(changes) };
+  const candidate = new FoodItem({ ...foodItem.toObject(), ...draft });
+  const error = candidate.validateSync(Object.keys(draft));
+  if (error) {
+    throw new customError(Object.values(error.errors).map(e => e.message).join(", "), 400);
+  }
+
+  foodItem.draft = draft;
+  foodItem.markModified("draft");
+  await foodItem.save();
+  return foodItem;
+};
+
+// EDIT FOOD ITEM (PATCH /api/foodItems/:id) - menu fields go to the draft and wait for the next published
+// version, operational fields (stock, image url, ...) apply right away. live=true applies everything now.
+exports.editFoodItem = async (id, data, user, { live = false } = {}) => {
+  const isMenuField = ([field]) => !live && MENU_FIELDS.includes(field);
+  const menuChanges = Object.fromEntries(Object.entries(data).filter(isMenuField));
+  const liveChanges = Object.fromEntries(Object.entries(data).filter(entry => !isMenuField(entry)));
+
+  if (Object.keys(menuChanges).length > 0) {
+    await exports.saveDraft(id, menuChanges);
+  }
+
+  const foodItem = Object.keys(liveChanges).length > 0
+    ? await foodItemService.updateItem(id, liveChanges, user)
+    : await FoodItem.findById(id);
+  if (!foodItem) {
+    throw new customError("Food item not found", 404);
+  }
+
+  return { foodItem, drafted: Object.keys(menuChanges), applied: Object.keys(liveChanges) };
+};
+
+// DISCARD DRAFT
+exports.discardDraft = async (id) => {
+  const foodItem = await FoodItem.findByIdAndUpdate(id, { $unset: { draft: "" } }, { new: true });
+  if (!foodItem) {
+    throw new customError("Food item not found", 404);
+  }
+  return foodItem;
+};
+
+// PENDING CHANGES - what a version created now would change on the live menu
+exports.getDraftChanges = async () => {
+  const [live, draft] = await Promise.all([buildSnapshot(), buildSnapshot({ withDrafts: true })]);
+  return diffSnapshots(live, draft);
+};
+
+// CREATE VERSION - snapshot of the menu with all drafts applied, and of the live menu it is based on
+exports.createVersion = async ({ name, note }, user) => {
+  if (!name || String(name).trim() === "") {
+    throw new customError("A version needs a name", 400);
+  }
+  const [base, snapshot] = await Promise.all([buildSnapshot(), buildSnapshot({ withDrafts: true })]);
+  const version = await MenuVersion.create({ name, note, ...snapshot, base, createdBy: user._id });
+  return summarize(version);
+};
+
+// LIST VERSIONS, newest first, without the snapshots
+exports.listVersions = async () => {
+  const [versions, [live]] = await Promise.all([
+    MenuVersion.find().sort({ createdAt: -1 }),
+    livePublications(1)
+  ]);
+
+  return versions.map(version => ({
+    ...summarize(version),
+    isLive: Boolean(live && live.version.equals(version._id))
+  }));
+};
+
+// PUBLISH HISTORY, newest first (rolled back entries keep rolledBackAt)
+exports.getHistory = async () => {
+  return await MenuPublication.find()
+    .sort({ publishedAt: -1, _id: -1 })
+    .populate("version", "name")
+    .populate({ path: "publishedBy rolledBackBy", select: "firstName lastName", options: { includeArchived: true } });
+};
+
+// GET VERSION (with its snapshot)
+exports.getVersion = findVersion;
+
+// DIFF - from one menu to another, each side "live", "draft" or a version id
+exports.diff = async (fromRef, toRef) => {
+  const [from, to] = await Promise.all([resolveSnapshot(fromRef), resolveSnapshot(toRef)]);
+  return diffSnapshots(from, to);
+};
+
+// PUBLISH - now, or at publishAt when it is in the future
+exports.publish = async (id, { publishAt } = {}, user) => {
+  const version = await findVersion(id);
+
+  if (publishAt) {
+    const date = new Date(publishAt);
+    if (Number.isNaN(date.getTime())) {
+      throw new customError("publishAt must be a valid date", 400);
+    }
+    if (date > new Date()) {
+      version.status = "scheduled";
+      version.scheduledFor = date;
+      version.publishError = undefined;
+      version.publishedBy = user._id;
+      await version.save();
+      return { version: summarize(version), result: null };
+    }
+  }
+
+  return publishVersion(version, user);
+};
+
+// CANCEL SCHEDULE
+exports.cancelSchedule = async (id) => {
+  const version = await MenuVersion.findOneAndUpdate(
+    { _id: id, status: "scheduled" },
+    { status: "draft", $unset: { scheduledFor: "" } },
+    { new: true }
+  );
+  if (!version) {
+    throw new customError("No scheduled publish for this version", 404);
+  }
+  return summarize(version);
+};
+
+// ROLLBACK - undo the changes of the latest publication, the version before it is live again.
+// Fields changed live since that publication keep their new value. Rolling back again keeps going back.
+exports.rollback = async (user) => {
+  const [current, previous] = await livePublications(2);
+  if (!current || !previous) {
+    throw new customError("There is no previous menu version to roll back to", 400);
+  }
+  const version = await MenuVersion.findById(previous.version);
+  if (!version) {
+    throw new customError("The previous menu version was deleted", 400);
+  }
+
+  // claimed first so two rollbacks at once don't skip a version
+  const claimed = await MenuPublication.findOneAndUpdate(
+    { _id: current._id, rolledBackAt: null },
+    { rolledBackAt: new Date(), rolledBackBy: user._id }
+  );
+  if (!claimed) {
+    throw new customError("The menu was just rolled back by someone else, check the history and retry", 409);
+  }
+
+  try {
+    // publications from before changes were recorded go back to the whole previous snapshot
+    const result = current.changes
+      ? await revertChanges(current.changes, user)
+      : (await applySnapshot(version, user)).result;
+    await markPublished(version, user);
+    return { version: summarize(version), result };
+  } catch (error) {
+    await MenuPublication.updateOne({ _id: current._id }, { $unset: { rolledBackAt: "", rolledBackBy: "" } });
+    throw error;
+  }
+};
+
+// publish scheduled versions that are due (claimed first, so two schedulers don't both publish)
+exports.publishDueVersions = async (now = new Date()) => {
+  const due = await MenuVersion.find({ status: "scheduled", scheduledFor: { $lte: now } }).sort({ scheduledFor: 1 });
+
+  for (const { _id } of due) {
+    const version = await MenuVersion.findOneAndUpdate(
+      { _id, status: "scheduled" },
+      { status: "draft" },
+      { new: true }
+    );
+    if (!version) continue;
+
+    try {
+      await publishVersion(version, { _id: version.publishedBy });
+    } catch (error) {
+      // nothing was published, retrying every minute would fail the same way: back to draft with the reason
+      console.error(`Publishing menu version ${version.name} failed:`, error);
+      await MenuVersion.updateOne({ _id }, { publishError: error.message, $unset: { scheduledFor: "" } });
+    }
+  }
+};
+
+// run publishDueVersions now and then every MENU_SCHEDULER_INTERVAL_MS
+exports.startScheduler = () => {
+  if (schedulerTimer) return;
+
+  const run = () => exports.publishDueVersions().catch(error => {
+    console.error("Publishing scheduled menu versions failed:", error);
+  });
+
+  run();
+  schedulerTimer = setInterval(run, SCHEDULER_INTERVAL_MS);
+  schedulerTimer.unref();
+};
+
+exports.MENU_FIELDS = MENU_FIELDS;
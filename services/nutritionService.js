@@ -0,0 +1,130 @@
+const FoodItem = require("../models/foodItem");
+const customError = require("../utils/CustomErrorhandlerClass");
+const { NUTRIENTS } = require("../models/nutritionSchema");
+
+// ingredient nutrition is given per 100 g / 100 ml (per piece for pcs),
+// recipe quantities are in the ingredient's unit
+const UNIT_FACTORS = { g: 0.01, kg: 10, ml: 0.01, l: 10, pcs: 1 };
+
+// fields populated on recipe.ingredient for computeNutrition
+const INGREDIENT_FIELDS = "name unit nutrition";
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const toNumber = (value, name) => {
+  const number = Number(value);
+  if (Number.isNaN(number)) {
+    throw new customError(`${name} must be a number`, 400);
+  }
+  return number;
+};
+
+const recipeNames = (recipe = []) => recipe
+  .filter(entry => entry.ingredient?.name)
+  .map(entry => entry.ingredient.name.toLowerCase());
+
+// removed ingredients that are neither on the menu's ingredient list nor in the recipe (case-insensitive),
+// recipe.ingredient has to be populated with INGREDIENT_FIELDS
+const unknownIngredients = (foodItem, removedIngredients = []) => {
+  const known = new Set([...(foodItem.ingredients || []).map(name => name.toLowerCase()), ...recipeNames(foodItem.recipe)]);
+  return removedIngredients.filter(name => !known.has(String(name).toLowerCase()));
+};
+
+// Nutrition of one portion from the recipe (recipe.ingredient populated with INGREDIENT_FIELDS).
+// Recipe ingredients named in removedIngredients (case-insensitive) are left out.
+// The result is incomplete when an ingredient has no data for a nutrient (it counts as zero)
+// or when a removed ingredient is not in the recipe (it can't be taken out of the totals).
+// returns null for items without a recipe
+const computeNutrition = (recipe = [], removedIngredients = []) => {
+  if (recipe.length === 0) return null;
+
+  const removed = new Set(removedIngredients.map(name => name.toLowerCase()));
+  const totals = Object.fromEntries(NUTRIENTS.map(nutrient => [nutrient, 0]));
+  const inRecipe = new Set(recipeNames(recipe));
+  let complete = [...removed].every(name => inRecipe.has(name));
+
+  for (const entry of recipe) {
+    const ingredient = entry.ingredient;
+    if (!ingredient || removed.has(String(ingredient.name).toLowerCase())) continue;
+
+    const factor = entry.quantity * (UNIT_FACTORS[ingredient.unit] ?? 1);
+    for (const nutrient of NUTRIENTS) {
+      const value = ingredient.nutrition?.[nutrient];
+      if (value === undefined || value === null) {
+        complete = false;
+        continue;
+      }
+      totals[nutrient] += value * factor;
+    }
+  }
+
+  return {
+    ...Object.fromEntries(NUTRIENTS.map(nutrient => [nutrient, round(totals[nutrient])])),
+    complete
+  };
+};
+
+// recompute the stored nutrition of the matching food items (after a recipe or ingredient change)
+const refreshNutrition = async (filter) => {
+  const foodItems = await FoodItem.find(filter)
+    .setOptions({ includeArchived: true })
+    .select("recipe")
+    .populate("recipe.ingredient", INGREDIENT_FIELDS);
+
+  for (const foodItem of foodItems) {
+    const nutrition = computeNutrition(foodItem.recipe);
+    await FoodItem.updateOne(
+      { _id: foodItem._id },
+      nutrition ? { nutrition: { ...nutrition, computedAt: new Date() } } : { $unset: { nutrition: "" } }
+    );
+  }
+  return foodItems.length;
+};
+
+// GET /api/foodItems conditions for minCalories, maxCalories, minProtein, ... maxSodium
+// (items without computed or with incomplete nutrition never match a nutrition filter,
+// a partial sum would put a dish of unknown calories under "under 600 kcal")
+const nutritionFilters = (query = {}) => {
+  const conditions = [];
+
+  for (const nutrient of NUTRIENTS) {
+    const suffix = nutrient[0].toUpperCase() + nutrient.slice(1);
+    const range = {};
+    if (query[`min${suffix}`] !== undefined) range.$gte = toNumber(query[`min${suffix}`], `min${suffix}`);
+    if (query[`max${suffix}`] !== undefined) range.$lte = toNumber(query[`max${suffix}`], `max${suffix}`);
+    if (Object.keys(range).length > 0) conditions.push({ [`nutrition.${nutrient}`]: range, "nutrition.complete": true });
+  }
+  return conditions;
+};
+
+// NUTRITION OF A FOOD ITEM, optionally without some ingredients (what an order line would get)
+const getNutrition = async (foodItemId, removedIngredients = []) => {
+  const foodItem = await FoodItem.findById(foodItemId)
+    .select("name ingredients isPublished recipe")
+    .populate("recipe.ingredient", INGREDIENT_FIELDS);
+  if (!foodItem || foodItem.isPublished === false) {
+    throw new customError("Food item not found", 404);
+  }
+
+  const invalid = unknownIngredients(foodItem, removedIngredients);
+  if (invalid.length > 0) {
+    throw new customError(`Invalid ingredients for ${foodItem.name}: ${invalid.join(", ")}`, 400);
+  }
+
+  return {
+    foodItemId: foodItem._id,
+    name: foodItem.name,
+    removedIngredients,
+    nutrition: computeNutrition(foodItem.recipe, removedIngredients)
+  };
+};
+
+module.exports = {
+  NUTRIENTS,
+  INGREDIENT_FIELDS,
+  computeNutrition,
+  unknownIngredients,
+  refreshNutrition,
+  nutritionFilters,
+  getNutrition
+};
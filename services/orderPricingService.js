@@ -0,0 +1,94 @@
+const customError = require("../utils/CustomErrorhandlerClass");
+const { getEffectivePrice } = require("./priceService");
+
+// selections: [{ groupId, optionIds: [..] }] (optionId is accepted for single choice groups)
+// returns the modifier snapshot for the order line and the total price delta per unit
+exports.resolveModifiers = (foodItem, selections = []) => {
+  if (!Array.isArray(selections)) {
+    throw new customError(`Modifiers for ${foodItem.name} must be an array`, 400);
+  }
+
+  const groups = foodItem.modifierGroups || [];
+  const chosenByGroup = new Map();
+
+  for (const selection of selections) {
+    const group = groups.find(g => g._id.toString() === String(selection.groupId));
+    if (!group) {
+      throw new customError(`Unknown modifier group ${selection.groupId} for ${foodItem.name}`, 400);
+    }
+
+    const optionIds = selection.optionIds || (selection.optionId ? [selection.optionId] : []);
+    const chosen = chosenByGroup.get(group._id.toString()) || [];
+
+    for (const optionId of optionIds) {
+      const option = group.options.find(o => o._id.toString() === String(optionId));
+      if (!option) {
+        throw new customError(`Unknown option ${optionId} in ${group.name} for ${foodItem.name}`, 400);
+      }
+      if (!option.isAvailable) {
+        throw new customError(`${option.name} is not available for ${foodItem.name}`, 400);
+      }
+      if (!chosen.some(o => o._id.equals(option._id))) chosen.push(option);
+    }
+
+    chosenByGroup.set(group._id.toString(), chosen);
+  }
+
+  const modifiers = [];
+  let modifiersTotal = 0;
+
+  for (const group of groups) {
+    const chosen = chosenByGroup.get(group._id.toString()) || [];
+    const minSelections = group.required ? Math.max(group.minSelections, 1) : group.minSelections;
+
+    if (chosen.length < minSelections) {
+      throw new customError(`${group.name} for ${foodItem.name} requires at least ${minSelections} selection(s)`, 400);
+    }
+    if (chosen.length > group.maxSelections) {
+      throw new customError(`${group.name} for ${foodItem.name} allows at most ${group.maxSelections} selection(s)`, 400);
+    }
+
+    for (const option of chosen) {
+      modifiers.push({
+        groupId: group._id,
+        groupName: group.name,
+        optionId: option._id,
+        optionName: option.name,
+        priceDelta: option.priceDelta
+      });
+      modifiersTotal += option.priceDelta;
+    }
+  }
+
+  return { modifiers, modifiersTotal };
+};
+
+// unit price of an order line: price effective at order time plus modifier deltas, never below zero
+exports.priceOrderItem = (foodItem, selections, at = new Date()) => {
+  const { modifiers, modifiersTotal } = exports.resolveModifiers(foodItem, selections);
+  const basePrice = getEffectivePrice(foodItem, at);
+
+  return {
+    basePrice,
+    unitPrice: Math.max(0, basePrice + modifiersTotal),
+    modifiers
+  };
+};
+
+// Split the set price of one bundle over its lines, proportional to what the items cost on their own
+// (equally when they are all free), so item revenue still adds up to what the customer paid.
+// lines: [{ standalonePrice, quantity }] per bundle, returns the unit price of each line
+exports.allocateBundlePrice = (bundlePrice, lines) => {
+  const weights = lines.map(line => line.standalonePrice * line.quantity);
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const totalCents = Math.round(bundlePrice * 100);
+
+  let remaining = totalCents;
+  return lines.map((line, index) => {
+    const share = totalWeight > 0 ? weights[index] / totalWeight : 1 / lines.length;
+    // the last line takes the rounding difference
+    const lineCents = index === lines.length - 1 ? remaining : Math.round(totalCents * share);
+    remaining -= lineCents;
+    return lineCents / 100 / line.quantity;
+  });
+};
@@ -38,7 +38,9 @@ exports.createOrder = async (orderData) => {
     const query = { $or: [{ phoneNumber }] };
     if (email) query.$or.push({ email });
 
-    user = await User.findOne(query);
+    // a returning customer whose account was archived keeps ordering under it
+    // (creating a new user would clash with the archived one's email)
+    user = await User.findOne(query).setOptions({ includeArchived: true });
 
     if (!user) {
 
@@ -104,7 +106,7 @@ exports.updateOrder = async (orderId, updatedData) => {
             email ? { email } : null
         ].filter(Boolean),
         _id: { $ne: user?._id }
-    });
+    }).setOptions({ includeArchived: true });  // same as createOrder, archived customers are reused
     
       console.log("Found existing user:", existingUser);
 
@@ -0,0 +1,143 @@
+const mongoose = require("mongoose");
+const FoodItem = require("../models/foodItem");
+const customError = require("../utils/CustomErrorhandlerClass");
+
+const SCHEDULER_INTERVAL_MS = Number(process.env.PRICE_SCHEDULER_INTERVAL_MS) || 60 * 1000;
+
+let schedulerTimer = null;
+
+const findFoodItem = async (id, fields) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new customError("Invalid food item id", 400);
+  }
+  const foodItem = await FoodItem.findById(id).select(fields);
+  if (!foodItem) {
+    throw new customError("Food item not found", 404);
+  }
+  return foodItem;
+};
+
+// price a food item has at `at`: the latest scheduled price that is already due
+// (the scheduler may not have applied it yet), otherwise the stored price
+exports.getEffectivePrice = (foodItem, at = new Date()) => {
+  const due = (foodItem.scheduledPrices || [])
+    .filter(entry => entry.effectiveAt <= at)
+    .sort((a, b) => a.effectiveAt - b.effectiveAt);
+
+  return due.length ? due[due.length - 1].price : foodItem.price;
+};
+
+// GET PRICE TIMELINE - past changes, current price and what is scheduled
+exports.getTimeline = async (id) => {
+  const foodItem = await FoodItem.findById(id)
+    .select("name price priceHistory scheduledPrices")
+    .populate("priceHistory.changedBy", "firstName lastName role")
+    .populate("scheduledPrices.createdBy", "firstName lastName role");
+  if (!foodItem) {
+    throw new customError("Food item not found", 404);
+  }
+
+  return {
+    foodItemId: foodItem._id,
+    name: foodItem.name,
+    currentPrice: exports.getEffectivePrice(foodItem),
+    history: [...foodItem.priceHistory].sort((a, b) => a.changedAt - b.changedAt),
+    scheduled: [...foodItem.scheduledPrices].sort((a, b) => a.effectiveAt - b.effectiveAt),
+  };
+};
+
+// SCHEDULE PRICE
+exports.schedulePrice = async (id, { price, effectiveAt }, user) => {
+  const amount = Number(price);
+  if (price === undefined || Number.isNaN(amount) || amount < 0) {
+    throw new customError("price must be a non-negative number", 400);
+  }
+
+  const date = new Date(effectiveAt);
+  if (!effectiveAt || Number.isNaN(date.getTime())) {
+    throw new customError("effectiveAt must be a valid date", 400);
+  }
+  if (date <= new Date()) {
+    throw new customError("effectiveAt must be in the future. To change the price now use PATCH /api/foodItems/:id?live=true (without ?live=true it waits in the draft for the next published menu version)", 400);
+  }
+
+  await findFoodItem(id, "_id");
+
+  const foodItem = await FoodItem.findByIdAndUpdate(
+    id,
+    { $push: { scheduledPrices: { price: amount, effectiveAt: date, createdBy: user._id } } },
+    { new: true, runValidators: true }
+  ).select("scheduledPrices");
+
+  return foodItem.scheduledPrices[foodItem.scheduledPrices.length - 1];
+};
+
+// CANCEL SCHEDULED PRICE
+exports.cancelScheduledPrice = async (id, scheduleId) => {
+  if (!mongoose.Types.ObjectId.isValid(scheduleId)) {
+    throw new customError("Invalid scheduled price id", 400);
+  }
+  await findFoodItem(id, "_id");
+
+  const result = await FoodItem.updateOne(
+    { _id: id, "scheduledPrices._id": scheduleId },
+    { $pull: { scheduledPrices: { _id: scheduleId } } }
+  );
+  if (result.modifiedCount === 0) {
+    throw new customError("Scheduled price not found", 404);
+  }
+};
+
+// Apply every scheduled price that is due: the latest one becomes the price,
+// each of them is recorded in the history at its effective time
+exports.applyDuePrices = async (now = new Date()) => {
+  const foodItems = await FoodItem.find({ "scheduledPrices.effectiveAt": { $lte: now } })
+    .select("price scheduledPrices");
+
+  let applied = 0;
+
+  for (const foodItem of foodItems) {
+    const due = foodItem.scheduledPrices
+      .filter(entry => entry.effectiveAt <= now)
+      .sort((a, b) => a.effectiveAt - b.effectiveAt);
+
+    let previousPrice = foodItem.price;
+    const history = due.map(entry => {
+      const change = {
+        price: entry.price,
+        previousPrice,
+        source: "scheduled",
+        changedBy: entry.createdBy,
+        changedAt: entry.effectiveAt,
+      };
+      previousPrice = entry.price;
+      return change;
+    });
+
+    // matching on the last due entry keeps two schedulers from applying it twice
+    const result = await FoodItem.updateOne(
+      { _id: foodItem._id, "scheduledPrices._id": due[due.length - 1]._id },
+      {
+        $set: { price: previousPrice, updatedAt: Date.now() },
+        $push: { priceHistory: { $each: history } },
+        $pull: { scheduledPrices: { _id: { $in: due.map(entry => entry._id) } } },
+      }
+    );
+    applied += result.modifiedCount;
+  }
+
+  return applied;
+};
+
+// run applyDuePrices now and then every PRICE_SCHEDULER_INTERVAL_MS
+exports.startScheduler = () => {
+  if (schedulerTimer) return;
+
+  const run = () => exports.applyDuePrices().catch(error => {
+    console.error("Applying scheduled prices failed:", error);
+  });
+
+  run();
+  schedulerTimer = setInterval(run, SCHEDULER_INTERVAL_MS);
+  schedulerTimer.unref();
+};
@@ -0,0 +1,64 @@
+const { HfInference } = require('@huggingface/inference');
+
+// Hugging Face Inference API adapter, needs HUGGINGFACE_API_KEY and network access
+
+// cardiffnlp/twitter-roberta-base-sentiment answers with LABEL_0/1/2
+const SENTIMENT_LABELS = {
+  LABEL_0: 'negative',
+  LABEL_1: 'neutral',
+  LABEL_2: 'positive',
+  negative: 'negative',
+  neutral: 'neutral',
+  positive: 'positive'
+};
+
+const createHuggingFaceProvider = (apiKey) => {
+  const hf = new HfInference(apiKey);
+
+  return {
+    name: 'huggingface',
+
+    async analyzeSentiment(text) {
+      const result = await hf.textClassification({
+        model: 'cardiffnlp/twitter-roberta-base-sentiment',
+        inputs: text
+      });
+      const top = result[0];
+      return {
+        label: SENTIMENT_LABELS[top.label] || SENTIMENT_LABELS[top.label.toLowerCase()] || 'neutral',
+        score: top.score
+      };
+    },
+
+    async analyzeEmotion(text) {
+      return hf.textClassification({
+        model: 'SamLowe/roberta-base-go_emotions',
+        inputs: text,
+      });
+    },
+
+    async summarize(text, { maxLength = 60, minLength } = {}) {
+      const result = await hf.summarization({
+        model: 'facebook/bart-large-cnn',
+        inputs: text,
+        parameters: { max_length: maxLength, min_length: minLength },
+      });
+      return result.summary_text;
+    },
+
+    async generateText(prompt) {
+      const result = await hf.textGeneration({
+        model: 'tiiuae/falcon-7b-instruct',
+        inputs: prompt,
+        parameters: {
+          max_new_tokens: 500,
+          temperature: 0.7,
+          return_full_text: false
+        }
+      });
+      return result.generated_text.trim();
+    }
+  };
+};
+
+module.exports = createHuggingFaceProvider;
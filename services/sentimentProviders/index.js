@@ -0,0 +1,53 @@
+const localProvider = require('./localProvider');
+const createHuggingFaceProvider = require('./huggingFaceProvider');
+
+// Text analysis provider used by the feedback analytics.
+// Every provider implements:
+//   analyzeSentiment(text) -> { label: 'positive' | 'neutral' | 'negative', score: 0-1 confidence }
+//   analyzeEmotion(text)   -> [{ label, score }] sorted by score
+//   summarize(text, opts)  -> string
+// and optionally generateText(prompt) -> string.
+//
+// Select the backend with SENTIMENT_PROVIDER=local|huggingface (default: local).
+// The Hugging Face adapter falls back to the local provider per call when the API fails.
+
+// wrap a remote provider so each failing call is answered by the local one instead
+const withLocalFallback = (provider) => {
+  const wrapped = { name: provider.name };
+
+  ['analyzeSentiment', 'analyzeEmotion', 'summarize'].forEach(method => {
+    wrapped[method] = async (...args) => {
+      try {
+        return await provider[method](...args);
+      } catch (error) {
+        console.error(`${provider.name} ${method} failed, using local provider:`, error.message);
+        return localProvider[method](...args);
+      }
+    };
+  });
+
+  if (provider.generateText) {
+    wrapped.generateText = (...args) => provider.generateText(...args);
+  }
+
+  return wrapped;
+};
+
+const createProvider = () => {
+  const selected = (process.env.SENTIMENT_PROVIDER || 'local').toLowerCase();
+
+  if (selected === 'huggingface') {
+    if (!process.env.HUGGINGFACE_API_KEY) {
+      console.log("SENTIMENT_PROVIDER is huggingface but HUGGINGFACE_API_KEY is missing, using local provider.");
+      return localProvider;
+    }
+    return withLocalFallback(createHuggingFaceProvider(process.env.HUGGINGFACE_API_KEY));
+  }
+
+  if (selected !== 'local') {
+    console.log(`Unknown SENTIMENT_PROVIDER "${selected}", using local provider.`);
+  }
+  return localProvider;
+};
+
+module.exports = createProvider();
@@ -0,0 +1,100 @@
+const Sentiment = require('sentiment');
+const natural = require('natural');
+const compromise = require('compromise');
+
+// Offline provider built on `sentiment` (AFINN), `natural` and `compromise`.
+// Works without network access or API keys.
+
+const sentiment = new Sentiment();
+const tokenizer = new natural.WordTokenizer();
+const stopwords = new Set(natural.stopwords);
+
+// restaurant words AFINN does not score (or scores too weakly)
+const FOOD_LEXICON = {
+  delicious: 3, tasty: 3, yummy: 3, flavorful: 3, juicy: 2, crispy: 2, tender: 2, fresh: 2,
+  bland: -2, cold: -2, salty: -2, soggy: -2, stale: -2, greasy: -2, oily: -2, burnt: -3,
+  overcooked: -2, undercooked: -3, raw: -2, slow: -2, rude: -3, dirty: -3
+};
+
+// small keyword lexicon, labels follow the go_emotions names used by the Hugging Face model
+const EMOTION_LEXICON = {
+  joy: ['happy', 'enjoy', 'delight', 'glad', 'pleased', 'great', 'awesome', 'amazing', 'wonderful', 'fantastic'],
+  love: ['love', 'adore', 'favorite', 'favourite', 'best'],
+  admiration: ['excellent', 'perfect', 'impressive', 'outstanding', 'brilliant', 'professional'],
+  gratitude: ['thank', 'thanks', 'grateful', 'appreciate'],
+  anger: ['angry', 'furious', 'rude', 'unacceptable', 'outrageous', 'worst', 'hate'],
+  annoyance: ['annoying', 'slow', 'wait', 'waited', 'late', 'cold', 'again'],
+  disappointment: ['disappointed', 'disappointing', 'expected', 'mediocre', 'bland', 'meh', 'letdown'],
+  disgust: ['disgusting', 'gross', 'dirty', 'hair', 'smell', 'stale', 'rotten', 'greasy'],
+  sadness: ['sad', 'unfortunately', 'miss', 'sorry'],
+  surprise: ['surprised', 'unexpected', 'wow', 'surprisingly']
+};
+
+const stem = (word) => natural.PorterStemmer.stem(word.toLowerCase());
+
+const STEMMED_EMOTIONS = Object.entries(EMOTION_LEXICON).map(([label, words]) => ({
+  label,
+  stems: new Set(words.map(stem))
+}));
+
+// { label: positive|neutral|negative, score: confidence 0-1 }
+async function analyzeSentiment(text) {
+  const result = sentiment.analyze(text || '', { extras: FOOD_LEXICON });
+
+  let label = 'neutral';
+  if (result.score > 0) label = 'positive';
+  if (result.score < 0) label = 'negative';
+
+  return {
+    label,
+    score: parseFloat(Math.min(1, 0.5 + Math.abs(result.comparative) / 2).toFixed(4))
+  };
+}
+
+// [{ label, score }] sorted by score, `neutral` when nothing matches
+async function analyzeEmotion(text) {
+  const stems = tokenizer.tokenize(text || '').map(stem);
+  const counts = STEMMED_EMOTIONS
+    .map(({ label, stems: lexicon }) => ({
+      label,
+      count: stems.filter(s => lexicon.has(s)).length
+    }))
+    .filter(e => e.count > 0);
+
+  const total = counts.reduce((sum, e) => sum + e.count, 0);
+  if (total === 0) return [{ label: 'neutral', score: 1 }];
+
+  return counts
+    .map(e => ({ label: e.label, score: parseFloat((e.count / total).toFixed(4)) }))
+    .sort((a, b) => b.score - a.score);
+}
+
+// extractive summary: keep the sentences with the most frequent content words, in original order
+async function summarize(text, { maxSentences = 3 } = {}) {
+  const sentences = compromise(text || '').sentences().out('array');
+  if (sentences.length <= maxSentences) return sentences.join(' ');
+
+  const frequency = {};
+  tokenizer.tokenize(text.toLowerCase())
+    .filter(word => !stopwords.has(word))
+    .forEach(word => { frequency[word] = (frequency[word] || 0) + 1; });
+
+  return sentences
+    .map((sentence, index) => {
+      const words = tokenizer.tokenize(sentence.toLowerCase()).filter(word => !stopwords.has(word));
+      const score = words.reduce((sum, word) => sum + frequency[word], 0) / (words.length || 1);
+      return { sentence, index, score };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, maxSentences)
+    .sort((a, b) => a.index - b.index)
+    .map(s => s.sentence)
+    .join(' ');
+}
+
+module.exports = {
+  name: 'local',
+  analyzeSentiment,
+  analyzeEmotion,
+  summarize
+};
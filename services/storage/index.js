@@ -0,0 +1,26 @@
+const path = require('path');
+const createLocalStorage = require('./localStorage');
+
+// File storage used for uploaded images.
+// Every driver implements:
+//   save(key, buffer, contentType) -> public url
+//   remove(key)                    -> resolves when the file is gone (missing files are ignored)
+//   url(key)                       -> public url of a stored file
+// Keys are relative paths like "foodItems/<id>/<name>.webp", so an S3-compatible driver can use them as object keys.
+//
+// Select the backend with STORAGE_DRIVER (default: local). The local driver writes to
+// UPLOAD_DIR (default: ./uploads) and its files are served under /uploads.
+
+const createStorage = () => {
+  const selected = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+
+  if (selected !== 'local') {
+    console.log(`Unknown STORAGE_DRIVER "${selected}", using local storage.`);
+  }
+  return createLocalStorage({
+    root: path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads')),
+    urlPath: '/uploads'
+  });
+};
+
+module.exports = createStorage();
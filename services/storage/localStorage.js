@@ -0,0 +1,42 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Local disk driver, files are served by app.js from `urlPath` (express.static on `root`)
+const createLocalStorage = ({ root, urlPath }) => {
+  // keys come from our own code, but never let one escape the upload directory
+  const resolve = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    root,
+    urlPath,
+
+    async save(key, buffer) {
+      const filePath = resolve(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return this.url(key);
+    },
+
+    // removing a file that is already gone is not an error
+    async remove(key) {
+      try {
+        await fs.unlink(resolve(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+
+    url(key) {
+      return `${urlPath}/${key}`;
+    }
+  };
+};
+
+module.exports = createLocalStorage;
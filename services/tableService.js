@@ -0,0 +1,359 @@
+const mongoose = require("mongoose");
+const Table = require("../models/tableModel");
+const TableSession = require("../models/tableSessionModel");
+const Order = require("../models/orderModel");
+const customError = require("../utils/CustomErrorhandlerClass");
+
+const { TABLE_STATUSES } = Table;
+
+const TABLE_FIELDS = ["number", "section", "capacity"];
+// statuses staff can set by hand, occupied comes from the sessions
+const MANUAL_STATUSES = TABLE_STATUSES.filter(status => status !== "occupied");
+// roles that seat guests, customers can only order at a table that is already open
+const SEATING_ROLES = ["admin", "receptionist", "waiter"];
+// orders the kitchen or the waiters still have to deal with
+const ACTIVE_ORDER_STATUSES = ["pending", "preparing", "ready"];
+
+const checkId = (id, label) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new customError(`Invalid ${label} id`, 400);
+  }
+};
+
+const findTable = async (id) => {
+  checkId(id, "table");
+  const table = await Table.findById(id);
+  if (!table) {
+    throw new customError("Table not found", 404);
+  }
+  return table;
+};
+
+const findOpenSession = async (id) => {
+  checkId(id, "table session");
+  const session = await TableSession.findById(id);
+  if (!session) {
+    throw new customError("Table session not found", 404);
+  }
+  if (session.status !== "open") {
+    throw new customError("This table session is already closed", 400);
+  }
+  return session;
+};
+
+// order totals per session, cancelled orders don't count
+const sessionTotals = async (sessionIds) => {
+  const totals = await Order.aggregate([
+    { $match: { tableSession: { $in: sessionIds } } },
+    {
+      $group: {
+        _id: "$tableSession",
+        orderCount: { $sum: { $cond: [{ $eq: ["$status", "cancelled"] }, 0, 1] } },
+        activeOrders: { $sum: { $cond: [{ $in: ["$status", ACTIVE_ORDER_STATUSES] }, 1, 0] } },
+        total: { $sum: { $cond: [{ $eq: ["$status", "cancelled"] }, 0, "$totalPrice"] } }
+      }
+    }
+  ]);
+  return new Map(totals.map(t => [String(t._id), t]));
+};
+
+// ADD TABLE
+exports.createTable = async (data) => {
+  if (await Table.exists({ number: data.number })) {
+    throw new customError(`Table ${data.number} already exist.`, 400);
+  }
+  const table = new Table({});
+  TABLE_FIELDS.forEach(field => {
+    if (data[field] !== undefined) table[field] = data[field];
+  });
+  return await table.save();
+};
+
+// GET TABLES (?section=)
+exports.getTables = async ({ section } = {}) => {
+  return await Table.find(section ? { section } : {}).sort({ section: 1, number: 1 });
+};
+
+// UPDATE TABLE (number, section, capacity, or a manual status while no one is seated)
+exports.updateTable = async (id, data) => {
+  const table = await findTable(id);
+
+  if (data.number !== undefined && data.number !== table.number) {
+    if (await Table.exists({ number: data.number, _id: { $ne: table._id } })) {
+      throw new customError(`Table ${data.number} already exist.`, 400);
+    }
+  }
+  TABLE_FIELDS.forEach(field => {
+    if (data[field] !== undefined) table[field] = data[field];
+  });
+
+  if (data.status !== undefined && data.status !== table.status) {
+    if (!MANUAL_STATUSES.includes(data.status)) {
+      throw new customError(`Status must be one of: ${MANUAL_STATUSES.join(", ")} (tables are occupied by opening a session)`, 400);
+    }
+    if (table.currentSession) {
+      throw new customError("Close the table session before changing the table status", 400);
+    }
+    table.status = data.status;
+  }
+
+  return await table.save();
+};
+
+// DELETE TABLE (refused while a session is open on it)
+exports.deleteTable = async (id) => {
+  const table = await findTable(id);
+  if (table.currentSession) {
+    throw new customError("Close the table session before removing the table", 400);
+  }
+  await table.deleteOne();
+};
+
+// OPEN SESSION - seat a party at a free (or reserved) table
+exports.openSession = async (tableId, { guestCount, waiter } = {}, user) => {
+  const table = await findTable(tableId);
+  if (guestCount !== undefined && (!Number.isInteger(Number(guestCount)) || Number(guestCount) < 1)) {
+    throw new customError("guestCount must be a positive whole number", 400);
+  }
+
+  const session = new TableSession({
+    tables: [table._id],
+    guestCount,
+    waiter: waiter || user._id,
+    openedBy: user._id
+  });
+
+  // the session is saved before the table is claimed, so whoever loses the claim can already join it;
+  // the claim makes sure two waiters can't open the table at the same time
+  await session.save();
+  const claimed = await Table.findOneAndUpdate(
+    { _id: table._id, currentSession: null, status: { $in: ["available", "reserved"] } },
+    { status: "occupied", currentSession: session._id, updatedAt: Date.now() },
+    { new: true }
+  );
+  if (!claimed) {
+    await TableSession.deleteOne({ _id: session._id });
+    throw new customError(`Table ${table.number} is ${table.status === "out-of-service" ? "out of service" : "already occupied"}`, 409);
+  }
+
+  return session;
+};
+
+// Open session of a table for a new or moved order. Staff open a free table on the spot
+// (reserved tables are opened with POST /api/tables/:id/open once the party arrives),
+// customers can only order at a table that is already open.
+// opened=true tells the caller to releaseSession if its order can't be saved.
+exports.sessionForTable = async (tableId, user, { retry = true } = {}) => {
+  const table = await findTable(tableId);
+  if (table.currentSession) {
+    const session = await TableSession.findById(table.currentSession);
+    if (session?.status === "open") return { table, session, opened: false };
+  }
+
+  if (!SEATING_ROLES.includes(user.role)) {
+    throw new customError(`Table ${table.number} is not open yet, ask a waiter to seat you`, 403);
+  }
+  if (table.status === "reserved") {
+    throw new customError(`Table ${table.number} is reserved, open it from the floor view when the party arrives`, 400);
+  }
+
+  try {
+    const session = await exports.openSession(table._id, {}, user);
+    return { table, session, opened: true };
+  } catch (error) {
+    // another first order opened the table at the same moment: join that session instead
+    if (retry && error.statusCode === 409) {
+      return exports.sessionForTable(tableId, user, { retry: false });
+    }
+    throw error;
+  }
+};
+
+// undo sessionForTable when the order that opened the session could not be saved
+exports.releaseSession = async (session) => {
+  if (await Order.exists({ tableSession: session._id })) return;
+
+  await TableSession.deleteOne({ _id: session._id, status: "open" });
+  await Table.updateMany(
+    { currentSession: session._id },
+    { status: "available", currentSession: null, updatedAt: Date.now() }
+  );
+};
+
+// GET SESSION with its tables and orders
+exports.getSession = async (id) => {
+  checkId(id, "table session");
+  const session = await TableSession.findById(id)
+    .populate("tables", "number section capacity")
+    .populate({ path: "waiter", select: "firstName lastName", options: { includeArchived: true } })
+    .lean();
+  if (!session) {
+    throw new customError("Table session not found", 404);
+  }
+
+  const orders = await Order.find({ tableSession: session._id })
+    .select("items.name items.quantity items.price bundles totalPrice status table createdAt")
+    .populate("table", "number")
+    .sort({ createdAt: 1 })
+    .lean();
+  const totals = (await sessionTotals([session._id])).get(String(session._id));
+
+  return {
+    ...session,
+    orders,
+    orderCount: totals?.orderCount || 0,
+    activeOrders: totals?.activeOrders || 0,
+    total: session.status === "closed" ? session.total : totals?.total || 0
+  };
+};
+
+// CLOSE SESSION - the party paid and left, refused while orders are still in the kitchen or not served
+exports.closeSession = async (id, user) => {
+  const session = await findOpenSession(id);
+
+  const totals = (await sessionTotals([session._id])).get(String(session._id));
+  if (totals?.activeOrders > 0) {
+    throw new customError(`${totals.activeOrders} order(s) of this table are not completed or cancelled yet`, 400);
+  }
+
+  const closed = await TableSession.findOneAndUpdate(
+    { _id: session._id, status: "open" },
+    { status: "closed", closedAt: new Date(), closedBy: user._id, total: totals?.total || 0, updatedAt: Date.now() },
+    { new: true }
+  );
+  if (!closed) {
+    throw new customError("This table session is already closed", 400);
+  }
+
+  await Table.updateMany(
+    { currentSession: session._id },
+    { status: "available", currentSession: null, updatedAt: Date.now() }
+  );
+  return closed;
+};
+
+// MOVE ORDER to another table (and its open session)
+exports.moveOrder = async (orderId, tableId, user) => {
+  checkId(orderId, "order");
+  const order = await Order.findById(orderId);
+  if (!order) {
+    throw new customError("Order not found", 404);
+  }
+  if (order.orderType && order.orderType !== "DineIn") {
+    throw new customError(`A ${order.orderType} order can't be moved to a table`, 400);
+  }
+  if (order.tableSession) {
+    const current = await TableSession.findById(order.tableSession).select("status");
+    if (current?.status === "closed") {
+      throw new customError("The bill of this order is already closed", 400);
+    }
+  }
+
+  const { table, session, opened } = await exports.sessionForTable(tableId, user);
+
+  order.table = table._id;
+  order.tableSession = session._id;
+  order.orderType = "DineIn";
+  try {
+    await order.save();
+  } catch (error) {
+    if (opened) await exports.releaseSession(session);
+    throw error;
+  }
+  return order;
+};
+
+// MERGE TABLES - the party at tableId joins the one at targetTableId: one session, one bill
+exports.mergeTables = async (tableId, targetTableId, user) => {
+  const [table, target] = await Promise.all([findTable(tableId), findTable(targetTableId)]);
+  if (!table.currentSession || !target.currentSession) {
+    throw new customError("Both tables need an open session to be merged", 400);
+  }
+  if (table.currentSession.equals(target.currentSession)) {
+    throw new customError(`Tables ${table.number} and ${target.number} are already merged`, 400);
+  }
+
+  const [source, destination] = await Promise.all([
+    findOpenSession(table.currentSession),
+    findOpenSession(target.currentSession)
+  ]);
+
+  // close the source first, a concurrent merge or close of it then fails here
+  const closed = await TableSession.findOneAndUpdate(
+    { _id: source._id, status: "open" },
+    { status: "closed", closedAt: new Date(), closedBy: user._id, mergedInto: destination._id, updatedAt: Date.now() },
+    { new: true }
+  );
+  if (!closed) {
+    throw new customError("This table session is already closed", 400);
+  }
+
+  await Order.updateMany({ tableSession: source._id }, { tableSession: destination._id, updatedAt: Date.now() });
+  await Table.updateMany({ currentSession: source._id }, { currentSession: destination._id, updatedAt: Date.now() });
+
+  const guestCount = source.guestCount || destination.guestCount
+    ? (source.guestCount || 0) + (destination.guestCount || 0)
+    : undefined;
+  await TableSession.updateOne(
+    { _id: destination._id },
+    { $addToSet: { tables: { $each: source.tables } }, ...(guestCount && { guestCount }), updatedAt: Date.now() }
+  );
+
+  return exports.getSession(destination._id);
+};
+
+// FLOOR VIEW - every table with its status and, when seated, the open session and its order totals
+exports.getFloor = async ({ section } = {}) => {
+  const tables = await Table.find(section ? { section } : {})
+    .sort({ section: 1, number: 1 })
+    .populate({
+      path: "currentSession",
+      select: "tables guestCount waiter openedAt",
+      populate: [
+        { path: "tables", select: "number" },
+        { path: "waiter", select: "firstName lastName", options: { includeArchived: true } }
+      ]
+    })
+    .lean();
+
+  const totals = await sessionTotals(tables.filter(t => t.currentSession).map(t => t.currentSession._id));
+
+  const floor = tables.map(({ currentSession, ...table }) => {
+    const session = currentSession && totals.get(String(currentSession._id));
+    return {
+      ...table,
+      session: currentSession
+        ? {
+            _id: currentSession._id,
+            guestCount: currentSession.guestCount,
+            waiter: currentSession.waiter
+              ? `${currentSession.waiter.firstName} ${currentSession.waiter.lastName}`
+              : null,
+            openedAt: currentSession.openedAt,
+            // every table of the session after a merge
+            tables: currentSession.tables.map(t => t.number),
+            orderCount: session?.orderCount || 0,
+            activeOrders: session?.activeOrders || 0,
+            openTotal: session?.total || 0
+          }
+        : null
+    };
+  });
+
+  const summary = Object.fromEntries(TABLE_STATUSES.map(status => [
+    status,
+    floor.filter(table => table.status === status).length
+  ]));
+
+  return {
+    tables: floor,
+    summary: {
+      ...summary,
+      total: floor.length,
+      seats: floor.reduce((sum, table) => sum + table.capacity, 0),
+      guests: [...new Map(floor.filter(t => t.session).map(t => [String(t.session._id), t.session.guestCount || 0])).values()]
+        .reduce((sum, count) => sum + count, 0),
+      openTotal: [...totals.values()].reduce((sum, t) => sum + t.total, 0)
+    }
+  };
+};
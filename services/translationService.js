@@ -0,0 +1,119 @@
+const mongoose = require("mongoose");
+const FoodItem = require("../models/foodItem");
+const Category = require("../models/categoryModel");
+const customError = require("../utils/CustomErrorhandlerClass");
+const { DEFAULT_LOCALE, SUPPORTED_LOCALES, localize } = require("../utils/locale");
+
+const FOOD_ITEM_FIELDS = ["name", "description", "ingredients"];
+const CATEGORY_FIELDS = ["name"];
+
+const MODELS = {
+  foodItem: { Model: FoodItem, fields: FOOD_ITEM_FIELDS, label: "Food item" },
+  category: { Model: Category, fields: CATEGORY_FIELDS, label: "Category" },
+};
+
+const checkLocale = (locale) => {
+  if (!SUPPORTED_LOCALES.includes(locale)) {
+    throw new customError(`Locale must be one of: ${SUPPORTED_LOCALES.join(", ")}`, 400);
+  }
+  if (locale === DEFAULT_LOCALE) {
+    throw new customError(`${DEFAULT_LOCALE} is the default locale, edit the item itself instead`, 400);
+  }
+};
+
+const isMissing = (value) => value === undefined || value === null || value === "" || (Array.isArray(value) && value.length === 0);
+
+// fields of a (lean) document that have content in the default locale but none in the given locale
+const missingFields = (doc, locale, fields) => fields.filter(field =>
+  !isMissing(doc[field]) && isMissing(doc.translations?.[locale]?.[field])
+);
+
+// food item (lean) in the given locale, its populated category too
+exports.localizeFoodItem = (foodItem, locale) => {
+  const localized = localize(foodItem, locale, FOOD_ITEM_FIELDS);
+  if (foodItem.category && foodItem.category.name !== undefined) {
+    localized.category = localize(foodItem.category, locale, CATEGORY_FIELDS);
+  }
+  return localized;
+};
+
+// category (lean) in the given locale
+exports.localizeCategory = (category, locale) => localize(category, locale, CATEGORY_FIELDS);
+
+// SET TRANSLATION - replaces the translation of a food item or category for one locale
+exports.setTranslation = async (kind, id, locale, data = {}) => {
+  const { Model, fields, label } = MODELS[kind];
+  checkLocale(locale);
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new customError(`Invalid ${label.toLowerCase()} id`, 400);
+  }
+
+  const translation = {};
+  for (const field of fields) {
+    if (isMissing(data[field])) continue;
+    if (field === "ingredients") {
+      if (!Array.isArray(data.ingredients) || !data.ingredients.every(i => typeof i === "string")) {
+        throw new customError("ingredients must be an array of strings", 400);
+      }
+    } else if (typeof data[field] !== "string") {
+      throw new customError(`${field} must be a string`, 400);
+    }
+    translation[field] = data[field];
+  }
+  if (Object.keys(translation).length === 0) {
+    throw new customError(`Provide at least one of: ${fields.join(", ")}`, 400);
+  }
+
+  const doc = await Model.findByIdAndUpdate(
+    id,
+    { [`translations.${locale}`]: translation },
+    { new: true, runValidators: true }
+  ).select("name translations");
+  if (!doc) {
+    throw new customError(`${label} not found`, 404);
+  }
+  return doc;
+};
+
+// REMOVE TRANSLATION of one locale
+exports.removeTranslation = async (kind, id, locale) => {
+  const { Model, label } = MODELS[kind];
+  checkLocale(locale);
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new customError(`Invalid ${label.toLowerCase()} id`, 400);
+  }
+
+  const doc = await Model.findByIdAndUpdate(id, { $unset: { [`translations.${locale}`]: "" } }, { new: true })
+    .select("name translations");
+  if (!doc) {
+    throw new customError(`${label} not found`, 404);
+  }
+  return doc;
+};
+
+// MISSING TRANSLATIONS - per locale (all but the default one, or just ?locale=),
+// the food items and categories with fields that are not translated yet
+exports.getMissingTranslations = async ({ locale } = {}) => {
+  if (locale) checkLocale(locale);
+  const locales = locale ? [locale] : SUPPORTED_LOCALES.filter(l => l !== DEFAULT_LOCALE);
+
+  const [foodItems, categories] = await Promise.all([
+    FoodItem.find().select(`${FOOD_ITEM_FIELDS.join(" ")} translations`).sort({ name: 1 }).lean(),
+    Category.find().select(`${CATEGORY_FIELDS.join(" ")} translations`).sort({ name: 1 }).lean(),
+  ]);
+
+  const report = (docs, loc, fields) => docs
+    .map(doc => ({ _id: doc._id, name: doc.name, missing: missingFields(doc, loc, fields) }))
+    .filter(entry => entry.missing.length > 0);
+
+  return locales.map(loc => {
+    const missingFoodItems = report(foodItems, loc, FOOD_ITEM_FIELDS);
+    const missingCategories = report(categories, loc, CATEGORY_FIELDS);
+    return {
+      locale: loc,
+      complete: missingFoodItems.length === 0 && missingCategories.length === 0,
+      foodItems: missingFoodItems,
+      categories: missingCategories,
+    };
+  });
+};
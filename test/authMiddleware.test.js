@@ -0,0 +1,110 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+const { fakeQuery, runMiddleware } = require("./helpers");
+const User = require("../models/userModel");
+const { authMiddleware, restrictTo, restrictToSelfOr, actingUserId } = require("../middleware/authMiddleware");
+
+const signFor = (user, options = {}) => jwt.sign({ id: user._id, role: user.role }, process.env.JWT_SECRET, options);
+const bearer = (token) => ({ headers: { authorization: `Bearer ${token}` }, query: {} });
+
+describe("authMiddleware", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("rejects a request without a bearer token", async () => {
+    const error = await runMiddleware(authMiddleware, { headers: {}, query: {} });
+    assert.equal(error.statusCode, 401);
+  });
+
+  it("attaches the user of a valid token", async () => {
+    const user = new User({ role: "guest" });
+    mock.method(User, "findById", () => fakeQuery(user));
+    const req = bearer(signFor(user));
+
+    const error = await runMiddleware(authMiddleware, req);
+    assert.equal(error, undefined);
+    assert.equal(req.user, user);
+  });
+
+  it("passes an expired token on to the error handler", async () => {
+    const user = new User({ role: "guest" });
+    const token = jwt.sign({ id: user._id, role: user.role, exp: Math.floor(Date.now() / 1000) - 60 }, process.env.JWT_SECRET);
+
+    const error = await runMiddleware(authMiddleware, bearer(token));
+    assert.equal(error.name, "TokenExpiredError");
+  });
+
+  it("rejects a token signed with another secret", async () => {
+    const token = jwt.sign({ id: "someone", role: "admin" }, "not-the-secret");
+
+    const error = await runMiddleware(authMiddleware, bearer(token));
+    assert.equal(error.name, "JsonWebTokenError");
+  });
+
+  it("rejects the token of a deleted user", async () => {
+    const user = new User({ role: "guest" });
+    mock.method(User, "findById", () => fakeQuery(null));
+
+    const error = await runMiddleware(authMiddleware, bearer(signFor(user)));
+    assert.equal(error.statusCode, 401);
+  });
+
+  it("rejects a token issued before the password was changed", async () => {
+    const user = new User({ role: "guest" });
+    const token = jwt.sign({ id: user._id, iat: Math.floor(Date.now() / 1000) - 3600 }, process.env.JWT_SECRET);
+    user.passwordChangedAt = new Date();
+    mock.method(User, "findById", () => fakeQuery(user));
+
+    const error = await runMiddleware(authMiddleware, bearer(token));
+    assert.equal(error.statusCode, 401);
+  });
+});
+
+describe("restrictTo", () => {
+  it("lets the listed roles through", async () => {
+    const error = await runMiddleware(restrictTo("admin", "chef"), { user: { role: "chef" } });
+    assert.equal(error, undefined);
+  });
+
+  it("rejects other roles and anonymous requests", async () => {
+    assert.equal((await runMiddleware(restrictTo("admin"), { user: { role: "guest" } })).statusCode, 403);
+    assert.equal((await runMiddleware(restrictTo("admin"), {})).statusCode, 403);
+  });
+});
+
+describe("restrictToSelfOr", () => {
+  const customer = new User({ role: "guest" });
+
+  it("lets users reach their own resources", async () => {
+    const req = { user: customer, params: { id: customer._id.toString() } };
+    assert.equal(await runMiddleware(restrictToSelfOr("id", "admin"), req), undefined);
+  });
+
+  it("rejects users reaching someone else's resources", async () => {
+    const req = { user: customer, params: { id: new User()._id.toString() } };
+    assert.equal((await runMiddleware(restrictToSelfOr("id", "admin"), req)).statusCode, 403);
+  });
+
+  it("lets the listed roles reach anyone's resources", async () => {
+    const req = { user: new User({ role: "admin" }), params: { id: customer._id.toString() } };
+    assert.equal(await runMiddleware(restrictToSelfOr("id", "admin"), req), undefined);
+  });
+});
+
+describe("actingUserId", () => {
+  const customer = new User({ role: "guest" });
+  const otherId = new User()._id;
+
+  it("ignores the user id a guest names", () => {
+    assert.equal(actingUserId({ user: customer }, otherId), customer._id);
+  });
+
+  it("lets staff act for a customer", () => {
+    assert.equal(actingUserId({ user: new User({ role: "waiter" }) }, otherId), otherId);
+  });
+
+  it("falls back to the caller when no user is named", () => {
+    const waiter = new User({ role: "waiter" });
+    assert.equal(actingUserId({ user: waiter }, undefined), waiter._id);
+  });
+});
@@ -0,0 +1,98 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { fakeQuery } = require("./helpers");
+const Category = require("../models/categoryModel");
+const categoryService = require("../services/categoryService");
+const { RESTAURANT_TIMEZONE, isAvailableAt, isFoodItemAvailable } = require("../utils/availability");
+
+// restaurant local time (Africa/Addis_Ababa is UTC+3 all year), 2026-03-02 is a Monday
+assert.equal(RESTAURANT_TIMEZONE, "Africa/Addis_Ababa");
+const local = (dateTime) => new Date(`${dateTime}:00+03:00`);
+const MON = 1, FRI = 5;
+
+const window = (startTime, endTime, days = []) => ({ schedules: [{ startTime, endTime, days }] });
+
+describe("isAvailableAt", () => {
+  it("is always available without schedules or dates", () => {
+    assert.equal(isAvailableAt(undefined, local("2026-03-02T03:00")), true);
+    assert.equal(isAvailableAt({ schedules: [] }, local("2026-03-02T03:00")), true);
+  });
+
+  it("includes the start minute and excludes the end minute", () => {
+    const breakfast = window("07:00", "11:00");
+    assert.equal(isAvailableAt(breakfast, local("2026-03-02T06:59")), false);
+    assert.equal(isAvailableAt(breakfast, local("2026-03-02T07:00")), true);
+    assert.equal(isAvailableAt(breakfast, local("2026-03-02T10:59")), true);
+    assert.equal(isAvailableAt(breakfast, local("2026-03-02T11:00")), false);
+  });
+
+  it("only opens on the listed days", () => {
+    const mondayLunch = window("12:00", "15:00", [MON]);
+    assert.equal(isAvailableAt(mondayLunch, local("2026-03-02T12:30")), true);
+    assert.equal(isAvailableAt(mondayLunch, local("2026-03-03T12:30")), false);
+    assert.equal(isAvailableAt(mondayLunch, local("2026-03-01T12:30")), false);
+  });
+
+  it("runs a window past midnight into the next day", () => {
+    const fridayLate = window("22:00", "02:00", [FRI]);
+    assert.equal(isAvailableAt(fridayLate, local("2026-03-06T21:59")), false);
+    assert.equal(isAvailableAt(fridayLate, local("2026-03-06T22:00")), true);
+    assert.equal(isAvailableAt(fridayLate, local("2026-03-07T00:00")), true);
+    assert.equal(isAvailableAt(fridayLate, local("2026-03-07T01:59")), true);
+    assert.equal(isAvailableAt(fridayLate, local("2026-03-07T02:00")), false);
+    // the early hours of Friday belong to Thursday's window
+    assert.equal(isAvailableAt(fridayLate, local("2026-03-06T01:00")), false);
+    assert.equal(isAvailableAt(fridayLate, local("2026-03-07T23:00")), false);
+  });
+
+  it("respects the seasonal dates in the restaurant timezone", () => {
+    const season = { startDate: "2026-03-02", endDate: "2026-03-31" };
+    // 22:30 UTC on March 1 is already March 2 at the restaurant
+    assert.equal(isAvailableAt(season, new Date("2026-03-01T22:30:00Z")), true);
+    assert.equal(isAvailableAt(season, local("2026-03-01T23:59")), false);
+    assert.equal(isAvailableAt(season, local("2026-03-31T23:59")), true);
+    assert.equal(isAvailableAt(season, local("2026-04-01T00:00")), false);
+  });
+});
+
+describe("isFoodItemAvailable", () => {
+  const breakfastMenu = { name: "Breakfast", availability: window("07:00", "11:00") };
+  const pancakes = { name: "Pancakes", availability: undefined };
+  const foodItem = { name: "Pancake stack", category: pancakes };
+
+  it("is closed while a parent category is closed", () => {
+    assert.equal(isFoodItemAvailable(foodItem, local("2026-03-02T08:00"), [pancakes, breakfastMenu]), true);
+    assert.equal(isFoodItemAvailable(foodItem, local("2026-03-02T12:00"), [pancakes, breakfastMenu]), false);
+  });
+
+  it("checks the item's own window too", () => {
+    const item = { ...foodItem, availability: window("09:00", "10:00") };
+    assert.equal(isFoodItemAvailable(item, local("2026-03-02T08:00"), [pancakes, breakfastMenu]), false);
+  });
+
+  it("falls back to the populated category without a chain", () => {
+    const item = { name: "Omelette", category: breakfastMenu };
+    assert.equal(isFoodItemAvailable(item, local("2026-03-02T12:00")), false);
+  });
+});
+
+describe("categoryChains", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("returns a category and its parents, closest first", async () => {
+    const ids = Array.from({ length: 3 }, () => new mongoose.Types.ObjectId());
+    mock.method(Category, "find", () => fakeQuery([
+      { _id: ids[0], name: "Menu", parent: null },
+      { _id: ids[1], name: "Breakfast", parent: ids[0] },
+      // its parent is archived, so not loaded
+      { _id: ids[2], name: "Pancakes", parent: new mongoose.Types.ObjectId() }
+    ]));
+
+    const chainOf = await categoryService.categoryChains();
+
+    assert.deepEqual(chainOf(ids[1]).map(category => category.name), ["Breakfast", "Menu"]);
+    assert.deepEqual(chainOf(ids[2]).map(category => category.name), ["Pancakes"]);
+    assert.deepEqual(chainOf(undefined), []);
+  });
+});
@@ -0,0 +1,131 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { fakeQuery, fakeResponse, withStatus } = require("./helpers");
+const Bundle = require("../models/bundleModel");
+const FoodItem = require("../models/foodItem");
+const Category = require("../models/categoryModel");
+const Order = require("../models/orderModel");
+const User = require("../models/userModel");
+const kitchenFeed = require("../services/kitchenFeedService");
+const bundleService = require("../services/bundleService");
+const orderController = require("../controllers/orderController");
+const { allocateBundlePrice } = require("../services/orderPricingService");
+
+const burger = new FoodItem({ name: "Burger", price: 200, isInStock: true });
+const cola = new FoodItem({ name: "Cola", price: 50, isInStock: true });
+const juice = new FoodItem({ name: "Juice", price: 70, isInStock: true });
+const fries = new FoodItem({
+  name: "Fries",
+  price: 60,
+  isInStock: true,
+  modifierGroups: [{ name: "Size", options: [{ name: "Large", priceDelta: 25 }] }]
+});
+
+const combo = () => new Bundle({
+  name: "Burger combo",
+  price: 250,
+  components: [{ foodItem: burger._id }, { foodItem: fries._id }],
+  slots: [{ name: "Drink", foodItems: [cola._id, juice._id] }]
+});
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+describe("allocateBundlePrice", () => {
+  it("splits the bundle price by the standalone prices and adds up to it", () => {
+    const prices = allocateBundlePrice(250, [
+      { standalonePrice: 200, quantity: 1 },
+      { standalonePrice: 60, quantity: 1 },
+      { standalonePrice: 50, quantity: 1 }
+    ]);
+    assert.equal(Math.round(sum(prices) * 100), 25000);
+    assert.ok(prices[0] > prices[1] && prices[1] > prices[2]);
+  });
+
+  it("splits equally when every item is free on its own", () => {
+    assert.deepEqual(allocateBundlePrice(10, [{ standalonePrice: 0, quantity: 1 }, { standalonePrice: 0, quantity: 1 }]), [5, 5]);
+  });
+
+  it("returns unit prices for lines of more than one item", () => {
+    const prices = allocateBundlePrice(90, [{ standalonePrice: 30, quantity: 2 }, { standalonePrice: 60, quantity: 1 }]);
+    assert.equal(prices[0] * 2 + prices[1], 90);
+  });
+});
+
+describe("expandBundle", () => {
+  it("returns the fixed components and the chosen slot items", async () => {
+    const bundle = combo();
+    const lines = await bundleService.expandBundle(bundle, {
+      choices: [{ slotId: bundle.slots[0]._id, foodItemId: juice._id }]
+    });
+
+    assert.deepEqual(lines.map(line => String(line.foodItemId)), [burger, fries, juice].map(item => String(item._id)));
+    assert.equal(lines[2].slot, "Drink");
+  });
+
+  it("requires a choice for required slots", async () => {
+    await assert.rejects(bundleService.expandBundle(combo(), {}), withStatus(400, /Choose an item for Drink/));
+  });
+
+  it("rejects unknown slots and items that are not a choice of the slot", async () => {
+    const bundle = combo();
+    await assert.rejects(
+      bundleService.expandBundle(bundle, { choices: [{ slotId: burger._id, foodItemId: cola._id }] }),
+      withStatus(400, /Unknown slot/)
+    );
+    await assert.rejects(
+      bundleService.expandBundle(bundle, { choices: [{ slotId: bundle.slots[0]._id, foodItemId: burger._id }] }),
+      withStatus(400, /not a valid choice/)
+    );
+  });
+
+  it("rejects a selection that leaves nothing to prepare", async () => {
+    const bundle = new Bundle({
+      name: "Drinks deal",
+      price: 80,
+      slots: [{ name: "Drink", required: false, foodItems: [cola._id] }]
+    });
+
+    await assert.rejects(bundleService.expandBundle(bundle, {}), withStatus(400, /Choose at least one item/));
+    const lines = await bundleService.expandBundle(bundle, { choices: [{ slotId: bundle.slots[0]._id, foodItemId: cola._id }] });
+    assert.equal(lines.length, 1);
+  });
+});
+
+describe("createOrder with a bundle", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("charges the bundle price plus modifier deltas and spreads it over the item lines", async () => {
+    const bundle = combo();
+    const foodItems = new Map([burger, fries, cola, juice].map(item => [String(item._id), item]));
+    mock.method(bundleService, "findBundle", async () => bundle);
+    mock.method(FoodItem, "findById", (id) => fakeQuery(foodItems.get(String(id))));
+    mock.method(User, "findById", () => fakeQuery(null));
+    mock.method(Category, "find", () => fakeQuery([]));
+    mock.method(Order.prototype, "save", async function () {
+      return this;
+    });
+    mock.method(kitchenFeed, "publishOrderEvent", () => {});
+
+    const size = fries.modifierGroups[0];
+    const res = fakeResponse();
+    await orderController.createOrder({
+      user: new User({ role: "guest" }),
+      body: {
+        orderType: "Takeaway",
+        bundles: [{
+          bundleId: bundle._id,
+          quantity: 2,
+          choices: [{ slotId: bundle.slots[0]._id, foodItemId: cola._id }],
+          components: [{ foodItemId: fries._id, modifiers: [{ groupId: size._id, optionId: size.options[0]._id }] }]
+        }]
+      }
+    }, res);
+
+    assert.equal(res.statusCode, 201);
+    const order = res.body.data;
+    assert.equal(order.bundles[0].price, 275);
+    assert.equal(order.totalPrice, 550);
+    assert.equal(order.items.length, 3);
+    assert.equal(Math.round(sum(order.items.map(item => item.price * item.quantity)) * 100), 55000);
+  });
+});
@@ -0,0 +1,96 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { fakeQuery } = require("./helpers");
+const FoodItem = require("../models/foodItem");
+const Order = require("../models/orderModel");
+const analyticsService = require("../services/analyticsService");
+const costingService = require("../services/costingService");
+
+describe("dashboard food cost", () => {
+  afterEach(() => mock.restoreAll());
+
+  const stubSales = (...results) => {
+    let call = 0;
+    mock.method(Order, "aggregate", async () => results[call++]);
+    mock.method(Order, "find", () => fakeQuery([]));
+  };
+
+  it("reports uncosted sales apart instead of counting them as free", async () => {
+    stubSales(
+      [{ totalSales: 1000, totalCost: 300, uncostedSales: 400, uncostedQuantity: 2, orderCount: 5 }],  // dine-in this month
+      [],  // delivery this month
+      [{ totalSales: 800, totalCost: 200, uncostedSales: 0, uncostedQuantity: 0, orderCount: 4 }],  // dine-in last month
+      []   // delivery last month
+    );
+
+    const stats = await analyticsService.getDashboardStats();
+
+    assert.equal(stats.dineInFoodCostPercent, 50);
+    assert.equal(stats.dineInGrossProfit, 300);
+    assert.equal(stats.dineInUncostedSales, 400);
+    assert.equal(stats.dineInUncostedQuantity, 2);
+    assert.equal(stats.deliveryFoodCostPercent, null);
+  });
+
+  it("returns the changes as numbers", async () => {
+    stubSales(
+      [{ totalSales: 1000, totalCost: 0, uncostedSales: 0, uncostedQuantity: 0, orderCount: 3 }],
+      [{ totalSales: 50, totalCost: 0, uncostedSales: 0, uncostedQuantity: 0, orderCount: 1 }],
+      [{ totalSales: 750, totalCost: 0, uncostedSales: 0, uncostedQuantity: 0, orderCount: 3 }],
+      []
+    );
+
+    const stats = await analyticsService.getDashboardStats();
+
+    assert.equal(stats.dineInSalesChange, 33.3);
+    assert.equal(stats.dineInOrdersChange, 0);
+    assert.equal(stats.deliverySalesChange, 100);
+  });
+});
+
+describe("getMenuMargins", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("uses the price in effect, scheduled prices that are due included", async () => {
+    const foodItem = new FoodItem({
+      name: "Tibs",
+      price: 200,
+      scheduledPrices: [
+        { price: 250, effectiveAt: new Date(Date.now() - 60 * 1000) },
+        { price: 400, effectiveAt: new Date(Date.now() + 60 * 60 * 1000) }
+      ]
+    });
+    mock.method(FoodItem, "find", () => fakeQuery([foodItem]));
+
+    const { items } = await costingService.getMenuMargins();
+
+    assert.equal(items[0].price, 250);
+  });
+});
+
+describe("getMarginReport", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("leaves uncosted lines out of the margins and reports them apart", async () => {
+    const categoryId = new FoodItem()._id;
+    const aggregate = mock.method(Order, "aggregate", async () => [
+      { foodItemId: new FoodItem()._id, name: "Tibs", categoryId, category: "Mains", quantity: 4, revenue: 1000, cost: 400, uncostedRevenue: 0, uncostedQuantity: 0 },
+      // two of the four portions were ordered before the item had a recipe
+      { foodItemId: new FoodItem()._id, name: "Kitfo", categoryId, category: "Mains", quantity: 4, revenue: 800, cost: 200, uncostedRevenue: 400, uncostedQuantity: 2 }
+    ]);
+
+    const report = await costingService.getMarginReport({ from: "2026-01-01", to: "2026-01-31" });
+
+    assert.deepEqual(
+      report.totals,
+      { revenue: 1800, cost: 600, margin: 800, marginPercent: 57.14, foodCostPercent: 42.86, uncostedRevenue: 400, uncostedQuantity: 2 }
+    );
+    const kitfo = report.items.find(item => item.name === "Kitfo");
+    assert.equal(kitfo.marginPercent, 50);
+    assert.equal(report.categories[0].uncostedRevenue, 400);
+    assert.equal(report.categories[0].foodCostPercent, 42.86);
+
+    const group = aggregate.mock.calls[0].arguments[0].find(stage => stage.$group).$group;
+    assert.ok(group.uncostedRevenue);
+  });
+});
@@ -0,0 +1,117 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { fakeQuery, fakeResponse } = require("./helpers");
+const FoodItem = require("../models/foodItem");
+const Order = require("../models/orderModel");
+const User = require("../models/userModel");
+const foodItemController = require("../controllers/foodItemController");
+
+const customer = new User({ role: "guest" });
+
+const setup = ({ status = "completed", inOrder = true, feedback = [] } = {}) => {
+  const foodItem = new FoodItem({ name: "Tibs", price: 250, feedback });
+  // the stored item after the conditional push, null when another request rated it first
+  const save = mock.method(FoodItem, "findOneAndUpdate", () => fakeQuery(foodItem));
+  const updateRating = mock.method(FoodItem, "updateOne", async () => ({ modifiedCount: 1 }));
+  const order = {
+    _id: new mongoose.Types.ObjectId(),
+    user: customer._id,
+    status,
+    items: [{ foodItemId: inOrder ? foodItem._id : new mongoose.Types.ObjectId(), quantity: 1 }]
+  };
+  mock.method(FoodItem, "findById", () => fakeQuery(foodItem));
+  const findOrder = mock.method(Order, "findOne", () => fakeQuery(order));
+  return { foodItem, order, save, updateRating, findOrder };
+};
+
+const addFeedback = async (user, body) => {
+  const res = fakeResponse();
+  await foodItemController.addFeedback({ user, body }, res);
+  return res;
+};
+
+describe("verified-purchase feedback", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("records feedback for an item of a completed order", async () => {
+    const { foodItem, order, save, updateRating } = setup();
+
+    const res = await addFeedback(customer, { foodItemId: foodItem._id, orderId: order._id, rating: 4 });
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(save.mock.callCount(), 1);
+    const [filter, update] = save.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: foodItem._id, "feedback.orderId": { $ne: order._id } });
+    assert.equal(update.$push.feedback.verified, true);
+    assert.equal(update.$push.feedback.rating, 4);
+    // the average is recomputed from the stored ratings
+    assert.deepEqual(updateRating.mock.calls[0].arguments[1], [{ $set: { rating: { $avg: "$feedback.rating" } } }]);
+  });
+
+  it("requires the order", async () => {
+    const { foodItem } = setup();
+    const res = await addFeedback(customer, { foodItemId: foodItem._id, rating: 4 });
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.reason, "ORDER_REQUIRED");
+  });
+
+  it("only looks at the caller's own orders, whatever user id is sent", async () => {
+    const { foodItem, order, findOrder } = setup();
+    const otherUserId = new mongoose.Types.ObjectId();
+
+    await addFeedback(customer, { foodItemId: foodItem._id, orderId: order._id, rating: 4, userId: otherUserId });
+
+    assert.equal(findOrder.mock.calls[0].arguments[0].user, customer._id);
+  });
+
+  it("rejects feedback on an order that is not completed", async () => {
+    const { foodItem, order, save } = setup({ status: "preparing" });
+    const res = await addFeedback(customer, { foodItemId: foodItem._id, orderId: order._id, rating: 4 });
+    assert.equal(res.body.reason, "ORDER_NOT_COMPLETED");
+    assert.equal(save.mock.callCount(), 0);
+  });
+
+  it("rejects feedback on an item that was not ordered", async () => {
+    const { foodItem, order } = setup({ inOrder: false });
+    const res = await addFeedback(customer, { foodItemId: foodItem._id, orderId: order._id, rating: 4 });
+    assert.equal(res.body.reason, "ITEM_NOT_IN_ORDER");
+  });
+
+  it("accepts one rating per item and order", async () => {
+    const orderId = new mongoose.Types.ObjectId();
+    const { foodItem, order } = setup({ feedback: [{ userId: customer._id, orderId, rating: 5 }] });
+    order._id = orderId;
+
+    const res = await addFeedback(customer, { foodItemId: foodItem._id, orderId, rating: 1 });
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.reason, "ALREADY_RATED");
+  });
+
+  it("rejects the second of two ratings for the same order sent at the same moment", async () => {
+    const { foodItem, order, save, updateRating } = setup();
+    // the other request pushed its rating after this one passed the checks
+    save.mock.mockImplementation(() => fakeQuery(null));
+
+    const res = await addFeedback(customer, { foodItemId: foodItem._id, orderId: order._id, rating: 1 });
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.reason, "ALREADY_RATED");
+    assert.equal(updateRating.mock.callCount(), 0);
+
+    const bulk = await addFeedback(customer, { orderId: order._id, feedbacks: [{ foodItemId: foodItem._id, rating: 1 }] });
+    assert.equal(bulk.body.errors[0].reason, "ALREADY_RATED");
+    assert.equal(bulk.body.results.length, 0);
+  });
+
+  it("reports the rejected entries of a bulk request", async () => {
+    const { foodItem, order } = setup({ status: "pending" });
+
+    const res = await addFeedback(customer, {
+      orderId: order._id,
+      feedbacks: [{ foodItemId: foodItem._id, rating: 3 }]
+    });
+
+    assert.equal(res.body.errors[0].reason, "ORDER_NOT_COMPLETED");
+    assert.equal(res.body.results.length, 0);
+  });
+});
@@ -0,0 +1,129 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { fakeQuery, withStatus } = require("./helpers");
+const FoodItem = require("../models/foodItem");
+const Category = require("../models/categoryModel");
+const foodItemService = require("../services/foodItemService");
+
+// just enough of the mongo query language for the pagination conditions
+const comparable = (value) => value instanceof Date ? value.getTime()
+  : value instanceof mongoose.Types.ObjectId ? String(value)
+  : value;
+
+const matchesField = (value, condition) => {
+  if (condition === null || typeof condition !== "object" || condition instanceof Date || condition instanceof mongoose.Types.ObjectId) {
+    return condition === null ? value === null || value === undefined : comparable(value) === comparable(condition);
+  }
+  return Object.entries(condition).every(([op, operand]) => {
+    if (op === "$ne") return !matchesField(value, operand);
+    if (value === null || value === undefined) return false;
+    if (op === "$gt") return comparable(value) > comparable(operand);
+    if (op === "$lt") return comparable(value) < comparable(operand);
+    throw new Error(`unsupported operator ${op}`);
+  });
+};
+
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+  if (key === "$and") return condition.every(part => matches(doc, part));
+  if (key === "$or") return condition.some(part => matches(doc, part));
+  return matchesField(doc[key], condition);
+});
+
+// nulls first, like mongo
+const compare = (a, b) => {
+  if (a === b) return 0;
+  if (a === null) return -1;
+  if (b === null) return 1;
+  return a < b ? -1 : 1;
+};
+
+const stubFoodItems = (items) => {
+  mock.method(Category, "find", () => fakeQuery([]));
+  return mock.method(FoodItem, "find", (filter) => {
+    let sort = {};
+    let limit = Infinity;
+    const query = fakeQuery(() => items
+      .filter(item => matches(item, filter))
+      .sort((a, b) => {
+        for (const [field, direction] of Object.entries(sort)) {
+          const order = compare(comparable(a[field] ?? null), comparable(b[field] ?? null)) * direction;
+          if (order) return order;
+        }
+        return 0;
+      })
+      .slice(0, limit));
+    query.sort = (value) => {
+      sort = value;
+      return query;
+    };
+    query.limit = (value) => {
+      limit = value;
+      return query;
+    };
+    return query;
+  });
+};
+
+const readAllPages = async (query) => {
+  const names = [];
+  let cursor;
+  do {
+    const page = await foodItemService.queryAllFoodItems({ ...query, cursor, limit: 2 });
+    names.push(...page.items.map(item => item.name));
+    cursor = page.nextCursor;
+  } while (cursor);
+  return names;
+};
+
+const item = (name, fields) => ({ _id: new mongoose.Types.ObjectId(), name, ...fields });
+
+describe("queryAllFoodItems cursor pagination", () => {
+  afterEach(() => mock.restoreAll());
+
+  // ids are created in order, so ties on the sort field come back in this order ascending
+  const menu = [
+    item("Shiro", { price: 90, rating: null, createdAt: new Date("2026-03-01") }),
+    item("Tibs", { price: 150, rating: 4, createdAt: new Date("2026-03-01") }),
+    item("Kitfo", { price: 150, rating: null, createdAt: new Date("2026-03-02") }),
+    item("Doro wat", { price: 150, rating: 4, createdAt: new Date("2026-03-01") }),
+    item("Injera", { price: 20, rating: 5, createdAt: new Date("2026-03-03") })
+  ];
+
+  it("round-trips the cursor and breaks ties on equal prices by id", async () => {
+    stubFoodItems(menu);
+
+    assert.deepEqual(await readAllPages({ sort: "price" }), ["Injera", "Shiro", "Tibs", "Kitfo", "Doro wat"]);
+    assert.deepEqual(await readAllPages({ sort: "-price" }), ["Doro wat", "Kitfo", "Tibs", "Shiro", "Injera"]);
+  });
+
+  it("pages through items without a value for the sort field", async () => {
+    stubFoodItems(menu);
+
+    assert.deepEqual(await readAllPages({ sort: "rating" }), ["Shiro", "Kitfo", "Tibs", "Doro wat", "Injera"]);
+    assert.deepEqual(await readAllPages({ sort: "-rating" }), ["Injera", "Doro wat", "Tibs", "Kitfo", "Shiro"]);
+  });
+
+  it("keeps dates in the cursor", async () => {
+    stubFoodItems(menu);
+
+    assert.deepEqual(await readAllPages({ sort: "createdAt" }), ["Shiro", "Tibs", "Doro wat", "Kitfo", "Injera"]);
+  });
+
+  it("stops with no next cursor on the last page", async () => {
+    stubFoodItems(menu.slice(0, 2));
+
+    const page = await foodItemService.queryAllFoodItems({ sort: "price", limit: 2 });
+    assert.equal(page.items.length, 2);
+    assert.equal(page.nextCursor, null);
+  });
+
+  it("rejects an invalid cursor", async () => {
+    stubFoodItems(menu);
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+
+    for (const cursor of ["not a cursor", encode({ v: 10, id: "nope" }), encode(["array"])]) {
+      await assert.rejects(foodItemService.queryAllFoodItems({ cursor }), withStatus(400, /Invalid cursor/));
+    }
+  });
+});
@@ -0,0 +1,51 @@
+// Shared stand-ins for the tests: they run without a database, model methods are stubbed per test.
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+// a mongoose query that resolves to `result`, whatever is chained on it
+const fakeQuery = (result) => {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(typeof result === "function" ? result() : result).then(resolve, reject),
+    catch: (reject) => query.then(undefined, reject)
+  };
+  ["select", "sort", "populate", "limit", "skip", "lean"].forEach(method => {
+    query[method] = () => query;
+  });
+  // query options are kept for the assertions
+  query.options = {};
+  query.setOptions = (options) => {
+    Object.assign(query.options, options);
+    return query;
+  };
+  return query;
+};
+
+// express response that records the status and json body
+const fakeResponse = () => {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    }
+  };
+  return res;
+};
+
+// run a middleware and resolve with the error it passed on (undefined when it called next())
+const runMiddleware = (middleware, req, res = fakeResponse()) => new Promise(resolve => {
+  middleware(req, res, resolve);
+});
+
+// assert.rejects matcher for customError
+const withStatus = (statusCode, message) => (error) => {
+  if (error.statusCode !== statusCode) return false;
+  return message ? message.test(error.message) : true;
+};
+
+module.exports = { fakeQuery, fakeResponse, runMiddleware, withStatus };
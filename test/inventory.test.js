@@ -0,0 +1,108 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { fakeQuery, fakeResponse } = require("./helpers");
+const FoodItem = require("../models/foodItem");
+const Ingredient = require("../models/ingredientModel");
+const Order = require("../models/orderModel");
+const User = require("../models/userModel");
+const kitchenFeed = require("../services/kitchenFeedService");
+const inventoryService = require("../services/inventoryService");
+const orderController = require("../controllers/orderController");
+
+const ingredient = (name) => ({ _id: new mongoose.Types.ObjectId(), name });
+const beef = ingredient("Beef");
+const onion = ingredient("Onion");
+const tibs = { _id: new mongoose.Types.ObjectId(), recipe: [{ ingredient: beef, quantity: 200 }, { ingredient: onion, quantity: 50 }] };
+
+const order = (items) => ({ _id: new mongoose.Types.ObjectId(), items });
+
+// the ingredient amounts of the bulk write, by name
+const amounts = (bulkWrite, read) => Object.fromEntries(bulkWrite.mock.calls[0].arguments[0].map(({ updateOne }) => [
+  [beef, onion].find(i => i._id.toString() === updateOne.filter._id).name,
+  read(updateOne.update)
+]));
+
+const stub = (claimed) => {
+  const claim = mock.method(Order, "findOneAndUpdate", () => fakeQuery(claimed));
+  const findFoodItems = mock.method(FoodItem, "find", () => fakeQuery([tibs]));
+  mock.method(Ingredient, "find", () => fakeQuery([]));
+  const bulkWrite = mock.method(Ingredient, "bulkWrite", async () => ({}));
+  return { claim, findFoodItems, bulkWrite };
+};
+
+describe("consumeForOrder", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("leaves out the ingredients a line removed", async () => {
+    const { bulkWrite, findFoodItems } = stub(order([
+      { foodItemId: tibs._id, quantity: 2, removedIngredients: ["onion"] },
+      { foodItemId: tibs._id, quantity: 1 }
+    ]));
+
+    await inventoryService.consumeForOrder("order");
+
+    const subtracted = amounts(bulkWrite, update => update[0].$set.quantity.$max[1].$subtract[1]);
+    assert.deepEqual(subtracted, { Beef: 600, Onion: 50 });
+    assert.equal(findFoodItems.mock.calls[0].result.options.includeArchived, true);
+  });
+
+  it("consumes nothing when the order was already claimed", async () => {
+    const { bulkWrite } = stub(null);
+    assert.deepEqual(await inventoryService.consumeForOrder("order"), []);
+    assert.equal(bulkWrite.mock.callCount(), 0);
+  });
+});
+
+describe("restockForOrder", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("puts back what the order consumed, once", async () => {
+    const { claim, bulkWrite } = stub(order([{ foodItemId: tibs._id, quantity: 3, removedIngredients: ["Onion"] }]));
+
+    await inventoryService.restockForOrder("order");
+
+    const [filter, update] = claim.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: "order", inventoryDeducted: true });
+    assert.equal(update.inventoryDeducted, false);
+    assert.deepEqual(amounts(bulkWrite, update => update.$inc.quantity), { Beef: 600 });
+  });
+
+  it("restocks nothing for an order that wasn't consumed", async () => {
+    const { bulkWrite } = stub(null);
+    assert.deepEqual(await inventoryService.restockForOrder("order"), []);
+    assert.equal(bulkWrite.mock.callCount(), 0);
+  });
+});
+
+describe("updateOrderStatus and the inventory", () => {
+  afterEach(() => mock.restoreAll());
+
+  const changeStatus = async (from, to) => {
+    const current = new Order({ status: from });
+    mock.method(Order, "findById", () => fakeQuery(current));
+    mock.method(Order, "findOneAndUpdate", () => fakeQuery(new Order({ _id: current._id, status: to })));
+    mock.method(kitchenFeed, "publishOrderEvent", () => {});
+    const consume = mock.method(inventoryService, "consumeForOrder", async () => []);
+    const restock = mock.method(inventoryService, "restockForOrder", async () => []);
+
+    const res = fakeResponse();
+    await orderController.updateOrderStatus({ params: { id: current._id }, body: { status: to }, user: new User({ role: "chef" }) }, res);
+    return { res, consume, restock, current };
+  };
+
+  it("restocks a cancelled order", async () => {
+    const { res, consume, restock, current } = await changeStatus("preparing", "cancelled");
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(consume.mock.callCount(), 0);
+    assert.equal(String(restock.mock.calls[0].arguments[0]), String(current._id));
+  });
+
+  it("consumes when the kitchen starts", async () => {
+    const { consume, restock } = await changeStatus("pending", "preparing");
+
+    assert.equal(consume.mock.callCount(), 1);
+    assert.equal(restock.mock.callCount(), 0);
+  });
+});
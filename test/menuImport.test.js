@@ -0,0 +1,72 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { fakeQuery } = require("./helpers");
+const FoodItem = require("../models/foodItem");
+const Category = require("../models/categoryModel");
+const User = require("../models/userModel");
+const foodItemService = require("../services/foodItemService");
+const menuImportService = require("../services/menuImportService");
+
+const admin = new User({ role: "admin" });
+const row = (name, category) => ({ name, description: `${name} of the house`, price: 100, preparationTime: 10, category });
+
+describe("importMenu and archived records", () => {
+  afterEach(() => mock.restoreAll());
+
+  const stub = ({ categories = [], foodItems = [] } = {}) => {
+    const findCategories = mock.method(Category, "find", () => fakeQuery(categories));
+    const findFoodItems = mock.method(FoodItem, "find", () => fakeQuery(foodItems));
+    const createCategory = mock.method(Category, "create", async ({ name }) => new Category({ name }));
+    const insert = mock.method(foodItemService, "insertFoodItem", async () => ({}));
+    const update = mock.method(foodItemService, "updateItem", async () => ({}));
+    return { findCategories, findFoodItems, createCategory, insert, update };
+  };
+
+  it("looks up archived categories and items too", async () => {
+    const { findCategories, findFoodItems } = stub();
+
+    await menuImportService.importMenu([row("Tibs", "Mains")], { user: admin });
+
+    assert.equal(findCategories.mock.calls[0].result.options.includeArchived, true);
+    assert.equal(findFoodItems.mock.calls[0].result.options.includeArchived, true);
+  });
+
+  it("reports rows of an archived category instead of creating it again", async () => {
+    const archived = new Category({ name: "Desserts", archivedAt: new Date() });
+    const { createCategory, insert } = stub({ categories: [archived] });
+
+    const report = await menuImportService.importMenu([row("Tibs", "Mains"), row("Baklava", "Desserts")], { user: admin });
+
+    assert.deepEqual(createCategory.mock.calls.map(call => call.arguments[0].name), ["Mains"]);
+    assert.deepEqual(report.created, ["Tibs"]);
+    assert.equal(report.errors[0].row, 2);
+    assert.match(report.errors[0].errors[0], /Desserts" is archived/);
+    assert.equal(insert.mock.callCount(), 1);
+  });
+
+  it("reports an archived item instead of creating a duplicate", async () => {
+    const category = new Category({ name: "Mains" });
+    const archived = new FoodItem({ name: "Tibs", archivedAt: new Date() });
+    const { insert, update } = stub({ categories: [category], foodItems: [archived] });
+
+    const report = await menuImportService.importMenu([row("Tibs", "Mains")], { user: admin });
+
+    assert.equal(insert.mock.callCount() + update.mock.callCount(), 0);
+    assert.match(report.errors[0].errors[0], /"Tibs" is archived/);
+  });
+
+  it("keeps importing the other rows when a category can't be created", async () => {
+    const { createCategory, insert } = stub();
+    createCategory.mock.mockImplementation(async ({ name }) => {
+      if (name === "Drinks") throw new Error("E11000 duplicate key error");
+      return new Category({ name });
+    });
+
+    const report = await menuImportService.importMenu([row("Cola", "Drinks"), row("Tibs", "Mains")], { user: admin });
+
+    assert.deepEqual(report.created, ["Tibs"]);
+    assert.deepEqual(report.categoriesCreated, ["Mains"]);
+    assert.match(report.errors[0].errors[0], /"Drinks" could not be created/);
+    assert.equal(insert.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,261 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { fakeQuery, withStatus } = require("./helpers");
+const FoodItem = require("../models/foodItem");
+const Category = require("../models/categoryModel");
+const MenuVersion = require("../models/menuVersionModel");
+const MenuPublication = require("../models/menuPublicationModel");
+const User = require("../models/userModel");
+const foodItemService = require("../services/foodItemService");
+const menuVersionService = require("../services/menuVersionService");
+const priceService = require("../services/priceService");
+
+const admin = new User({ role: "admin" });
+
+// In-memory stand-in for the collections the publish and rollback paths touch.
+// live: plain food item objects (what the database holds), publications: MenuPublication entries
+const stubMenu = (foodItems) => {
+  const live = foodItems.map(foodItem => foodItem.toObject());
+  const versions = new Map();
+  const publications = [];
+  const findLive = (id) => live.find(item => String(item._id) === String(id));
+
+  mock.method(FoodItem, "find", (filter = {}) => {
+    if (filter._id) {
+      const ids = filter._id.$in.map(String);
+      return fakeQuery(() => live.filter(item => ids.includes(String(item._id))).map(item => new FoodItem(item)));
+    }
+    if (filter.draft) return fakeQuery([]);
+    if (filter["scheduledPrices.effectiveAt"]) {
+      const due = (item) => (item.scheduledPrices || []).some(entry => entry.effectiveAt <= filter["scheduledPrices.effectiveAt"].$lte);
+      return fakeQuery(() => live.filter(due).map(item => ({ ...item })));
+    }
+    return fakeQuery(() => live.map(item => ({ ...item })));
+  });
+  mock.method(FoodItem, "updateOne", async (filter, update) => {
+    if (update.isPublished !== undefined) findLive(filter._id).isPublished = update.isPublished;
+    if (update.$set) Object.assign(findLive(filter._id), update.$set);
+    return { modifiedCount: 1 };
+  });
+  mock.method(Category, "find", () => fakeQuery([]));
+
+  const updateItem = mock.method(foodItemService, "updateItem", async (id, data) => {
+    Object.assign(findLive(id), data);
+    return findLive(id);
+  });
+
+  mock.method(MenuVersion, "create", async (data) => {
+    const version = new MenuVersion(data);
+    versions.set(String(version._id), version);
+    return version;
+  });
+  mock.method(MenuVersion, "findById", (id) => fakeQuery(() => versions.get(String(id)) || null));
+  mock.method(MenuVersion.prototype, "save", async function () {
+    versions.set(String(this._id), this);
+    return this;
+  });
+
+  mock.method(MenuPublication, "exists", async () => publications.length > 0);
+  mock.method(MenuPublication, "create", async (data) => {
+    const publication = { _id: new mongoose.Types.ObjectId(), rolledBackAt: null, ...data };
+    publications.push(publication);
+    return publication;
+  });
+  mock.method(MenuPublication, "find", () => fakeQuery(() => publications
+    .filter(publication => !publication.rolledBackAt)
+    .sort((a, b) => b.publishedAt - a.publishedAt)));
+  mock.method(MenuPublication, "findOneAndUpdate", async (filter, update) => {
+    const publication = publications.find(p => p._id.equals(filter._id) && !p.rolledBackAt);
+    if (!publication) return null;
+    Object.assign(publication, update);
+    return publication;
+  });
+  mock.method(MenuPublication, "updateOne", async (filter, update) => {
+    const publication = publications.find(p => p._id.equals(filter._id));
+    Object.keys(update.$unset || {}).forEach(field => {
+      publication[field] = null;
+    });
+  });
+
+  const addVersion = (name, items) => {
+    const version = new MenuVersion({ name, items, categories: [] });
+    versions.set(String(version._id), version);
+    return version;
+  };
+
+  return { live, findLive, publications, updateItem, addVersion };
+};
+
+describe("editFoodItem", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("drafts menu fields and applies operational fields right away", async () => {
+    const saveDraft = mock.method(menuVersionService, "saveDraft", async () => {});
+    const updateItem = mock.method(foodItemService, "updateItem", async () => ({}));
+
+    const result = await menuVersionService.editFoodItem("id", { price: 150, isInStock: false }, admin);
+
+    assert.deepEqual(saveDraft.mock.calls[0].arguments[1], { price: 150 });
+    assert.deepEqual(updateItem.mock.calls[0].arguments[1], { isInStock: false });
+    assert.deepEqual(result.drafted, ["price"]);
+  });
+
+  it("applies everything with live=true", async () => {
+    const saveDraft = mock.method(menuVersionService, "saveDraft", async () => {});
+    const updateItem = mock.method(foodItemService, "updateItem", async () => ({}));
+
+    await menuVersionService.editFoodItem("id", { price: 150, isInStock: false }, admin, { live: true });
+
+    assert.equal(saveDraft.mock.callCount(), 0);
+    assert.deepEqual(updateItem.mock.calls[0].arguments[1], { price: 150, isInStock: false });
+  });
+});
+
+describe("publish and rollback", () => {
+  let menu, burger, salad, tibs;
+
+  beforeEach(() => {
+    burger = new FoodItem({ name: "Burger", price: 200 });
+    salad = new FoodItem({ name: "Salad", price: 90 });  // added after the version below was taken
+    tibs = new FoodItem({ name: "Tibs", price: 300 });
+    menu = stubMenu([burger, salad, tibs]);
+  });
+  afterEach(() => mock.restoreAll());
+
+  const spring = () => menu.addVersion("Spring", [
+    { foodItemId: String(burger._id), name: "Burger", price: 180 },
+    { foodItemId: String(tibs._id), name: "Tibs", price: 320 }
+  ]);
+
+  it("makes the live menu match the version and records the publication", async () => {
+    const version = spring();
+
+    const { result } = await menuVersionService.publish(version._id, {}, admin);
+
+    assert.equal(menu.findLive(burger._id).price, 180);
+    assert.equal(menu.findLive(tibs._id).price, 320);
+    assert.equal(menu.findLive(salad._id).isPublished, false);
+    assert.deepEqual({ updated: result.updated, unpublished: result.unpublished }, { updated: 2, unpublished: 1 });
+    assert.equal(version.status, "published");
+    // the menu as it was is kept as a baseline to roll back to
+    assert.equal(menu.publications.length, 2);
+    assert.ok(menu.publications[1].version.equals(version._id));
+  });
+
+  it("publishes nothing when a change fails validation", async () => {
+    const version = menu.addVersion("Broken", [{ foodItemId: String(burger._id), name: "Burger", price: -5 }]);
+
+    await assert.rejects(menuVersionService.publish(version._id, {}, admin), withStatus(400, /can't be published/));
+
+    assert.equal(menu.updateItem.mock.callCount(), 0);
+    assert.equal(menu.findLive(burger._id).price, 200);
+    assert.notEqual(version.status, "published");
+  });
+
+  it("undoes the writes before a write that fails", async () => {
+    const version = spring();
+    menu.updateItem.mock.mockImplementation(async (id, data) => {
+      if (String(id) === String(tibs._id) && data.price === 320) throw new Error("write failed");
+      Object.assign(menu.findLive(id), data);
+    });
+
+    await assert.rejects(menuVersionService.publish(version._id, {}, admin), /write failed/);
+
+    assert.equal(menu.findLive(burger._id).price, 200);
+    assert.notEqual(menu.findLive(salad._id).isPublished, false);
+    assert.notEqual(version.status, "published");
+    assert.equal(menu.publications.filter(p => p.version.equals(version._id)).length, 0);
+  });
+
+  it("rolls back to the menu before the last publication, one step at a time", async () => {
+    const version = spring();
+    await menuVersionService.publish(version._id, {}, admin);
+
+    await menuVersionService.rollback(admin);
+
+    assert.equal(menu.findLive(burger._id).price, 200);
+    assert.equal(menu.findLive(tibs._id).price, 300);
+    assert.equal(menu.findLive(salad._id).isPublished, true);
+    assert.ok(menu.publications[1].rolledBackAt);
+    // the baseline is the oldest entry, there is nothing before it
+    await assert.rejects(menuVersionService.rollback(admin), withStatus(400));
+  });
+
+  it("gives the publication back when the rollback fails", async () => {
+    await menuVersionService.publish(spring()._id, {}, admin);
+    menu.updateItem.mock.mockImplementation(async () => {
+      throw new Error("write failed");
+    });
+
+    await assert.rejects(menuVersionService.rollback(admin), /write failed/);
+
+    assert.equal(menu.publications[1].rolledBackAt, null);
+  });
+
+  it("keeps a scheduled price that landed between drafting and publishing", async () => {
+    menu.findLive(burger._id).draft = { price: 180 };
+    menu.findLive(tibs._id).scheduledPrices = [
+      { _id: new mongoose.Types.ObjectId(), price: 350, effectiveAt: new Date(Date.now() - 1000) }
+    ];
+    const version = await menuVersionService.createVersion({ name: "Summer" }, admin);
+
+    // the scheduler runs after the version was taken
+    await priceService.applyDuePrices();
+    assert.equal(menu.findLive(tibs._id).price, 350);
+
+    const { result } = await menuVersionService.publish(version._id, {}, admin);
+
+    assert.equal(menu.findLive(burger._id).price, 180);
+    assert.equal(menu.findLive(tibs._id).price, 350);
+    assert.equal(result.updated, 1);
+    assert.deepEqual(menu.updateItem.mock.calls[0].arguments[3], { priceSource: "menu" });
+
+    // a rollback undoes the published draft only
+    await menuVersionService.rollback(admin);
+    assert.equal(menu.findLive(burger._id).price, 200);
+    assert.equal(menu.findLive(tibs._id).price, 350);
+  });
+
+  it("leaves fields changed live since the publish when rolling back", async () => {
+    await menuVersionService.publish(spring()._id, {}, admin);
+    menu.findLive(tibs._id).price = 340;  // e.g. a scheduled price applied after the publish
+
+    const { result } = await menuVersionService.rollback(admin);
+
+    assert.equal(menu.findLive(burger._id).price, 200);
+    assert.equal(menu.findLive(tibs._id).price, 340);
+    assert.equal(menu.findLive(salad._id).isPublished, true);
+    assert.deepEqual(result.skipped.map(entry => [entry.name, entry.fields]), [["Tibs", ["price"]]]);
+  });
+
+  it("lets only one of two concurrent rollbacks through", async () => {
+    await menuVersionService.publish(spring()._id, {}, admin);
+    mock.method(MenuPublication, "findOneAndUpdate", async () => null);
+
+    await assert.rejects(menuVersionService.rollback(admin), withStatus(409));
+  });
+});
+
+describe("publishDueVersions", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("sends a version that can't be published back to draft with the reason", async () => {
+    const burger = new FoodItem({ name: "Burger", price: 200 });
+    const menu = stubMenu([burger]);
+    const version = menu.addVersion("Broken", [{ foodItemId: String(burger._id), name: "Burger", price: -5 }]);
+    version.status = "draft";
+    mock.method(MenuVersion, "find", () => fakeQuery([{ _id: version._id }]));
+    mock.method(MenuVersion, "findOneAndUpdate", async () => version);
+    const updateOne = mock.method(MenuVersion, "updateOne", async () => ({}));
+    mock.method(console, "error", () => {});
+
+    await menuVersionService.publishDueVersions(new Date());
+
+    const [filter, update] = updateOne.mock.calls[0].arguments;
+    assert.ok(filter._id.equals(version._id));
+    assert.match(update.publishError, /can't be published/);
+    assert.deepEqual(update.$unset, { scheduledFor: "" });
+    assert.equal(menu.findLive(burger._id).price, 200);
+  });
+});
@@ -0,0 +1,132 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { fakeQuery, fakeResponse, withStatus } = require("./helpers");
+const FoodItem = require("../models/foodItem");
+const Category = require("../models/categoryModel");
+const Order = require("../models/orderModel");
+const User = require("../models/userModel");
+const kitchenFeed = require("../services/kitchenFeedService");
+const orderController = require("../controllers/orderController");
+const { resolveModifiers, priceOrderItem } = require("../services/orderPricingService");
+
+// burger with a required size and optional paid extras
+const burger = () => new FoodItem({
+  name: "Burger",
+  price: 200,
+  isInStock: true,
+  modifierGroups: [
+    {
+      name: "Size",
+      required: true,
+      minSelections: 1,
+      maxSelections: 1,
+      options: [{ name: "Regular", priceDelta: 0 }, { name: "Large", priceDelta: 50 }, { name: "Kids", priceDelta: -250 }]
+    },
+    {
+      name: "Extras",
+      maxSelections: 2,
+      options: [{ name: "Cheese", priceDelta: 20 }, { name: "Bacon", priceDelta: 40 }, { name: "Egg", priceDelta: 15, isAvailable: false }]
+    }
+  ]
+});
+
+const select = (foodItem, groupName, ...optionNames) => {
+  const group = foodItem.modifierGroups.find(g => g.name === groupName);
+  return {
+    groupId: group._id,
+    optionIds: optionNames.map(name => group.options.find(o => o.name === name)._id)
+  };
+};
+
+describe("resolveModifiers", () => {
+  it("adds up the price deltas of the chosen options", () => {
+    const foodItem = burger();
+    const { modifiers, modifiersTotal } = resolveModifiers(foodItem, [
+      select(foodItem, "Size", "Large"),
+      select(foodItem, "Extras", "Cheese", "Bacon")
+    ]);
+
+    assert.equal(modifiersTotal, 110);
+    assert.deepEqual(modifiers.map(m => `${m.groupName}:${m.optionName}`), ["Size:Large", "Extras:Cheese", "Extras:Bacon"]);
+  });
+
+  it("requires a selection for required groups", () => {
+    assert.throws(() => resolveModifiers(burger(), []), withStatus(400, /Size for Burger requires at least 1/));
+  });
+
+  it("enforces the maximum number of selections", () => {
+    const foodItem = burger();
+    assert.throws(
+      () => resolveModifiers(foodItem, [select(foodItem, "Size", "Regular", "Large")]),
+      withStatus(400, /allows at most 1/)
+    );
+  });
+
+  it("rejects unknown groups and unavailable options", () => {
+    const foodItem = burger();
+    assert.throws(() => resolveModifiers(foodItem, [{ groupId: new FoodItem()._id, optionIds: [] }]), withStatus(400, /Unknown modifier group/));
+    assert.throws(
+      () => resolveModifiers(foodItem, [select(foodItem, "Size", "Regular"), select(foodItem, "Extras", "Egg")]),
+      withStatus(400, /Egg is not available/)
+    );
+  });
+
+  it("counts an option picked twice once", () => {
+    const foodItem = burger();
+    const cheese = select(foodItem, "Extras", "Cheese");
+    const { modifiersTotal } = resolveModifiers(foodItem, [select(foodItem, "Size", "Regular"), cheese, cheese]);
+    assert.equal(modifiersTotal, 20);
+  });
+});
+
+describe("priceOrderItem", () => {
+  it("prices a line at the base price plus the modifier deltas", () => {
+    const foodItem = burger();
+    const priced = priceOrderItem(foodItem, [select(foodItem, "Size", "Large"), select(foodItem, "Extras", "Bacon")]);
+    assert.equal(priced.basePrice, 200);
+    assert.equal(priced.unitPrice, 290);
+  });
+
+  it("never prices a line below zero", () => {
+    const foodItem = burger();
+    assert.equal(priceOrderItem(foodItem, [select(foodItem, "Size", "Kids")]).unitPrice, 0);
+  });
+});
+
+describe("createOrder pricing", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("prices lines on the server, whatever price the client sends", async () => {
+    const foodItem = burger();
+    mock.method(FoodItem, "findById", () => fakeQuery(foodItem));
+    mock.method(User, "findById", () => fakeQuery(null));
+    mock.method(Category, "find", () => fakeQuery([]));
+    const save = mock.method(Order.prototype, "save", async function () {
+      return this;
+    });
+    mock.method(kitchenFeed, "publishOrderEvent", () => {});
+
+    const res = fakeResponse();
+    const customer = new User({ role: "guest" });
+    await orderController.createOrder({
+      user: customer,
+      body: {
+        orderType: "Delivery",
+        totalPrice: 1,
+        items: [{
+          foodItemId: foodItem._id,
+          quantity: 2,
+          price: 1,
+          modifiers: [select(foodItem, "Size", "Large"), select(foodItem, "Extras", "Cheese")]
+        }]
+      }
+    }, res);
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(save.mock.callCount(), 1);
+    const order = res.body.data;
+    assert.equal(order.items[0].price, 270);
+    assert.equal(order.items[0].basePrice, 200);
+    assert.equal(order.totalPrice, 540);
+  });
+});
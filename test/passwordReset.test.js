@@ -0,0 +1,115 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const nodemailer = require("nodemailer");
+const { fakeQuery, withStatus } = require("./helpers");
+const User = require("../models/userModel");
+const UserServices = require("../services/UserServices");
+const emailService = require("../services/emailService");
+
+const req = { protocol: "https", get: () => "api.example.com" };
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+const newUser = () => {
+  const user = new User({
+    firstName: "Abebe",
+    lastName: "Kebede",
+    phoneNumber: "+251911000000",
+    email: "abebe@example.com",
+    password: "old-secret"
+  });
+  mock.method(user, "save", async function () {
+    return this;
+  });
+  return user;
+};
+
+describe("forgotPassword", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("answers the same for an unknown email without sending anything", async () => {
+    mock.method(User, "findOne", () => fakeQuery(null));
+    const send = mock.method(emailService, "sendResetEmail", async () => {});
+
+    assert.equal(await UserServices.forgotPassword("nobody@example.com", req), undefined);
+    assert.equal(send.mock.callCount(), 0);
+  });
+
+  it("emails the token and keeps only its hash, valid for the configured minutes", async () => {
+    const user = newUser();
+    mock.method(User, "findOne", () => fakeQuery(user));
+    const send = mock.method(emailService, "sendResetEmail", async () => {});
+
+    const before = Date.now();
+    await UserServices.forgotPassword(user.email, req);
+
+    const [email, resetToken, , minutes] = send.mock.calls[0].arguments;
+    assert.equal(email, user.email);
+    assert.equal(minutes, User.RESET_TOKEN_EXPIRES_MINUTES);
+    assert.equal(user.passwordResetToken, sha256(resetToken));
+    assert.ok(user.passwordResetExpires.getTime() >= before + minutes * 60 * 1000);
+  });
+
+  it("clears the token when the email can't be sent", async () => {
+    const user = newUser();
+    mock.method(User, "findOne", () => fakeQuery(user));
+    mock.method(emailService, "sendResetEmail", async () => {
+      throw new Error("smtp down");
+    });
+
+    await assert.rejects(UserServices.forgotPassword(user.email, req), withStatus(500));
+    assert.equal(user.passwordResetToken, undefined);
+    assert.equal(user.passwordResetExpires, undefined);
+  });
+
+  it("requires an email", async () => {
+    await assert.rejects(UserServices.forgotPassword(undefined, req), withStatus(400));
+  });
+});
+
+describe("resetPassword", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("looks the user up by the hash of an unexpired token", async () => {
+    const findOne = mock.method(User, "findOne", () => fakeQuery(null));
+
+    await assert.rejects(UserServices.resetPassword("raw-token", "new-secret"), withStatus(400, /invalid or has expired/));
+
+    const filter = findOne.mock.calls[0].arguments[0];
+    assert.equal(filter.passwordResetToken, sha256("raw-token"));
+    assert.ok(filter.passwordResetExpires.$gt <= Date.now());
+  });
+
+  it("sets the new password, uses up the token and logs the user in", async () => {
+    const user = newUser();
+    const resetToken = user.createPasswordResetToken();
+    mock.method(User, "findOne", () => fakeQuery(user));
+
+    const { token } = await UserServices.resetPassword(resetToken, "new-secret");
+
+    assert.equal(user.password, "new-secret");
+    assert.equal(user.passwordResetToken, undefined);
+    assert.equal(user.passwordResetExpires, undefined);
+    assert.equal(jwt.verify(token, process.env.JWT_SECRET).id, user._id.toString());
+  });
+});
+
+describe("reset email", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("links to the reset route and states the token lifetime", async () => {
+    let sent;
+    mock.method(nodemailer, "createTransport", () => ({
+      sendMail: async (options) => {
+        sent = options;
+      }
+    }));
+
+    await emailService.sendResetEmail("abebe@example.com", "raw-token", req, 25);
+
+    assert.equal(sent.to, "abebe@example.com");
+    assert.match(sent.text, /https:\/\/api\.example\.com\/api\/users\/resetPassword\/raw-token/);
+    assert.match(sent.text, /expires in 25 minutes/);
+  });
+});
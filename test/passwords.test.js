@@ -0,0 +1,119 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+const { fakeQuery, withStatus } = require("./helpers");
+const User = require("../models/userModel");
+const UserServices = require("../services/UserServices");
+
+const newUser = (fields = {}) => new User({
+  firstName: "Abebe",
+  lastName: "Kebede",
+  phoneNumber: "+251911000000",
+  email: "abebe@example.com",
+  password: "plain-secret",
+  ...fields
+});
+
+// writes go nowhere, the documents keep what the hooks did to them
+const stubWrites = () => {
+  const writes = [];
+  mock.method(User.collection, "insertOne", async (doc) => {
+    writes.push({ op: "insert", doc });
+    return { acknowledged: true, insertedId: doc._id };
+  });
+  mock.method(User.collection, "updateOne", async (filter, update) => {
+    writes.push({ op: "update", update });
+    return { acknowledged: true, matchedCount: 1, modifiedCount: 1 };
+  });
+  return writes;
+};
+
+describe("password hashing", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("stores a bcrypt hash instead of the password", async () => {
+    const writes = stubWrites();
+    const user = newUser();
+    await user.save();
+
+    assert.ok(User.isPasswordHashed(writes[0].doc.password));
+    assert.notEqual(writes[0].doc.password, "plain-secret");
+    assert.equal(await user.correctPassword("plain-secret"), true);
+    assert.equal(await user.correctPassword("wrong"), false);
+  });
+
+  it("rehashes a changed password and signs out older tokens", async () => {
+    stubWrites();
+    const user = newUser();
+    await user.save();
+    assert.equal(user.passwordChangedAt, undefined);
+
+    user.password = "new-secret";
+    await user.save();
+
+    assert.ok(User.isPasswordHashed(user.password));
+    assert.equal(await user.correctPassword("new-secret"), true);
+    assert.equal(user.changedPasswordAfter(Math.floor(Date.now() / 1000) - 60), true);
+  });
+
+  it("does not rehash when other fields change", async () => {
+    stubWrites();
+    const user = newUser();
+    await user.save();
+    const hash = user.password;
+
+    user.firstName = "Almaz";
+    await user.save();
+    assert.equal(user.password, hash);
+  });
+
+  it("hashes passwords passed through findByIdAndUpdate", async () => {
+    let update;
+    mock.method(User.collection, "findOneAndUpdate", async (filter, doc) => {
+      update = doc;
+      return null;
+    });
+
+    await User.findByIdAndUpdate(newUser()._id, { password: "via-update" });
+
+    assert.ok(User.isPasswordHashed(update.$set.password));
+    assert.ok(update.$set.passwordChangedAt);
+  });
+
+  it("never sends the password back", () => {
+    const json = newUser({ password: "$2b$12$abcdefghijklmnopqrstuvwxyzabcdefghijklmnopqrstuvwxyz0" }).toJSON();
+    assert.equal(json.password, undefined);
+  });
+
+  it("tells hashes and plaintext apart for the migration", async () => {
+    assert.equal(User.isPasswordHashed(await User.hashPassword("legacy")), true);
+    assert.equal(User.isPasswordHashed("legacy"), false);
+    assert.equal(User.isPasswordHashed(undefined), false);
+  });
+});
+
+describe("login", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("rejects a wrong password", async () => {
+    stubWrites();
+    const user = newUser();
+    await user.save();
+    mock.method(User, "findOne", () => fakeQuery(user));
+
+    await assert.rejects(UserServices.login({ email: user.email, password: "wrong" }), withStatus(401));
+    await assert.rejects(UserServices.login({ email: user.email }), withStatus(401));
+  });
+
+  it("returns a token carrying the user id and role", async () => {
+    stubWrites();
+    const user = newUser({ role: "waiter" });
+    await user.save();
+    mock.method(User, "findOne", () => fakeQuery(user));
+
+    const { token } = await UserServices.login({ email: user.email, password: "plain-secret" });
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    assert.equal(decoded.id, user._id.toString());
+    assert.equal(decoded.role, "waiter");
+  });
+});
@@ -0,0 +1,83 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { fakeQuery, withStatus } = require("./helpers");
+const FoodItem = require("../models/foodItem");
+const User = require("../models/userModel");
+const priceService = require("../services/priceService");
+const { priceOrderItem } = require("../services/orderPricingService");
+
+const HOUR = 60 * 60 * 1000;
+const now = new Date("2026-03-01T12:00:00Z");
+const at = (offset) => new Date(now.getTime() + offset);
+
+const injera = () => new FoodItem({
+  name: "Injera",
+  price: 100,
+  scheduledPrices: [
+    { price: 130, effectiveAt: at(2 * HOUR) },
+    { price: 110, effectiveAt: at(-2 * HOUR) },
+    { price: 120, effectiveAt: at(-1 * HOUR) }
+  ]
+});
+
+describe("getEffectivePrice", () => {
+  it("uses the latest scheduled price that is already due", () => {
+    assert.equal(priceService.getEffectivePrice(injera(), now), 120);
+  });
+
+  it("falls back to the stored price", () => {
+    assert.equal(priceService.getEffectivePrice(injera(), at(-3 * HOUR)), 100);
+    assert.equal(priceService.getEffectivePrice(new FoodItem({ name: "Shiro", price: 90 }), now), 90);
+  });
+
+  it("prices orders at the due price before the scheduler applied it", () => {
+    assert.equal(priceOrderItem(injera(), [], now).basePrice, 120);
+  });
+});
+
+describe("schedulePrice", () => {
+  afterEach(() => mock.restoreAll());
+
+  const admin = new User({ role: "admin" });
+  const tomorrow = new Date(Date.now() + 24 * HOUR);
+
+  it("rejects negative or missing prices", async () => {
+    await assert.rejects(priceService.schedulePrice("id", { price: -5, effectiveAt: tomorrow }, admin), withStatus(400, /non-negative/));
+    await assert.rejects(priceService.schedulePrice("id", { effectiveAt: tomorrow }, admin), withStatus(400));
+  });
+
+  it("only schedules prices in the future", async () => {
+    await assert.rejects(
+      priceService.schedulePrice("id", { price: 50, effectiveAt: new Date(Date.now() - HOUR) }, admin),
+      withStatus(400, /must be in the future/)
+    );
+    await assert.rejects(priceService.schedulePrice("id", { price: 50, effectiveAt: "soon" }, admin), withStatus(400));
+  });
+});
+
+describe("applyDuePrices", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("applies the latest due price and records each due change in the history", async () => {
+    const foodItem = injera();
+    mock.method(FoodItem, "find", () => fakeQuery([foodItem]));
+    const updateOne = mock.method(FoodItem, "updateOne", async () => ({ modifiedCount: 1 }));
+
+    assert.equal(await priceService.applyDuePrices(now), 1);
+
+    const [filter, update] = updateOne.mock.calls[0].arguments;
+    const due = foodItem.scheduledPrices.filter(entry => entry.effectiveAt <= now);
+    assert.equal(update.$set.price, 120);
+    assert.deepEqual(update.$push.priceHistory.$each.map(change => [change.previousPrice, change.price]), [[100, 110], [110, 120]]);
+    assert.deepEqual(update.$pull.scheduledPrices._id.$in.map(String).sort(), due.map(entry => String(entry._id)).sort());
+    // claimed on the last due entry, so a second scheduler finds nothing to apply
+    assert.equal(String(filter["scheduledPrices._id"]), String(due.find(entry => entry.price === 120)._id));
+  });
+
+  it("counts only the items it actually updated", async () => {
+    mock.method(FoodItem, "find", () => fakeQuery([injera()]));
+    mock.method(FoodItem, "updateOne", async () => ({ modifiedCount: 0 }));
+
+    assert.equal(await priceService.applyDuePrices(now), 0);
+  });
+});
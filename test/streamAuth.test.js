@@ -0,0 +1,56 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+const { fakeQuery, runMiddleware } = require("./helpers");
+const User = require("../models/userModel");
+const { authMiddleware, streamAuth, signStreamToken } = require("../middleware/authMiddleware");
+
+describe("kitchen stream authentication", () => {
+  afterEach(() => mock.restoreAll());
+
+  const chef = new User({ role: "chef" });
+  const accessToken = jwt.sign({ id: chef._id, role: chef.role }, process.env.JWT_SECRET);
+
+  it("opens the stream with a stream token in the query string", async () => {
+    mock.method(User, "findById", () => fakeQuery(chef));
+    const req = { headers: {}, query: { token: signStreamToken(chef) } };
+
+    assert.equal(await runMiddleware(streamAuth, req), undefined);
+    assert.equal(req.user, chef);
+  });
+
+  it("still accepts the bearer header", async () => {
+    mock.method(User, "findById", () => fakeQuery(chef));
+    const req = { headers: { authorization: `Bearer ${accessToken}` }, query: {} };
+
+    assert.equal(await runMiddleware(streamAuth, req), undefined);
+    assert.equal(req.user, chef);
+  });
+
+  it("does not take an access token in the query string", async () => {
+    mock.method(User, "findById", () => fakeQuery(chef));
+    const error = await runMiddleware(streamAuth, { headers: {}, query: { token: accessToken } });
+    assert.equal(error.statusCode, 401);
+  });
+
+  it("does not let a stream token reach the rest of the api", async () => {
+    mock.method(User, "findById", () => fakeQuery(chef));
+    const req = { headers: { authorization: `Bearer ${signStreamToken(chef)}` }, query: {} };
+
+    assert.equal((await runMiddleware(authMiddleware, req)).statusCode, 401);
+  });
+
+  it("rejects an expired stream token", async () => {
+    const token = jwt.sign(
+      { id: chef._id, purpose: "stream", exp: Math.floor(Date.now() / 1000) - 1 },
+      process.env.JWT_SECRET
+    );
+    const error = await runMiddleware(streamAuth, { headers: {}, query: { token } });
+    assert.equal(error.name, "TokenExpiredError");
+  });
+
+  it("issues stream tokens that expire within minutes", () => {
+    const { iat, exp } = jwt.decode(signStreamToken(chef));
+    assert.ok(exp - iat <= 5 * 60);
+  });
+});
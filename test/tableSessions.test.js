@@ -0,0 +1,184 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { withStatus } = require("./helpers");
+const Table = require("../models/tableModel");
+const TableSession = require("../models/tableSessionModel");
+const Order = require("../models/orderModel");
+const User = require("../models/userModel");
+const tableService = require("../services/tableService");
+
+const waiter = new User({ role: "waiter" });
+const guest = new User({ role: "guest" });
+
+describe("sessionForTable", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("joins the open session of a seated table", async () => {
+    const session = new TableSession({ status: "open" });
+    const table = new Table({ number: 4, capacity: 4, status: "occupied", currentSession: session._id });
+    mock.method(Table, "findById", async () => table);
+    mock.method(TableSession, "findById", async () => session);
+    const save = mock.method(TableSession.prototype, "save", async function () {
+      return this;
+    });
+
+    const result = await tableService.sessionForTable(table._id, guest);
+
+    assert.equal(result.session, session);
+    assert.equal(result.opened, false);
+    assert.equal(save.mock.callCount(), 0);
+  });
+
+  it("opens a free table for staff and claims it", async () => {
+    const table = new Table({ number: 4, capacity: 4 });
+    mock.method(Table, "findById", async () => table);
+    mock.method(TableSession.prototype, "save", async function () {
+      return this;
+    });
+    const claim = mock.method(Table, "findOneAndUpdate", async () => table);
+
+    const { session, opened } = await tableService.sessionForTable(table._id, waiter);
+
+    assert.equal(opened, true);
+    const [filter, update] = claim.mock.calls[0].arguments;
+    assert.equal(filter.currentSession, null);
+    assert.equal(String(update.currentSession), String(session._id));
+    assert.equal(update.status, "occupied");
+  });
+
+  it("joins the session that won the claim when two first orders race", async () => {
+    const free = new Table({ number: 4, capacity: 4 });
+    const winner = new TableSession({ status: "open" });
+    const seated = new Table({ _id: free._id, number: 4, capacity: 4, status: "occupied", currentSession: winner._id });
+    const findTable = mock.method(Table, "findById", async () => findTable.mock.callCount() < 2 ? free : seated);
+    mock.method(TableSession.prototype, "save", async function () {
+      return this;
+    });
+    mock.method(Table, "findOneAndUpdate", async () => null);
+    const deleteSession = mock.method(TableSession, "deleteOne", async () => ({ deletedCount: 1 }));
+    mock.method(TableSession, "findById", async () => winner);
+
+    const { session, opened } = await tableService.sessionForTable(free._id, waiter);
+
+    assert.equal(session, winner);
+    assert.equal(opened, false);
+    // the session that lost the claim is removed again
+    assert.equal(deleteSession.mock.callCount(), 1);
+    assert.notEqual(String(deleteSession.mock.calls[0].arguments[0]._id), String(winner._id));
+  });
+
+  it("retries the claim only once", async () => {
+    const table = new Table({ number: 4, capacity: 4 });
+    mock.method(Table, "findById", async () => table);
+    mock.method(TableSession.prototype, "save", async function () {
+      return this;
+    });
+    const claim = mock.method(Table, "findOneAndUpdate", async () => null);
+    mock.method(TableSession, "deleteOne", async () => ({ deletedCount: 1 }));
+
+    await assert.rejects(tableService.sessionForTable(table._id, waiter), withStatus(409, /already occupied/));
+    assert.equal(claim.mock.callCount(), 2);
+  });
+
+  it("doesn't let customers open a table", async () => {
+    mock.method(Table, "findById", async () => new Table({ number: 4, capacity: 4 }));
+
+    await assert.rejects(tableService.sessionForTable("64b000000000000000000004", guest), withStatus(403, /ask a waiter/));
+  });
+});
+
+describe("releaseSession", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("removes the session and frees its tables", async () => {
+    const session = new TableSession({ status: "open" });
+    mock.method(Order, "exists", async () => null);
+    const deleteSession = mock.method(TableSession, "deleteOne", async () => ({ deletedCount: 1 }));
+    const freeTables = mock.method(Table, "updateMany", async () => ({ modifiedCount: 1 }));
+
+    await tableService.releaseSession(session);
+
+    assert.deepEqual(deleteSession.mock.calls[0].arguments[0], { _id: session._id, status: "open" });
+    const [filter, update] = freeTables.mock.calls[0].arguments;
+    assert.equal(filter.currentSession, session._id);
+    assert.equal(update.status, "available");
+    assert.equal(update.currentSession, null);
+  });
+
+  it("keeps a session another order already joined", async () => {
+    mock.method(Order, "exists", async () => ({ _id: "order" }));
+    const deleteSession = mock.method(TableSession, "deleteOne", async () => ({ deletedCount: 1 }));
+    const freeTables = mock.method(Table, "updateMany", async () => ({ modifiedCount: 1 }));
+
+    await tableService.releaseSession(new TableSession({ status: "open" }));
+
+    assert.equal(deleteSession.mock.callCount() + freeTables.mock.callCount(), 0);
+  });
+});
+
+describe("moveOrder", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("releases the session it opened when the order can't be saved", async () => {
+    const order = new Order({ orderType: "DineIn" });
+    const table = new Table({ number: 4, capacity: 4 });
+    const session = new TableSession({ status: "open" });
+    mock.method(Order, "findById", async () => order);
+    mock.method(tableService, "sessionForTable", async () => ({ table, session, opened: true }));
+    mock.method(Order.prototype, "save", async () => {
+      throw new Error("write conflict");
+    });
+    const release = mock.method(tableService, "releaseSession", async () => {});
+
+    await assert.rejects(tableService.moveOrder(order._id, table._id, waiter), /write conflict/);
+    assert.equal(release.mock.calls[0].arguments[0], session);
+  });
+});
+
+describe("mergeTables", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("closes the source session into the target one and moves its orders and tables", async () => {
+    const source = new TableSession({ status: "open", guestCount: 2 });
+    const destination = new TableSession({ status: "open", guestCount: 3 });
+    source.tables.push(new Table()._id);
+    const table = new Table({ number: 1, capacity: 2, status: "occupied", currentSession: source._id });
+    const target = new Table({ number: 2, capacity: 4, status: "occupied", currentSession: destination._id });
+    const tables = new Map([table, target].map(t => [String(t._id), t]));
+    const sessions = new Map([source, destination].map(s => [String(s._id), s]));
+    mock.method(Table, "findById", async (id) => tables.get(String(id)));
+    mock.method(TableSession, "findById", async (id) => sessions.get(String(id)));
+    const close = mock.method(TableSession, "findOneAndUpdate", async () => source);
+    const moveOrders = mock.method(Order, "updateMany", async () => ({ modifiedCount: 2 }));
+    const moveTables = mock.method(Table, "updateMany", async () => ({ modifiedCount: 1 }));
+    const join = mock.method(TableSession, "updateOne", async () => ({ modifiedCount: 1 }));
+    mock.method(tableService, "getSession", async (id) => ({ _id: id }));
+
+    const merged = await tableService.mergeTables(table._id, target._id, waiter);
+
+    assert.equal(String(merged._id), String(destination._id));
+    const [closeFilter, closeUpdate] = close.mock.calls[0].arguments;
+    assert.deepEqual(closeFilter, { _id: source._id, status: "open" });
+    assert.equal(String(closeUpdate.mergedInto), String(destination._id));
+    assert.deepEqual(moveOrders.mock.calls[0].arguments[0], { tableSession: source._id });
+    assert.equal(String(moveOrders.mock.calls[0].arguments[1].tableSession), String(destination._id));
+    assert.equal(String(moveTables.mock.calls[0].arguments[1].currentSession), String(destination._id));
+    const update = join.mock.calls[0].arguments[1];
+    assert.deepEqual(update.$addToSet.tables.$each.map(String), source.tables.map(String));
+    assert.equal(update.guestCount, 5);
+  });
+
+  it("refuses when the source session was closed meanwhile", async () => {
+    const source = new TableSession({ status: "open" });
+    const destination = new TableSession({ status: "open" });
+    const table = new Table({ number: 1, capacity: 2, status: "occupied", currentSession: source._id });
+    const target = new Table({ number: 2, capacity: 4, status: "occupied", currentSession: destination._id });
+    mock.method(Table, "findById", async (id) => String(id) === String(table._id) ? table : target);
+    mock.method(TableSession, "findById", async (id) => String(id) === String(source._id) ? source : destination);
+    mock.method(TableSession, "findOneAndUpdate", async () => null);
+    const moveOrders = mock.method(Order, "updateMany", async () => ({ modifiedCount: 0 }));
+
+    await assert.rejects(tableService.mergeTables(table._id, target._id, waiter), withStatus(400, /already closed/));
+    assert.equal(moveOrders.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,53 @@
+// The 14 allergens food businesses have to declare (EU FIC / UK FSA list)
+const ALLERGENS = [
+  "celery", "gluten", "crustaceans", "eggs", "fish", "lupin", "milk",
+  "molluscs", "mustard", "peanuts", "sesame", "soybeans", "sulphites", "tree-nuts"
+];
+
+// Allergens of a food item that conflict with a customer's profile.
+// An allergen whose every source ingredient was removed from the order line
+// is downgraded to "may-contain": the kitchen still handles it.
+// returns [{ allergen, level: "contains" | "may-contain", removedSources }]
+const getAllergenWarnings = (foodItem, profile = [], removedIngredients = []) => {
+  if (!profile || profile.length === 0) return [];
+
+  const removed = new Set(removedIngredients.map(ingredient => ingredient.toLowerCase()));
+  const warnings = new Map();
+
+  for (const { allergen, sources = [] } of foodItem.allergens || []) {
+    if (!profile.includes(allergen)) continue;
+
+    const remaining = sources.filter(source => !removed.has(source.toLowerCase()));
+    const removedAll = sources.length > 0 && remaining.length === 0;
+    const level = removedAll ? "may-contain" : "contains";
+
+    // the same allergen may be listed for several ingredients, "contains" wins
+    if (warnings.get(allergen)?.level === "contains") continue;
+    warnings.set(allergen, {
+      allergen,
+      level,
+      removedSources: sources.filter(source => removed.has(source.toLowerCase()))
+    });
+  }
+
+  for (const allergen of foodItem.mayContain || []) {
+    if (profile.includes(allergen) && !warnings.has(allergen)) {
+      warnings.set(allergen, { allergen, level: "may-contain", removedSources: [] });
+    }
+  }
+
+  return [...warnings.values()];
+};
+
+// "Contains milk, may contain sesame"
+const describeAllergenWarnings = (warnings) => {
+  const contains = warnings.filter(w => w.level === "contains").map(w => w.allergen);
+  const mayContain = warnings.filter(w => w.level === "may-contain").map(w => w.allergen);
+
+  return [
+    contains.length ? `contains ${contains.join(", ")}` : null,
+    mayContain.length ? `may contain ${mayContain.join(", ")}` : null
+  ].filter(Boolean).join(", ");
+};
+
+module.exports = { ALLERGENS, getAllergenWarnings, describeAllergenWarnings };
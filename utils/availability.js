@@ -0,0 +1,91 @@
+// Menu availability windows, evaluated in the restaurant timezone
+const RESTAURANT_TIMEZONE = process.env.RESTAURANT_TIMEZONE || "Africa/Addis_Ababa";
+
+const DAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+// day of week, minutes since midnight and YYYY-MM-DD of `date` in the restaurant timezone
+const getRestaurantTime = (date = new Date()) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: RESTAURANT_TIMEZONE,
+    weekday: "short",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(date).reduce((acc, part) => ({ ...acc, [part.type]: part.value }), {});
+
+  return {
+    day: DAY_NAMES.indexOf(parts.weekday),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+  };
+};
+
+const matchesSchedule = (schedule, { day, minutes }) => {
+  const days = schedule.days && schedule.days.length ? schedule.days : [0, 1, 2, 3, 4, 5, 6];
+  const start = toMinutes(schedule.startTime);
+  const end = toMinutes(schedule.endTime);
+
+  if (start < end) {
+    return days.includes(day) && minutes >= start && minutes < end;
+  }
+
+  // past midnight: the evening part belongs to `day`, the early morning part to the day before
+  const previousDay = (day + 6) % 7;
+  return (days.includes(day) && minutes >= start) || (days.includes(previousDay) && minutes < end);
+};
+
+// true when `availability` (food item or category) allows ordering at `date`
+const isAvailableAt = (availability, date = new Date()) => {
+  if (!availability) return true;
+
+  const now = getRestaurantTime(date);
+  if (availability.startDate && now.date < availability.startDate) return false;
+  if (availability.endDate && now.date > availability.endDate) return false;
+
+  const schedules = availability.schedules || [];
+  if (schedules.length === 0) return true;
+
+  return schedules.some(schedule => matchesSchedule(schedule, now));
+};
+
+// a food item is available when the item, its category and every parent category are
+// categories: the category chain of the item, closest first (categoryService.categoryChains),
+// without it only the (populated) category is checked
+const isFoodItemAvailable = (foodItem, date = new Date(), categories) => {
+  const category = foodItem.category && foodItem.category.name !== undefined ? foodItem.category : null;
+  const chain = categories || (category ? [category] : []);
+  return isAvailableAt(foodItem.availability, date) && chain.every(entry => isAvailableAt(entry.availability, date));
+};
+
+// human readable windows for error messages, e.g. "Breakfast Mon, Tue 07:00-11:00"
+const describeAvailability = (availability) => {
+  if (!availability) return "";
+
+  const windows = (availability.schedules || []).map(schedule => {
+    const days = schedule.days && schedule.days.length
+      ? schedule.days.map(d => DAY_NAMES[d]).join(", ")
+      : "daily";
+    return `${schedule.label ? `${schedule.label} ` : ""}${days} ${schedule.startTime}-${schedule.endTime}`;
+  });
+
+  if (availability.startDate || availability.endDate) {
+    windows.push(`from ${availability.startDate || "now"} until ${availability.endDate || "further notice"}`);
+  }
+  return windows.join("; ");
+};
+
+module.exports = {
+  RESTAURANT_TIMEZONE,
+  getRestaurantTime,
+  isAvailableAt,
+  isFoodItemAvailable,
+  describeAvailability,
+};
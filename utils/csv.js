@@ -0,0 +1,73 @@
+// Minimal RFC 4180 CSV reader/writer for menu import and export
+// (quoted fields, "" escapes, commas and line breaks inside quotes)
+
+// parse CSV text into an array of objects keyed by the header row
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  // strip a UTF-8 BOM left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error("Unterminated quoted field in CSV");
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // skip blank lines
+  const [header, ...data] = rows.filter(r => r.some(value => value.trim() !== ""));
+  if (!header) return [];
+
+  const columns = header.map(column => column.trim());
+  return data.map(values => Object.fromEntries(columns.map((column, i) => [column, values[i] ?? ""])));
+};
+
+const escapeField = (value) => {
+  if (value === undefined || value === null) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// write objects as CSV with the given columns
+const toCsv = (rows, columns) => {
+  const lines = [columns.map(escapeField).join(",")];
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeField(row[column])).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+};
+
+module.exports = { parseCsv, toCsv };
@@ -5,20 +5,23 @@ const sendEmail = (option) => {
     const transporter = nodemailer.createTransport({
         host: process.env.EMAIL_HOST,
         port :process.env.EMAIL_PORT,
-        auth: {
+        secure: process.env.EMAIL_SECURE === 'true',
+        // local SMTP stand-ins (e.g. MailHog) run without credentials
+        auth: process.env.EMAIL_USER ? {
             user : process.env.EMAIL_USER,
             pass : process.env.EMAIL_PASSWORD
-        }
+        } : undefined
 
     })
 
     const emailOptions = {
-        from : 'Nebiyou.com',
+        from : process.env.EMAIL_FROM || 'Nebiyou.com',
         to: option.email,
         subject: option.subject,
         text: option.message
     }
-    transporter.sendMail(emailOptions)
+    // return the promise so callers can react to delivery failures
+    return transporter.sendMail(emailOptions)
 }
 
 
@@ -0,0 +1,58 @@
+// Menu content locales. The plain fields (name, description, ...) hold the default locale,
+// other locales live in the translations map of the document and fall back to the default.
+const DEFAULT_LOCALE = process.env.DEFAULT_LOCALE || "en";
+const SUPPORTED_LOCALES = [...new Set([
+  DEFAULT_LOCALE,
+  ...(process.env.SUPPORTED_LOCALES || "en,am").split(",").map(l => l.trim().toLowerCase()).filter(Boolean)
+])];
+
+// "am" from "am", "am-ET" or "AM_et", null when not supported
+const matchLocale = (tag) => {
+  const language = String(tag || "").trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : null;
+};
+
+// locale of a request: ?lang= first, then Accept-Language (by q-value), then the default
+const resolveLocale = (req) => {
+  const fromQuery = matchLocale(req.query?.lang);
+  if (fromQuery) return fromQuery;
+
+  const accepted = String(req.get?.("Accept-Language") || "")
+    .split(",")
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(";");
+      const q = params.map(p => p.trim()).find(p => p.startsWith("q="));
+      return { tag, q: q ? Number(q.slice(2)) || 0 : 1, index };
+    })
+    .filter(entry => entry.tag && entry.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+
+  for (const { tag } of accepted) {
+    const locale = matchLocale(tag);
+    if (locale) return locale;
+  }
+  return DEFAULT_LOCALE;
+};
+
+// copy of a (lean) document with the given fields in the requested locale,
+// fields without a translation keep the default locale value
+const localize = (doc, locale, fields) => {
+  if (!doc) return doc;
+  const translation = locale === DEFAULT_LOCALE ? null : doc.translations?.[locale];
+  const localized = { ...doc };
+
+  for (const field of fields) {
+    const value = translation?.[field];
+    const missing = value === undefined || value === null || value === "" || (Array.isArray(value) && value.length === 0);
+    if (!missing) localized[field] = value;
+  }
+  return localized;
+};
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  matchLocale,
+  resolveLocale,
+  localize
+};
@@ -0,0 +1,21 @@
+// Order lifecycle - every status change must follow these transitions
+const ORDER_STATUSES = ["pending", "preparing", "ready", "completed", "cancelled"];
+
+const STATUS_TRANSITIONS = {
+  pending: ["preparing", "cancelled"],
+  preparing: ["ready", "cancelled"],
+  ready: ["completed"],
+  completed: [],
+  cancelled: []
+};
+
+const getAllowedTransitions = (status) => STATUS_TRANSITIONS[status] || [];
+
+const canTransition = (from, to) => getAllowedTransitions(from).includes(to);
+
+module.exports = {
+  ORDER_STATUSES,
+  STATUS_TRANSITIONS,
+  getAllowedTransitions,
+  canTransition
+};
@@ -0,0 +1,53 @@
+const Joi = require("joi");
+const FoodItem = require("../models/foodItem");
+const { ALLERGENS } = require("../utils/allergens");
+
+const DIETARY_TAGS = FoodItem.schema.path("dietaryTags").caster.enumValues;
+const TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const modifierGroupSchema = Joi.object({
+  name: Joi.string().trim().required(),
+  required: Joi.boolean(),
+  minSelections: Joi.number().integer().min(0),
+  maxSelections: Joi.number().integer().min(1),
+  options: Joi.array().min(1).required().items(Joi.object({
+    name: Joi.string().trim().required(),
+    priceDelta: Joi.number(),
+    isAvailable: Joi.boolean(),
+  })),
+});
+
+const availabilitySchema = Joi.object({
+  schedules: Joi.array().items(Joi.object({
+    label: Joi.string().trim().allow(""),
+    days: Joi.array().items(Joi.number().integer().min(0).max(6)),
+    startTime: Joi.string().pattern(TIME).required(),
+    endTime: Joi.string().pattern(TIME).required(),
+  })),
+  startDate: Joi.string().pattern(DATE),
+  endDate: Joi.string().pattern(DATE),
+});
+
+// one menu row, category is a category name (created when missing)
+// modifierGroups, availability and allergen sources only come from JSON imports
+const menuItemSchema = Joi.object({
+  name: Joi.string().trim().required(),
+  description: Joi.string().trim().required(),
+  price: Joi.number().min(0).required(),
+  preparationTime: Joi.number().min(0).required(),
+  category: Joi.string().trim().required(),
+  ingredients: Joi.array().items(Joi.string().trim()),
+  dietaryTags: Joi.array().items(Joi.string().valid(...DIETARY_TAGS)),
+  isInStock: Joi.boolean(),
+  imageUrl: Joi.string().trim().allow(""),
+  allergens: Joi.array().items(Joi.object({
+    allergen: Joi.string().valid(...ALLERGENS).required(),
+    sources: Joi.array().items(Joi.string().trim()),
+  })),
+  mayContain: Joi.array().items(Joi.string().valid(...ALLERGENS)),
+  modifierGroups: Joi.array().items(modifierGroupSchema),
+  availability: availabilitySchema,
+}).options({ abortEarly: false, stripUnknown: true });
+
+module.exports = { menuItemSchema };